@@ -1,25 +1,51 @@
 import { User } from "../models/user.model.js";
+import { Policy } from "../models/policy.model.js";
+import { Project } from "../models/project.model.js";
+import { getMentorLoads } from "../utils/mentorLoad.js";
+import { assertSameTenant, tenantFilter } from "../utils/tenancy.js";
 import { catchAsync, AppError } from "../middleware/error.middleware.js";
+import mongoose from "mongoose";
 
 /**
  * Get admin dashboard statistics
  * @route GET /api/v1/admin/dashboard
  */
 export const getDashboardStats = catchAsync(async (req, res) => {
+    const { term } = req.query;
+
+    // Students and projects belong to a term; mentors are shared across terms
+    const tenant = tenantFilter(req.user);
+    const studentFilter = { role: "student", ...tenant };
+    const projectFilter = { ...tenant };
+    if (term) {
+        if (!mongoose.isValidObjectId(term)) {
+            throw new AppError("Invalid term ID", 400);
+        }
+        studentFilter.term = new mongoose.Types.ObjectId(term);
+        projectFilter.term = new mongoose.Types.ObjectId(term);
+    }
+
     const [
         totalStudents,
         totalMentors,
         activeMentors,
         pendingMentors,
-        rejectedMentors
+        rejectedMentors,
+        projectsByStatus
     ] = await Promise.all([
-        User.countDocuments({ role: "student" }),
-        User.countDocuments({ role: "mentor" }),
-        User.countDocuments({ role: "mentor", status: "active" }),
-        User.countDocuments({ role: "mentor", status: "pending" }),
-        User.countDocuments({ role: "mentor", status: "rejected" })
+        User.countDocuments(studentFilter),
+        User.countDocuments({ role: "mentor", ...tenant }),
+        User.countDocuments({ role: "mentor", status: "active", ...tenant }),
+        User.countDocuments({ role: "mentor", status: "pending", ...tenant }),
+        User.countDocuments({ role: "mentor", status: "rejected", ...tenant }),
+        Project.aggregate([
+            { $match: projectFilter },
+            { $group: { _id: "$status", count: { $sum: 1 } } }
+        ])
     ]);
 
+    const projects = Object.fromEntries(projectsByStatus.map(entry => [entry._id, entry.count]));
+
     res.status(200).json({
         success: true,
         stats: {
@@ -27,7 +53,9 @@ export const getDashboardStats = catchAsync(async (req, res) => {
             totalMentors,
             activeMentors,
             pendingMentors,
-            rejectedMentors
+            rejectedMentors,
+            totalProjects: projectsByStatus.reduce((sum, entry) => sum + entry.count, 0),
+            projects
         }
     });
 });
@@ -42,13 +70,16 @@ export const getAllUsers = catchAsync(async (req, res) => {
     const role = req.query.role;
     const status = req.query.status;
     const search = req.query.search;
+    const term = req.query.term;
 
     const query = {
-        role: { $ne: 'admin' } // Exclude admin users
+        role: { $ne: 'admin' }, // Exclude admin users
+        ...tenantFilter(req.user)
     };
 
     if (role) query.role = role;
     if (status) query.status = status;
+    if (term) query.term = term;
     if (search) {
         query.$or = [
             { name: { $regex: search, $options: 'i' } },
@@ -88,10 +119,8 @@ export const updateUserStatus = catchAsync(async (req, res) => {
         throw new AppError("Invalid status. Must be 'active' or 'inactive'", 400);
     }
 
-    const user = await User.findById(id);
-    if (!user) {
-        throw new AppError("User not found", 404);
-    }
+    const user = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+    assertSameTenant(req.user, user, "User");
 
     user.status = status;
     await user.save();
@@ -120,7 +149,8 @@ export const getMentorRequests = catchAsync(async (req, res) => {
 
     const query = {
         role: "mentor",
-        status
+        status,
+        ...tenantFilter(req.user)
     };
 
     const mentors = await User.find(query)
@@ -143,3 +173,72 @@ export const getMentorRequests = catchAsync(async (req, res) => {
     });
 });
 
+/**
+ * Get the team and project policy settings
+ * @route GET /api/v1/admin/policy
+ */
+export const getPolicySettings = catchAsync(async (req, res) => {
+    const policy = await Policy.getPolicy(req.user.institution);
+
+    res.status(200).json({
+        success: true,
+        policy
+    });
+});
+
+/**
+ * Update the team and project policy settings
+ * @route PATCH /api/v1/admin/policy
+ */
+export const updatePolicySettings = catchAsync(async (req, res) => {
+    const allowedFields = [
+        "minTeamSize",
+        "maxTeamSize",
+        "maxActiveProjectsPerStudent",
+        "allowCrossDepartmentTeams",
+        "maxMentorPreferences",
+        "mentorRequestTimeoutDays",
+        "progressReportIntervalDays"
+    ];
+
+    const policy = await Policy.getPolicy(req.user.institution);
+    allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+    policy.updatedBy = req.id;
+
+    // Runs the schema validators, e.g. minTeamSize <= maxTeamSize
+    await policy.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Policy settings updated successfully",
+        policy
+    });
+});
+
+/**
+ * Get current and maximum active projects per mentor
+ * @route GET /api/v1/admin/mentor-load
+ */
+export const getMentorLoadOverview = catchAsync(async (req, res) => {
+    const mentors = await User.find({ role: "mentor", status: "active", ...tenantFilter(req.user) })
+        .select("name email department availability maxActiveProjects")
+        .sort({ name: 1 });
+
+    const loads = await getMentorLoads(mentors);
+
+    const mentorLoad = mentors.map(mentor => ({
+        _id: mentor._id,
+        name: mentor.name,
+        email: mentor.email,
+        department: mentor.department,
+        availability: mentor.availability,
+        ...loads.get(mentor._id.toString())
+    }));
+
+    res.status(200).json({
+        success: true,
+        mentors: mentorLoad
+    });
+});
@@ -35,6 +35,10 @@ export const createGroup = async (projectId) => {
     if (project.assignedMentor?._id) {
       participantsSet.add(project.assignedMentor._id.toString());
     }
+    // Co-mentors and reviewers take part in the project chat as well
+    (project.mentors || []).forEach(mentor => {
+      participantsSet.add(mentor.user.toString());
+    });
     if (project.teamMembers && Array.isArray(project.teamMembers)) {
       project.teamMembers.forEach(member => {
         if (member._id) {
@@ -161,7 +165,8 @@ export const getChatById = catchAsync(async (req, res, next) => {
     .populate('project', 'title description')
     .lean();
 
-  if (!chat) {
+  // Chats of other teams (and other institutions) look like they do not exist
+  if (!chat || !chat.participants.some(participant => participant._id.equals(req.id))) {
     return next(new AppError('Chat not found', 404));
   }
 
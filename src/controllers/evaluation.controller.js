@@ -0,0 +1,306 @@
+import mongoose from "mongoose";
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { EVALUATION_STAGES, Rubric } from "../models/rubric.model.js";
+import { Evaluation, computeEvaluationTotals } from "../models/evaluation.model.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { isPlatformAdmin, isTenantAdmin, sameInstitution, tenantFilter } from "../utils/tenancy.js";
+import { toCsv } from "../utils/csv.js";
+import { emitToProjectChat } from "../socket/socket.js";
+
+// A project belongs to its leader's department
+const getProjectDepartment = async (project) => {
+    const leader = await User.findById(project.createdBy).select("department");
+    return leader?.department || null;
+};
+
+const validateStage = (stage) => {
+    if (!EVALUATION_STAGES.includes(stage)) {
+        throw new AppError(`Invalid stage. Use one of: ${EVALUATION_STAGES.join(", ")}`, 400);
+    }
+};
+
+// Checks every score against the rubric and the team; returns the scores in schema shape
+const validateScores = (rubric, scores, teamMembers) => {
+    if (!Array.isArray(scores)) {
+        throw new AppError("Scores must be an array", 400);
+    }
+    const seen = new Set();
+    return scores.map(({ criterionId, studentId = null, score, comment = "" }) => {
+        const criterion = mongoose.isValidObjectId(criterionId) && rubric.criteria.id(criterionId);
+        if (!criterion) {
+            throw new AppError(`Criterion ${criterionId} is not part of this rubric`, 400);
+        }
+        if (criterion.perStudent) {
+            if (!studentId || !teamMembers.some(member => member.equals(studentId))) {
+                throw new AppError(`"${criterion.name}" is scored per student; provide a studentId from the team`, 400);
+            }
+        } else if (studentId) {
+            throw new AppError(`"${criterion.name}" is scored for the whole team; omit studentId`, 400);
+        }
+        if (typeof score !== "number" || score < criterion.minScore || score > criterion.maxScore) {
+            throw new AppError(`Score for "${criterion.name}" must be between ${criterion.minScore} and ${criterion.maxScore}`, 400);
+        }
+        const key = `${criterion._id}:${studentId || "team"}`;
+        if (seen.has(key)) {
+            throw new AppError(`"${criterion.name}" was scored more than once`, 400);
+        }
+        seen.add(key);
+        return { criterion: criterion._id, student: studentId, score, comment };
+    });
+};
+
+const assertComplete = (rubric, scores, teamMembers) => {
+    const missing = rubric.criteria.filter(criterion => {
+        const given = scores.filter(score => score.criterion.equals(criterion._id));
+        return criterion.perStudent ? given.length < teamMembers.length : given.length === 0;
+    });
+    if (missing.length) {
+        throw new AppError(
+            `Score every criterion before submitting. Missing: ${missing.map(criterion => criterion.name).join(", ")}`,
+            400,
+            "EVALUATION_INCOMPLETE"
+        );
+    }
+};
+
+/**
+ * Rubrics that apply to a project (its department or all departments)
+ * @route GET /api/v1/project/:projectId/rubrics
+ */
+export const getProjectRubrics = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, mentorRole } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !mentorRole && !isTenantAdmin(req.user, project)) {
+        return next(new AppError("You are not authorized to view this project's rubrics", 403));
+    }
+
+    const department = await getProjectDepartment(project);
+    const term = req.query.term || project.term || null;
+    const filter = {
+        isActive: true,
+        institution: project.institution || null,
+        department: { $in: [department, null] },
+        term: { $in: [term, null] },
+    };
+    if (req.query.stage) filter.stages = req.query.stage;
+
+    const rubrics = await Rubric.find(filter).sort({ department: -1, createdAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Applicable rubrics fetched successfully",
+        rubrics,
+    });
+});
+
+/**
+ * Evaluations of a project. Team members only see submitted ones;
+ * mentors also see their own drafts.
+ * @route GET /api/v1/project/:projectId/evaluations
+ */
+export const getProjectEvaluations = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, mentorRole } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !mentorRole && !isTenantAdmin(req.user, project)) {
+        return next(new AppError("You are not authorized to view this project's evaluations", 403));
+    }
+
+    const filter = {
+        project: project._id,
+        $or: [{ status: "submitted" }, { evaluator: req.id }],
+    };
+    if (req.query.stage) {
+        validateStage(req.query.stage);
+        filter.stage = req.query.stage;
+    }
+
+    const evaluations = await Evaluation.find(filter)
+        .populate("rubric")
+        .populate("evaluator", "name email")
+        .populate("studentTotals.student", "name email")
+        .sort({ stage: 1, createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Evaluations fetched successfully",
+        evaluations,
+    });
+});
+
+/**
+ * Create or update your evaluation of a project for a stage.
+ * Pass `submit: true` to finalize; submitting needs every criterion scored.
+ * @route PUT /api/v1/project/:projectId/evaluations/:stage
+ */
+export const saveEvaluation = catchAsync(async (req, res, next) => {
+    const { stage } = req.params;
+    const { rubricId, scores = [], comment, submit = false } = req.body;
+
+    const { project, mentorRole } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!mentorRole) {
+        return next(new AppError("Only the project's mentors can evaluate it", 403));
+    }
+    validateStage(stage);
+
+    let evaluation = await Evaluation.findOne({ project: project._id, stage, evaluator: req.id });
+    const rubric = mongoose.isValidObjectId(rubricId || evaluation?.rubric)
+        ? await Rubric.findById(rubricId || evaluation?.rubric)
+        : null;
+    if (!rubric || !sameInstitution(rubric, project)) {
+        return next(new AppError("Rubric not found", 404));
+    }
+    if (evaluation && !evaluation.rubric.equals(rubric._id)) {
+        return next(new AppError("This evaluation already uses a different rubric", 400));
+    }
+    if (!evaluation) {
+        if (!rubric.isActive) {
+            return next(new AppError("This rubric is no longer active", 400));
+        }
+        const department = await getProjectDepartment(project);
+        if (rubric.department && rubric.department !== department) {
+            return next(new AppError("This rubric does not apply to the project's department", 400));
+        }
+        if (rubric.term && !rubric.term.equals(project.term)) {
+            return next(new AppError("This rubric does not apply to the project's term", 400));
+        }
+    }
+    if (!rubric.stages.includes(stage)) {
+        return next(new AppError(`This rubric is not used for the ${stage} stage`, 400));
+    }
+
+    const validScores = validateScores(rubric, scores, project.teamMembers);
+    if (!evaluation) {
+        evaluation = new Evaluation({ project: project._id, rubric: rubric._id, stage, evaluator: req.id });
+    }
+
+    // New scores replace earlier ones for the same criterion and student
+    const keyOf = (score) => `${score.criterion}:${score.student || "team"}`;
+    const incoming = new Set(validScores.map(keyOf));
+    evaluation.scores = [
+        ...evaluation.scores.filter(score => !incoming.has(keyOf(score))).map(score => score.toObject()),
+        ...validScores,
+    ];
+    // Drop scores of students who have left the team
+    evaluation.scores = evaluation.scores.filter(score =>
+        !score.student || project.teamMembers.some(member => member.equals(score.student))
+    );
+    if (comment !== undefined) evaluation.comment = comment;
+
+    if (submit) {
+        assertComplete(rubric, evaluation.scores, project.teamMembers);
+        evaluation.status = "submitted";
+        evaluation.submittedAt = new Date();
+    }
+
+    const { studentTotals, teamTotal } = computeEvaluationTotals(rubric, evaluation.scores, project.teamMembers);
+    evaluation.studentTotals = studentTotals;
+    evaluation.teamTotal = teamTotal;
+    await evaluation.save();
+
+    if (submit) {
+        await emitToProjectChat(project._id, "evaluationSubmitted", { stage, evaluator: req.id, teamTotal });
+    }
+
+    await evaluation.populate("studentTotals.student", "name email");
+
+    res.status(200).json({
+        success: true,
+        message: submit ? "Evaluation submitted successfully" : "Evaluation saved as draft",
+        evaluation,
+    });
+});
+
+/**
+ * Export submitted grades for a cohort (term and/or department) as CSV or JSON.
+ * One row per student and evaluation, with a `criterion:<name>` column per criterion.
+ * Mentors only get the projects they mentor.
+ * @route GET /api/v1/grading/export?term=&department=&stage=&format=csv
+ */
+export const exportCohortGrades = catchAsync(async (req, res) => {
+    const { term, department, stage, format = "csv" } = req.query;
+
+    const filter = { status: "submitted" };
+    if (stage) {
+        validateStage(stage);
+        filter.stage = stage;
+    }
+    // The cohort is the set of projects running in the term and/or led from the department,
+    // always limited to the admin's institution; mentors only get the projects they mentor
+    const isMentor = req.user.role === "mentor";
+    if (term || department || isMentor || !isPlatformAdmin(req.user)) {
+        const projectFilter = { ...tenantFilter(req.user) };
+        if (isMentor) projectFilter.$or = [{ assignedMentor: req.id }, { "mentors.user": req.id }];
+        if (term) projectFilter.term = term;
+        if (department) {
+            const leaders = await User.find({ department, ...tenantFilter(req.user) }).select("_id");
+            projectFilter.createdBy = { $in: leaders.map(leader => leader._id) };
+        }
+        const projects = await Project.find(projectFilter).select("_id");
+        filter.project = { $in: projects.map(project => project._id) };
+    }
+
+    const evaluations = await Evaluation.find(filter)
+        .populate({ path: "project", select: "title teamMembers term", populate: { path: "term", select: "name" } })
+        .populate("evaluator", "name email")
+        .sort({ project: 1, stage: 1 });
+
+    const rubrics = await Rubric.find({ _id: { $in: evaluations.map(evaluation => evaluation.rubric) } });
+    const rubricsById = new Map(rubrics.map(rubric => [rubric._id.toString(), rubric]));
+    const studentIds = [...new Set(evaluations.flatMap(evaluation =>
+        evaluation.studentTotals.map(entry => entry.student.toString())))];
+    const students = new Map(
+        (await User.find({ _id: { $in: studentIds } }).select("name email department"))
+            .map(student => [student._id.toString(), student])
+    );
+
+    const criterionColumns = new Set();
+    const rows = evaluations.flatMap(evaluation => {
+        const rubric = rubricsById.get(evaluation.rubric.toString());
+        return evaluation.studentTotals.map(({ student: studentId, total }) => {
+            const student = students.get(studentId.toString());
+            const row = {
+                project: evaluation.project?.title,
+                stage: evaluation.stage,
+                rubric: rubric?.name ?? null,
+                term: evaluation.project?.term?.name,
+                evaluator: evaluation.evaluator?.name,
+                student: student?.name,
+                email: student?.email,
+                department: student?.department,
+                total,
+                teamTotal: evaluation.teamTotal,
+                submittedAt: evaluation.submittedAt,
+            };
+            // Namespaced so a criterion called e.g. "total" cannot overwrite a fixed column
+            (rubric?.criteria || []).forEach(criterion => {
+                const entry = evaluation.scores.find(score =>
+                    score.criterion.equals(criterion._id) &&
+                    (criterion.perStudent ? score.student?.equals(studentId) : !score.student)
+                );
+                const column = `criterion:${criterion.name}`;
+                criterionColumns.add(column);
+                row[column] = entry ? entry.score : null;
+            });
+            return row;
+        });
+    });
+
+    const headers = [
+        "project", "stage", "rubric", "term", "evaluator", "student", "email", "department",
+        ...criterionColumns, "total", "teamTotal", "submittedAt",
+    ];
+
+    if (format === "json") {
+        return res.status(200).json({
+            success: true,
+            message: "Grades exported successfully",
+            headers,
+            rows,
+        });
+    }
+
+    const filename = ["grades", term, department, stage].filter(Boolean).join("-").replace(/[^\w-]/g, "_");
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    res.status(200).send(toCsv(headers, rows));
+});
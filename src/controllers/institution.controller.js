@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { Institution } from "../models/institution.model.js";
+import { Department } from "../models/department.model.js";
+import { User } from "../models/user.model.js";
+import { isPlatformAdmin, isTenantAdmin } from "../utils/tenancy.js";
+
+const INSTITUTION_FIELDS = ["name", "code", "domains", "status"];
+
+const assertPlatformAdmin = (user) => {
+    if (!isPlatformAdmin(user)) {
+        throw new AppError("Only platform admins can manage institutions", 403);
+    }
+};
+
+const findInstitution = async (institutionId) => {
+    if (!mongoose.isValidObjectId(institutionId)) {
+        throw new AppError("Invalid institution ID", 400);
+    }
+    const institution = await Institution.findById(institutionId);
+    if (!institution) {
+        throw new AppError("Institution not found", 404);
+    }
+    return institution;
+};
+
+// Departments are managed by the admins of their institution and by platform admins
+const findManagedInstitution = async (institutionId, user) => {
+    const institution = await findInstitution(institutionId);
+    if (!isTenantAdmin(user, { institution: institution._id })) {
+        throw new AppError("Institution not found", 404);
+    }
+    return institution;
+};
+
+/**
+ * Active institutions, used by the signup forms
+ * @route GET /api/v1/institution
+ */
+export const listInstitutions = catchAsync(async (req, res) => {
+    const institutions = await Institution.find({ status: "active" })
+        .select("name code")
+        .sort({ name: 1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Institutions fetched successfully",
+        institutions,
+    });
+});
+
+/**
+ * Departments of an active institution
+ * @route GET /api/v1/institution/:institutionId/departments
+ */
+export const listDepartments = catchAsync(async (req, res) => {
+    const institution = await findInstitution(req.params.institutionId);
+    if (institution.status !== "active") {
+        throw new AppError("Institution not found", 404);
+    }
+
+    const departments = await Department.find({ institution: institution._id })
+        .select("name code")
+        .sort({ name: 1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Departments fetched successfully",
+        departments,
+    });
+});
+
+/**
+ * Every institution with its user counts
+ * @route GET /api/v1/institution/manage
+ */
+export const getInstitutionsOverview = catchAsync(async (req, res) => {
+    assertPlatformAdmin(req.user);
+
+    const [institutions, counts] = await Promise.all([
+        Institution.find().sort({ name: 1 }),
+        User.aggregate([
+            { $group: { _id: { institution: "$institution", role: "$role" }, count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: "Institutions fetched successfully",
+        institutions: institutions.map(institution => ({
+            ...institution.toObject(),
+            users: Object.fromEntries(counts
+                .filter(entry => entry._id.institution?.equals(institution._id))
+                .map(entry => [entry._id.role, entry.count])),
+        })),
+    });
+});
+
+/**
+ * Create an institution
+ * @route POST /api/v1/institution
+ */
+export const createInstitution = catchAsync(async (req, res) => {
+    assertPlatformAdmin(req.user);
+    const { name, code, domains = [] } = req.body;
+
+    const institution = await Institution.create({
+        name,
+        code,
+        domains,
+        createdBy: req.id,
+    });
+
+    res.status(201).json({
+        success: true,
+        message: "Institution created successfully",
+        institution,
+    });
+});
+
+/**
+ * Update an institution's name, code, email domains or status
+ * @route PATCH /api/v1/institution/:institutionId
+ */
+export const updateInstitution = catchAsync(async (req, res) => {
+    assertPlatformAdmin(req.user);
+    const institution = await findInstitution(req.params.institutionId);
+
+    INSTITUTION_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) institution[field] = req.body[field];
+    });
+    await institution.save();
+
+    // Users show the institution name as their university
+    if (req.body.name !== undefined) {
+        await User.updateMany({ institution: institution._id }, { $set: { university: institution.name } });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Institution updated successfully",
+        institution,
+    });
+});
+
+/**
+ * Make an existing user of the institution one of its admins
+ * @route POST /api/v1/institution/:institutionId/admins
+ */
+export const addInstitutionAdmin = catchAsync(async (req, res, next) => {
+    assertPlatformAdmin(req.user);
+    const institution = await findInstitution(req.params.institutionId);
+
+    const { userId } = req.body;
+    const user = mongoose.isValidObjectId(userId) && await User.findOne({ _id: userId, institution: institution._id });
+    if (!user) {
+        return next(new AppError("User not found in this institution", 404));
+    }
+
+    user.role = "admin";
+    user.status = "active";
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+        success: true,
+        message: `${user.name} is now an admin of ${institution.name}`,
+        user: { _id: user._id, name: user.name, email: user.email, role: user.role, institution: user.institution },
+    });
+});
+
+/**
+ * Add a department to an institution
+ * @route POST /api/v1/institution/:institutionId/departments
+ */
+export const createDepartment = catchAsync(async (req, res) => {
+    const institution = await findManagedInstitution(req.params.institutionId, req.user);
+    const { name, code } = req.body;
+
+    const department = await Department.create({
+        institution: institution._id,
+        name,
+        code,
+    });
+
+    res.status(201).json({
+        success: true,
+        message: "Department created successfully",
+        department,
+    });
+});
+
+/**
+ * Rename a department; its users' department names follow
+ * @route PATCH /api/v1/institution/:institutionId/departments/:departmentId
+ */
+export const updateDepartment = catchAsync(async (req, res, next) => {
+    const institution = await findManagedInstitution(req.params.institutionId, req.user);
+    const department = mongoose.isValidObjectId(req.params.departmentId)
+        && await Department.findOne({ _id: req.params.departmentId, institution: institution._id });
+    if (!department) {
+        return next(new AppError("Department not found", 404));
+    }
+
+    ["name", "code"].forEach(field => {
+        if (req.body[field] !== undefined) department[field] = req.body[field];
+    });
+    await department.save();
+    await User.updateMany({ departmentId: department._id }, { $set: { department: department.name } });
+
+    res.status(200).json({
+        success: true,
+        message: "Department updated successfully",
+        department,
+    });
+});
+
+/**
+ * Delete a department nobody belongs to
+ * @route DELETE /api/v1/institution/:institutionId/departments/:departmentId
+ */
+export const deleteDepartment = catchAsync(async (req, res, next) => {
+    const institution = await findManagedInstitution(req.params.institutionId, req.user);
+    const department = mongoose.isValidObjectId(req.params.departmentId)
+        && await Department.findOne({ _id: req.params.departmentId, institution: institution._id });
+    if (!department) {
+        return next(new AppError("Department not found", 404));
+    }
+
+    if (await User.exists({ departmentId: department._id })) {
+        return next(new AppError("This department still has users and cannot be deleted", 400, "DEPARTMENT_IN_USE"));
+    }
+    await department.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        message: "Department deleted successfully",
+    });
+});
@@ -0,0 +1,313 @@
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { Invitation } from "../models/invitation.model.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { Chat } from "../models/chat.model.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { assertCanJoinAnotherProject, assertTeamCapacity, checkInviteeEligibility, getPolicy } from "../utils/projectPolicy.js";
+import { emitToProjectChat, emitToUser } from "../socket/socket.js";
+import mongoose from "mongoose";
+
+const INVITATION_EXPIRY_DAYS = Number(process.env.INVITATION_EXPIRY_DAYS) || 7;
+
+/**
+ * Creates pending invitations for the students matching the given roll numbers or emails
+ * and notifies them by email and socket. Used by project creation and member addition.
+ * Students who break the team policy are skipped and reported in `rejected`.
+ * @param {Object} project - The project document
+ * @param {string[]} identifiers - Roll numbers or emails
+ * @param {string|ObjectId} invitedBy - The inviting user id
+ * @returns {Promise<{invitations: Object[], notFound: string[], alreadyMembers: string[], alreadyInvited: string[], rejected: Object[]}>}
+ */
+export const inviteStudentsToProject = async (project, identifiers, invitedBy) => {
+    const uniqueIdentifiers = [...new Set(identifiers)];
+
+    // Students of other institutions are treated as unknown
+    const users = await User.find({
+        role: "student",
+        institution: project.institution || null,
+        $or: [
+            { roll_no: { $in: uniqueIdentifiers } },
+            { email: { $in: uniqueIdentifiers } }
+        ]
+    }).select("_id name email roll_no department institution");
+
+    const notFound = uniqueIdentifiers.filter(
+        identifier => !users.some(user => user.roll_no === identifier || user.email === identifier)
+    );
+
+    // Nobody already on the team or already holding a live invite gets another one
+    await Invitation.expireStale({ project: project._id });
+    const pending = await Invitation.find({ project: project._id, status: "pending" }).select("invitee");
+    const pendingIds = pending.map(invite => invite.invitee.toString());
+    const memberIds = project.teamMembers.map(id => id.toString());
+
+    const policy = await getPolicy(project.institution);
+    const leader = await User.findById(project.createdBy).select("department institution");
+
+    const alreadyMembers = [];
+    const alreadyInvited = [];
+    const rejected = [];
+    const toInvite = [];
+    for (const user of users) {
+        const id = user._id.toString();
+        if (memberIds.includes(id)) {
+            alreadyMembers.push(user.email);
+            continue;
+        }
+        if (pendingIds.includes(id)) {
+            alreadyInvited.push(user.email);
+            continue;
+        }
+        const ineligible = await checkInviteeEligibility(user, leader || {}, policy, project.term);
+        if (ineligible) rejected.push({ email: user.email, ...ineligible });
+        else toInvite.push(user);
+    }
+
+    // Pending invitations hold a seat so the team cannot be oversubscribed
+    assertTeamCapacity(memberIds.length + pendingIds.length, toInvite.length, policy);
+
+    const expiresAt = new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    const invitations = toInvite.length > 0
+        ? await Invitation.insertMany(toInvite.map(user => ({
+            project: project._id,
+            invitedBy,
+            invitee: user._id,
+            expiresAt,
+        })))
+        : [];
+
+    for (const user of toInvite) {
+        const invitation = invitations.find(invite => invite.invitee.equals(user._id));
+        emitToUser(user._id, "projectInvitation", {
+            invitationId: invitation._id,
+            projectId: project._id,
+            projectTitle: project.title,
+            expiresAt,
+        });
+        try {
+            await sendEmail({
+                email: user.email,
+                subject: `Invitation to join project: ${project.title}`,
+                message: `<p>Hello ${user.name},</p>
+                    <p>You have been invited to join the project "${project.title}".</p>
+                    <p>Open your invitations in MentorMatrix to accept or decline. This invitation expires on ${expiresAt.toLocaleString()}.</p>
+                    <p>Best regards,<br>MentorMatrix Team</p>`,
+            });
+        } catch (emailError) {
+            console.error("Error sending invitation email:", emailError);
+        }
+    }
+
+    return { invitations, notFound, alreadyMembers, alreadyInvited, rejected };
+};
+
+// Loads an invitation addressed to the current user that can still be answered
+const getOpenInvitation = async (invitationId, userId) => {
+    if (!mongoose.isValidObjectId(invitationId)) {
+        throw new AppError("Invalid invitation ID", 400);
+    }
+    const invitation = await Invitation.findById(invitationId);
+    if (!invitation || !invitation.invitee.equals(userId)) {
+        throw new AppError("Invitation not found", 404);
+    }
+    if (invitation.isExpired) {
+        invitation.status = "expired";
+        await invitation.save();
+    }
+    if (invitation.status !== "pending") {
+        throw new AppError(`This invitation is already ${invitation.status}`, 400, "INVITATION_CLOSED");
+    }
+    return invitation;
+};
+
+const notifyLeader = async (project, invitee, decision) => {
+    emitToUser(project.createdBy, "invitationResponded", {
+        projectId: project._id,
+        invitee: { _id: invitee._id, name: invitee.name },
+        decision,
+    });
+    try {
+        const leader = await User.findById(project.createdBy).select("email");
+        if (leader?.email) {
+            await sendEmail({
+                email: leader.email,
+                subject: `Invitation ${decision}: ${project.title}`,
+                message: `${invitee.name} has ${decision} the invitation to join "${project.title}".`,
+            });
+        }
+    } catch (emailError) {
+        console.error("Error sending invitation response email:", emailError);
+    }
+};
+
+/**
+ * Get pending invitations of the current user
+ * @route GET /api/v1/invitation
+ */
+export const getMyInvitations = catchAsync(async (req, res) => {
+    const userId = req.id;
+    const { status = "pending" } = req.query;
+
+    await Invitation.expireStale({ invitee: userId });
+
+    const invitations = await Invitation.find({ invitee: userId, status })
+        .populate("project", "title description.abstract status")
+        .populate("invitedBy", "name email")
+        .sort({ createdAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Invitations fetched successfully",
+        invitations,
+    });
+});
+
+/**
+ * Get all invitations of a project (team leader only)
+ * @route GET /api/v1/invitation/project/:projectId
+ */
+export const getProjectInvitations = catchAsync(async (req, res, next) => {
+    const { project, isLeader } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isLeader) {
+        return next(new AppError("Only the team leader can view project invitations", 403));
+    }
+
+    await Invitation.expireStale({ project: project._id });
+
+    const filter = { project: project._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const invitations = await Invitation.find(filter)
+        .populate("invitee", "name email roll_no")
+        .sort({ createdAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Project invitations fetched successfully",
+        invitations,
+    });
+});
+
+/**
+ * Accept an invitation and join the project team and chat
+ * @route POST /api/v1/invitation/:invitationId/accept
+ */
+export const acceptInvitation = catchAsync(async (req, res, next) => {
+    const userId = req.id;
+    const invitation = await getOpenInvitation(req.params.invitationId, userId);
+
+    const project = await Project.findById(invitation.project);
+    if (!project) {
+        return next(new AppError("Project not found", 404));
+    }
+
+    // The team or the student may have changed since the invitation was sent
+    const policy = await getPolicy(project.institution);
+    await assertCanJoinAnotherProject(userId, policy, project.term);
+    assertTeamCapacity(project.teamMembers.length, 1, policy);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        if (!project.teamMembers.some(id => id.equals(userId))) {
+            project.teamMembers.push(userId);
+            await project.save({ session });
+        }
+
+        // Chat access is granted only now that the student has accepted
+        await Chat.updateOne(
+            { project: project._id },
+            { $addToSet: { participants: userId } },
+            { session }
+        );
+
+        invitation.status = "accepted";
+        invitation.respondedAt = new Date();
+        await invitation.save({ session });
+
+        await session.commitTransaction();
+    } catch (err) {
+        await session.abortTransaction();
+        console.error("Transaction error while accepting invitation:", err);
+        return next(new AppError("Failed to accept invitation. Please try again.", 500));
+    } finally {
+        session.endSession();
+    }
+
+    await emitToProjectChat(project._id, "memberJoined", {
+        member: { _id: req.user._id, name: req.user.name },
+    });
+    await notifyLeader(project, req.user, "accepted");
+
+    const updatedProject = await Project.findById(project._id)
+        .populate("createdBy teamMembers assignedMentor");
+
+    res.status(200).json({
+        success: true,
+        message: `You have joined the project "${project.title}"`,
+        project: updatedProject,
+    });
+});
+
+/**
+ * Decline an invitation
+ * @route POST /api/v1/invitation/:invitationId/decline
+ */
+export const declineInvitation = catchAsync(async (req, res, next) => {
+    const invitation = await getOpenInvitation(req.params.invitationId, req.id);
+
+    invitation.status = "declined";
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    const project = await Project.findById(invitation.project).select("title createdBy");
+    if (project) {
+        await notifyLeader(project, req.user, "declined");
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Invitation declined",
+    });
+});
+
+/**
+ * Revoke a pending invitation (team leader only)
+ * @route DELETE /api/v1/invitation/:invitationId
+ */
+export const revokeInvitation = catchAsync(async (req, res, next) => {
+    const { invitationId } = req.params;
+    if (!mongoose.isValidObjectId(invitationId)) {
+        return next(new AppError("Invalid invitation ID", 400));
+    }
+
+    const invitation = await Invitation.findById(invitationId);
+    if (!invitation) {
+        return next(new AppError("Invitation not found", 404));
+    }
+
+    const { isLeader } = await getProjectWithAccess(invitation.project, req.id);
+    if (!isLeader) {
+        return next(new AppError("Only the team leader can revoke invitations", 403));
+    }
+    if (invitation.status !== "pending") {
+        return next(new AppError(`This invitation is already ${invitation.status}`, 400, "INVITATION_CLOSED"));
+    }
+
+    invitation.status = "revoked";
+    invitation.respondedAt = new Date();
+    await invitation.save();
+
+    emitToUser(invitation.invitee, "invitationRevoked", {
+        invitationId: invitation._id,
+        projectId: invitation.project,
+    });
+
+    res.status(200).json({
+        success: true,
+        message: "Invitation revoked",
+        invitation,
+    });
+});
@@ -1,15 +1,139 @@
-// Functions to implement:
-// - createMeeting: Create a new meeting
-// - getAllMeetings: Get all meetings for a user
-// - getMeetingById: Get a specific meeting
-// - updateMeeting: Update meeting details
-// - deleteMeeting: Cancel/delete a meeting
-// - addMeetingNotes: Add notes after a meeting
 import { AppError, catchAsync } from "../middleware/error.middleware.js";
 import { sendEmail } from "../utils/sendEmail.js";
-import { Project } from "../models/project.model.js";
 import { Meeting } from "../models/meeting.model.js";
+import { User } from "../models/user.model.js";
+import { getProjectMentorIds, getProjectWithAccess } from "../utils/projectAccess.js";
+import { emitToUser } from "../socket/socket.js";
+import { expandOccurrences, getSeriesScopeFilter, parseRecurrence } from "../utils/meetingSeries.js";
+import { buildCalendar, calendarAttachment } from "../utils/calendar.js";
+import { findFreeSlots, findMeetingConflicts } from "../utils/meetingConflicts.js";
 import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Fields that can be edited without moving the meeting
+const EDITABLE_FIELDS = ["title", "description", "location", "meetingLink"];
+const ATTENDANCE_STATUSES = ["present", "absent", "excused"];
+// How far back the calendar feed goes; older meetings have long been synced
+const FEED_HISTORY_DAYS = 90;
+
+// Meetings a user scheduled or takes part in
+const userMeetingsFilter = (userId) => {
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    return {
+        $or: [
+            { scheduledBy: { $eq: userObjectId } },
+            { participants: { $eq: userObjectId } }
+        ]
+    };
+};
+
+// Everyone invited to a project meeting: the team, every mentor role and the scheduler
+const getMeetingParticipants = (project, userId) => Array.from(new Set([
+    ...project.teamMembers.map(id => id.toString()),
+    ...getProjectMentorIds(project),
+    userId.toString()
+]));
+
+// Response for a slot that double-books participants; the scheduler can retry with allowConflicts
+const sendConflicts = (res, conflicts) => res.status(409).json({
+    status: "fail",
+    code: "MEETING_CONFLICT",
+    message: `This time clashes with ${conflicts.length} existing meeting(s). Pick another time or set allowConflicts to schedule anyway.`,
+    data: {
+        conflicts
+    }
+});
+
+const populateMeeting = (query) => query
+    .populate("participants", "name email")
+    .populate("scheduledBy", "name email")
+    .populate("projectId", "title");
+
+const findMeeting = async (meetingId) => {
+    if (!mongoose.Types.ObjectId.isValid(meetingId)) {
+        throw new AppError("Invalid meeting ID.", 400);
+    }
+    const meeting = await Meeting.findById(meetingId);
+    if (!meeting) {
+        throw new AppError("Meeting not found", 404);
+    }
+    return meeting;
+};
+
+// Only the scheduler and the project's mentors can change a meeting
+const findManageableMeeting = async (meetingId, userId) => {
+    const meeting = await findMeeting(meetingId);
+    const { isMentor } = await getProjectWithAccess(meeting.projectId, userId);
+    if (!meeting.scheduledBy.equals(userId) && !isMentor) {
+        throw new AppError("Only the scheduler or the project mentor can change this meeting", 403);
+    }
+    return meeting;
+};
+
+const assertScheduled = (meeting) => {
+    if (meeting.status !== "scheduled") {
+        throw new AppError(`This meeting is already ${meeting.status}`, 400, "MEETING_NOT_SCHEDULED");
+    }
+};
+
+// Same rules as when scheduling: a valid, future slot that ends after it starts
+const validateSlot = (startTime, endTime) => {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (!startTime || !endTime || isNaN(start) || isNaN(end)) {
+        throw new AppError("startTime and endTime are required.", 400);
+    }
+    if (start >= end) {
+        throw new AppError("startTime must be before endTime.", 400);
+    }
+    if (start < new Date()) {
+        throw new AppError("Meeting cannot be scheduled in the past.", 400);
+    }
+    return { start, end };
+};
+
+/**
+ * Emails every participant about a change to the meeting and pushes the same event over sockets.
+ * Failures are logged only, so they never fail the request.
+ * @param {Object} meeting - Meeting with populated participants and project
+ * @param {string} event - Socket event name
+ * @param {string} subject - Email subject
+ * @param {string} summary - One sentence describing the change
+ * @param {Object[]} [calendarMeetings] - Meetings to send as an iCalendar update, so invites in calendar apps follow the change
+ * @param {string} [method="REQUEST"] - "CANCEL" when the meetings were cancelled
+ */
+const notifyParticipants = async (meeting, event, subject, summary, calendarMeetings = null, method = "REQUEST") => {
+    const attachments = calendarMeetings
+        ? [calendarAttachment(buildCalendar(calendarMeetings, { method }), method)]
+        : undefined;
+    const projectTitle = meeting.projectId?.title || "your project";
+    for (const participant of meeting.participants) {
+        emitToUser(participant._id, event, { meeting, message: summary });
+        try {
+            await sendEmail({
+                email: participant.email,
+                subject: `${subject}: ${meeting.title}`,
+                message: `<p>Hello ${participant.name},</p>
+                    <p>${summary}</p>
+                    <h3>Details:</h3>
+                    <ul>
+                        <li><strong>Project:</strong> ${projectTitle}</li>
+                        <li><strong>Title:</strong> ${meeting.title}</li>
+                        <li><strong>Status:</strong> ${meeting.status}</li>
+                        <li><strong>Start Time:</strong> ${new Date(meeting.startTime).toLocaleString()}</li>
+                        <li><strong>End Time:</strong> ${new Date(meeting.endTime).toLocaleString()}</li>
+                        <li><strong>Location:</strong> ${meeting.location || 'Online'}</li>
+                        <li><strong>Meeting Link:</strong> <a href="${meeting.meetingLink}">${meeting.meetingLink}</a></li>
+                    </ul>
+                    <p>Best regards,<br>MentorMatrix Team</p>`,
+                textMessage: `Hello ${participant.name},\n\n${summary}\n\nProject: ${projectTitle}\nTitle: ${meeting.title}\nStatus: ${meeting.status}\nStart Time: ${new Date(meeting.startTime).toLocaleString()}\nEnd Time: ${new Date(meeting.endTime).toLocaleString()}\nLocation: ${meeting.location || 'Online'}\nMeeting Link: ${meeting.meetingLink}\n\nBest regards,\nMentorMatrix Team`,
+                attachments
+            });
+        } catch (error) {
+            console.error(`Error sending ${event} email to ${participant.email}:`, error);
+        }
+    }
+};
 
 
 export const createMeeting = catchAsync(async (req, res, next) => {
@@ -17,7 +141,7 @@ export const createMeeting = catchAsync(async (req, res, next) => {
     const userId = req.id;
 
     // Validate required fields
-    const { title, description, startTime, endTime, location } = req.body;
+    const { title, description, startTime, endTime, location, recurring, allowConflicts = false } = req.body;
     if (!title || !startTime || !endTime) {
         return res.status(400).json({
             status: "fail",
@@ -37,18 +161,23 @@ export const createMeeting = catchAsync(async (req, res, next) => {
         });
     }
 
-    // Fetch project and validate
-    const project = await Project.findById(projectId).select("teamMembers title");
-    if (!project) {
-      throw new AppError(404, "Project not found");
+    const recurrence = parseRecurrence(recurring, new Date(startTime));
+
+    // Fetch project and validate; only its team and mentors can schedule its meetings
+    const { project, isTeamMember, mentorRole } = await getProjectWithAccess(projectId, userId);
+    if (!isTeamMember && !mentorRole) {
+        return next(new AppError("Only the project team and its mentors can schedule its meetings", 403));
     }
 
-    // Ensure unique participants
-    const participantsSet = new Set([
-        ...project.teamMembers.map(id => id.toString()),
-        userId
-    ]);
-    const participants = Array.from(participantsSet);
+    const participants = getMeetingParticipants(project, userId);
+
+    const slots = recurrence
+        ? expandOccurrences(new Date(startTime), new Date(endTime), recurrence)
+        : [{ startTime: new Date(startTime), endTime: new Date(endTime) }];
+    const conflicts = await findMeetingConflicts({ participantIds: participants, slots });
+    if (conflicts.length && !allowConflicts) {
+        return sendConflicts(res, conflicts);
+    }
 
     // Generate Jitsi meeting link
     const jitsiRoom = `MentorMatrix-${project.title}-${projectId}-${Date.now()}`;
@@ -58,6 +187,7 @@ export const createMeeting = catchAsync(async (req, res, next) => {
         title,
         description,
         projectId,
+        term: project.term,
         scheduledBy: userId,
         participants,
         startTime,
@@ -66,11 +196,36 @@ export const createMeeting = catchAsync(async (req, res, next) => {
         meetingLink,
         roomName: jitsiRoom,
     };
-    const meetingCreated = await Meeting.create(meeting);
+
+    // A series is stored as one meeting per occurrence; they share the room and a seriesId
+    let occurrences = [];
+    let meetingCreated;
+    if (recurrence) {
+        const seriesId = new mongoose.Types.ObjectId();
+        occurrences = await Meeting.insertMany(
+            slots.map((slot, index) => ({
+                ...meeting,
+                ...slot,
+                seriesId,
+                occurrenceIndex: index,
+                recurring: recurrence,
+            }))
+        );
+        meetingCreated = occurrences[0];
+    } else {
+        meetingCreated = await Meeting.create(meeting);
+    }
     const meetingDetails = await Meeting.findById(meetingCreated._id)
         .populate("participants", "name email")
         .populate("scheduledBy", "name email")
         .populate("projectId", "title");
+    const repeats = recurrence
+        ? `${recurrence.frequency} until ${recurrence.endDate.toLocaleDateString()} (${occurrences.length} meetings)`
+        : null;
+    const calendar = buildCalendar(
+        recurrence ? await populateMeeting(Meeting.find({ seriesId: meetingCreated.seriesId })) : [meetingDetails],
+        { method: "REQUEST" }
+    );
 
     // Send email notification
     for (const participant of meetingDetails.participants) {
@@ -87,32 +242,32 @@ export const createMeeting = catchAsync(async (req, res, next) => {
                     <li><strong>End Time:</strong> ${new Date(meetingDetails.endTime).toLocaleString()}</li>
                     <li><strong>Location:</strong> ${meetingDetails.location || 'Online'}</li>
                     <li><strong>Meeting Link:</strong> <a href="${meetingDetails.meetingLink}">${meetingDetails.meetingLink}</a></li>
+                    ${repeats ? `<li><strong>Repeats:</strong> ${repeats}</li>` : ''}
                 </ul>
                 <p>Best regards,<br>MentorMatrix Team</p>`,
-            textMessage: `Hello ${participant.name},\n\nA meeting has been scheduled for the project "${project.title}".\n\nDetails:\nTitle: ${meetingDetails.title}\nDescription: ${meetingDetails.description || 'N/A'}\nStart Time: ${new Date(meetingDetails.startTime).toLocaleString()}\nEnd Time: ${new Date(meetingDetails.endTime).toLocaleString()}\nLocation: ${meetingDetails.location || 'Online'}\nMeeting Link: ${meetingDetails.meetingLink}\n\nBest regards,\nMentorMatrix Team`
+            textMessage: `Hello ${participant.name},\n\nA meeting has been scheduled for the project "${project.title}".\n\nDetails:\nTitle: ${meetingDetails.title}\nDescription: ${meetingDetails.description || 'N/A'}\nStart Time: ${new Date(meetingDetails.startTime).toLocaleString()}\nEnd Time: ${new Date(meetingDetails.endTime).toLocaleString()}\nLocation: ${meetingDetails.location || 'Online'}\nMeeting Link: ${meetingDetails.meetingLink}${repeats ? `\nRepeats: ${repeats}` : ''}\n\nBest regards,\nMentorMatrix Team`,
+            attachments: [calendarAttachment(calendar)]
         };
         await sendEmail(emailData);
     }
 
     res.status(201).json({
         status: "success",
-        message: "Meeting created successfully",
+        message: recurrence ? `Recurring meeting created with ${occurrences.length} occurrences` : "Meeting created successfully",
         data: {
-            meeting: meetingDetails
+            meeting: meetingDetails,
+            ...(recurrence ? {
+                occurrences: occurrences.map(({ _id, occurrenceIndex, startTime, endTime }) => ({ _id, occurrenceIndex, startTime, endTime }))
+            } : {}),
+            conflicts
         }
     });
 });
 
 export const getUserMeetings = catchAsync(async (req, res, next) => {
     const userId = req.id;
-    const { status, page = 1, limit = 10, sort = "-startTime" } = req.query;
-    const userObjectId = new mongoose.Types.ObjectId(userId);
-    const query = {
-        $or: [
-            { scheduledBy: { $eq: userObjectId } },
-            { participants: { $eq: userObjectId } }
-        ]
-    };
+    const { status, term, seriesId, page = 1, limit = 10, sort = "-startTime" } = req.query;
+    const query = userMeetingsFilter(userId);
     const now = new Date();
     if (status === 'upcoming') {
         query.startTime = { $gte: now };
@@ -121,6 +276,13 @@ export const getUserMeetings = catchAsync(async (req, res, next) => {
     } else if (status) {
         query.status = status;
     }
+    if (term) query.term = term;
+    if (seriesId) {
+        if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+            return next(new AppError("Invalid series ID.", 400));
+        }
+        query.seriesId = seriesId;
+    }
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const meetings = await Meeting.find(query)
         .sort(sort)
@@ -165,6 +327,12 @@ export const getMeetingById = catchAsync(async (req, res, next) => {
         .populate("scheduledBy", "name email")
         .populate("projectId", "title");
 
+    // Meetings of other teams look like they do not exist
+    const isParticipant = meeting && (meeting.scheduledBy._id.equals(userId)
+        || meeting.participants.some(participant => participant._id.equals(userId)));
+    if (!isParticipant) {
+        return next(new AppError("Meeting not found", 404));
+    }
   
     res.status(200).json({
         status: "success",
@@ -174,3 +342,396 @@ export const getMeetingById = catchAsync(async (req, res, next) => {
     });
 }
 );
+
+/**
+ * Edit a scheduled meeting's title, description, location or link. Use reschedule to move it.
+ * In a series, `scope: "following"` applies the edit to this and every later scheduled occurrence.
+ * @route PUT /api/v1/meeting/:meetingId
+ */
+export const updateMeeting = catchAsync(async (req, res, next) => {
+    const meeting = await findManageableMeeting(req.params.meetingId, req.id);
+    assertScheduled(meeting);
+    const scopeFilter = getSeriesScopeFilter(meeting, req.body.scope);
+
+    if (req.body.startTime !== undefined || req.body.endTime !== undefined) {
+        return next(new AppError("Use the reschedule endpoint to change the meeting time", 400));
+    }
+    const changed = EDITABLE_FIELDS.filter(field => req.body[field] !== undefined && req.body[field] !== meeting[field]);
+    if (changed.length === 0) {
+        return next(new AppError(`Provide at least one of: ${EDITABLE_FIELDS.join(", ")}`, 400));
+    }
+
+    const update = Object.fromEntries(changed.map(field => [field, req.body[field]]));
+    const { modifiedCount } = await Meeting.updateMany(scopeFilter, { $set: update }, { runValidators: true });
+
+    const meetingDetails = await populateMeeting(Meeting.findById(meeting._id));
+    const updatedMeetings = await populateMeeting(Meeting.find(scopeFilter));
+    await notifyParticipants(meetingDetails, "meetingUpdated", "Meeting Updated",
+        `The meeting "${meetingDetails.title}" was updated (${changed.join(", ")})` +
+        (modifiedCount > 1 ? `, along with the ${modifiedCount - 1} following meeting(s) of the series.` : "."),
+        updatedMeetings);
+
+    res.status(200).json({
+        status: "success",
+        message: "Meeting updated successfully",
+        data: {
+            meeting: meetingDetails,
+            updatedCount: modifiedCount
+        }
+    });
+});
+
+/**
+ * Move a scheduled meeting to a new slot. The original meeting is kept as "rescheduled"
+ * and linked to the new one through rescheduledTo / rescheduledFrom.
+ * @route POST /api/v1/meeting/:meetingId/reschedule
+ */
+export const rescheduleMeeting = catchAsync(async (req, res, next) => {
+    const { startTime, endTime, reason = "", allowConflicts = false } = req.body;
+
+    const original = await findManageableMeeting(req.params.meetingId, req.id);
+    assertScheduled(original);
+    const { start, end } = validateSlot(startTime, endTime);
+
+    const conflicts = await findMeetingConflicts({
+        participantIds: original.participants,
+        slots: [{ startTime: start, endTime: end }],
+        excludeIds: [original._id],
+    });
+    if (conflicts.length && !allowConflicts) {
+        return sendConflicts(res, conflicts);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let replacement;
+    try {
+        [replacement] = await Meeting.create([{
+            title: original.title,
+            description: original.description,
+            projectId: original.projectId,
+            term: original.term,
+            scheduledBy: original.scheduledBy,
+            participants: original.participants,
+            startTime: start,
+            endTime: end,
+            location: original.location,
+            meetingLink: original.meetingLink,
+            roomName: original.roomName,
+            seriesId: original.seriesId,
+            occurrenceIndex: original.occurrenceIndex,
+            recurring: original.recurring,
+            rescheduledFrom: original._id,
+            calendarUid: original.calendarUid || original._id.toString(),
+            rescheduleReason: reason,
+        }], { session });
+
+        original.status = "rescheduled";
+        original.rescheduledTo = replacement._id;
+        original.rescheduleReason = reason;
+        await original.save({ session });
+        await session.commitTransaction();
+    } catch (err) {
+        await session.abortTransaction();
+        console.error("Transaction error during meeting reschedule:", err);
+        return next(new AppError("Failed to reschedule the meeting. Please try again.", 500));
+    } finally {
+        session.endSession();
+    }
+
+    const meetingDetails = await populateMeeting(Meeting.findById(replacement._id));
+    await notifyParticipants(meetingDetails, "meetingRescheduled", "Meeting Rescheduled",
+        `The meeting "${meetingDetails.title}" originally at ${original.startTime.toLocaleString()} was moved to ` +
+        `${start.toLocaleString()}.` + (reason ? ` Reason: ${reason}` : ""),
+        [meetingDetails]);
+
+    res.status(200).json({
+        status: "success",
+        message: "Meeting rescheduled successfully",
+        data: {
+            meeting: meetingDetails,
+            previousMeetingId: original._id,
+            conflicts
+        }
+    });
+});
+
+/**
+ * Cancel a scheduled meeting with a reason. In a series, `scope: "following"` also cancels
+ * every later scheduled occurrence; earlier ones are kept.
+ * @route PATCH /api/v1/meeting/:meetingId/cancel
+ * @route DELETE /api/v1/meeting/:meetingId
+ */
+export const cancelMeeting = catchAsync(async (req, res, next) => {
+    const { reason, scope } = req.body || {};
+
+    const meeting = await findManageableMeeting(req.params.meetingId, req.id);
+    assertScheduled(meeting);
+    const scopeFilter = getSeriesScopeFilter(meeting, scope);
+    if (!reason || !reason.trim()) {
+        return next(new AppError("A cancellation reason is required", 400));
+    }
+
+    // The scope only matches scheduled meetings, so the ids are needed to find them again once cancelled
+    const cancelledIds = (await Meeting.find(scopeFilter).select("_id")).map(entry => entry._id);
+    const { modifiedCount } = await Meeting.updateMany({ _id: { $in: cancelledIds }, status: "scheduled" }, {
+        $set: {
+            status: "cancelled",
+            cancellation: { reason, cancelledBy: req.id, cancelledAt: new Date() },
+        },
+    }, { runValidators: true });
+
+    const meetingDetails = await populateMeeting(Meeting.findById(meeting._id));
+    const cancelledMeetings = await populateMeeting(Meeting.find({ _id: { $in: cancelledIds }, status: "cancelled" }));
+    await notifyParticipants(meetingDetails, "meetingCancelled", "Meeting Cancelled",
+        (modifiedCount > 1
+            ? `The meeting "${meetingDetails.title}" and the ${modifiedCount - 1} following meeting(s) of the series have been cancelled.`
+            : `The meeting "${meetingDetails.title}" has been cancelled.`) + ` Reason: ${reason}`,
+        cancelledMeetings, "CANCEL");
+
+    res.status(200).json({
+        status: "success",
+        message: "Meeting cancelled successfully",
+        data: {
+            meeting: meetingDetails,
+            cancelledCount: modifiedCount
+        }
+    });
+});
+
+/**
+ * Mark a meeting that has started as completed, optionally with its notes
+ * @route PATCH /api/v1/meeting/:meetingId/complete
+ */
+export const completeMeeting = catchAsync(async (req, res, next) => {
+    const { notes } = req.body;
+
+    const meeting = await findManageableMeeting(req.params.meetingId, req.id);
+    assertScheduled(meeting);
+    if (meeting.startTime > new Date()) {
+        return next(new AppError("A meeting cannot be completed before it starts", 400));
+    }
+
+    meeting.status = "completed";
+    meeting.completedAt = new Date();
+    if (notes !== undefined) {
+        meeting.meetingNotes = notes;
+        meeting.notesUpdatedBy = req.id;
+        meeting.notesUpdatedAt = new Date();
+    }
+    await meeting.save();
+
+    const meetingDetails = await populateMeeting(Meeting.findById(meeting._id));
+    await notifyParticipants(meetingDetails, "meetingCompleted", "Meeting Completed",
+        `The meeting "${meetingDetails.title}" has been marked as completed.` + (notes ? " Notes were added." : ""));
+
+    res.status(200).json({
+        status: "success",
+        message: "Meeting marked as completed",
+        data: {
+            meeting: meetingDetails
+        }
+    });
+});
+
+/**
+ * Write or append to the meeting notes. Cancelled and rescheduled meetings take no notes.
+ * @route PATCH /api/v1/meeting/:meetingId/notes
+ */
+export const addMeetingNotes = catchAsync(async (req, res, next) => {
+    const { notes, append = false } = req.body;
+
+    const meeting = await findManageableMeeting(req.params.meetingId, req.id);
+    if (!["scheduled", "completed"].includes(meeting.status)) {
+        return next(new AppError(`Notes cannot be added to a ${meeting.status} meeting`, 400, "MEETING_NOT_SCHEDULED"));
+    }
+    if (typeof notes !== "string" || !notes.trim()) {
+        return next(new AppError("Notes are required", 400));
+    }
+
+    meeting.meetingNotes = append && meeting.meetingNotes
+        ? `${meeting.meetingNotes}\n\n${notes}`
+        : notes;
+    meeting.notesUpdatedBy = req.id;
+    meeting.notesUpdatedAt = new Date();
+    await meeting.save();
+
+    const meetingDetails = await populateMeeting(Meeting.findById(meeting._id));
+    await notifyParticipants(meetingDetails, "meetingNotesUpdated", "Meeting Notes Updated",
+        `Notes were ${append ? "added to" : "updated for"} the meeting "${meetingDetails.title}".`);
+
+    res.status(200).json({
+        status: "success",
+        message: "Meeting notes saved successfully",
+        data: {
+            meeting: meetingDetails
+        }
+    });
+});
+
+/**
+ * Record who attended a meeting. Only participants can be marked; earlier marks are overwritten.
+ * @route PATCH /api/v1/meeting/:meetingId/attendance
+ * @body { attendance: [{ user, status: "present" | "absent" | "excused" }] }
+ */
+export const recordAttendance = catchAsync(async (req, res, next) => {
+    const { attendance } = req.body;
+
+    const meeting = await findManageableMeeting(req.params.meetingId, req.id);
+    if (!["scheduled", "completed"].includes(meeting.status)) {
+        return next(new AppError(`Attendance cannot be recorded for a ${meeting.status} meeting`, 400, "MEETING_NOT_SCHEDULED"));
+    }
+    if (meeting.startTime > new Date()) {
+        return next(new AppError("Attendance can only be recorded once the meeting has started", 400));
+    }
+    if (!Array.isArray(attendance) || attendance.length === 0) {
+        return next(new AppError("attendance must be a non-empty list", 400));
+    }
+
+    const participants = new Set(meeting.participants.map(id => id.toString()));
+    for (const entry of attendance) {
+        if (!entry || !participants.has(String(entry.user))) {
+            return next(new AppError(`User ${entry?.user} is not a participant of this meeting`, 400));
+        }
+        if (!ATTENDANCE_STATUSES.includes(entry.status)) {
+            return next(new AppError(`status must be one of: ${ATTENDANCE_STATUSES.join(", ")}`, 400));
+        }
+    }
+
+    const marked = new Map(meeting.attendance.map(entry => [entry.user.toString(), entry]));
+    attendance.forEach(({ user, status }) => {
+        marked.set(String(user), { user, status, markedBy: req.id, markedAt: new Date() });
+    });
+    meeting.attendance = [...marked.values()];
+    await meeting.save();
+
+    const meetingDetails = await populateMeeting(Meeting.findById(meeting._id))
+        .populate("attendance.user", "name email");
+
+    res.status(200).json({
+        status: "success",
+        message: "Attendance recorded successfully",
+        data: {
+            meeting: meetingDetails
+        }
+    });
+});
+
+/**
+ * Download a meeting as an iCalendar file. Occurrences of a series export the whole series.
+ * @route GET /api/v1/meeting/:meetingId/calendar
+ */
+export const downloadMeetingCalendar = catchAsync(async (req, res, next) => {
+    const meeting = await findMeeting(req.params.meetingId);
+    const isParticipant = meeting.scheduledBy.equals(req.id)
+        || meeting.participants.some(participant => participant.equals(req.id));
+    if (!isParticipant) {
+        return next(new AppError("Meeting not found", 404));
+    }
+
+    const meetings = meeting.seriesId
+        ? await populateMeeting(Meeting.find({ seriesId: meeting.seriesId }))
+        : [await populateMeeting(Meeting.findById(meeting._id))];
+
+    res.set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": `attachment; filename="meeting-${meeting._id}.ics"`,
+    });
+    res.status(200).send(buildCalendar(meetings));
+});
+
+/**
+ * Create, or replace, the user's secret calendar feed URL. The token is only shown once.
+ * @route POST /api/v1/meeting/calendar/feed
+ */
+export const createCalendarFeed = catchAsync(async (req, res) => {
+    const user = await User.findById(req.id);
+    const feedToken = user.getCalendarFeedToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(201).json({
+        status: "success",
+        message: "Calendar feed created. Any earlier feed URL no longer works.",
+        data: {
+            feedUrl: `${req.protocol}://${req.get("host")}/api/v1/meeting/calendar/feed/${feedToken}.ics`
+        }
+    });
+});
+
+/**
+ * Revoke the user's calendar feed URL
+ * @route DELETE /api/v1/meeting/calendar/feed
+ */
+export const revokeCalendarFeed = catchAsync(async (req, res) => {
+    await User.updateOne({ _id: req.id }, { $unset: { calendarFeedToken: 1 } });
+
+    res.status(200).json({
+        status: "success",
+        message: "Calendar feed revoked"
+    });
+});
+
+/**
+ * Public iCalendar feed of a user's meetings from the last FEED_HISTORY_DAYS days onwards,
+ * for calendar apps to subscribe to. Authenticated by the secret token in the URL.
+ * @route GET /api/v1/meeting/calendar/feed/:token.ics
+ */
+export const getCalendarFeed = catchAsync(async (req, res, next) => {
+    const token = req.params.token.replace(/\.ics$/, "");
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+    const user = await User.findOne({ calendarFeedToken: hashedToken }).select("_id name");
+    if (!user) {
+        return next(new AppError("Calendar feed not found", 404));
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const meetings = await populateMeeting(
+        Meeting.find({ ...userMeetingsFilter(user._id), startTime: { $gte: since } }).sort("startTime")
+    );
+
+    res.set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Cache-Control": "private, max-age=300",
+    });
+    res.status(200).send(buildCalendar(meetings, { name: `MentorMatrix meetings - ${user.name}` }));
+});
+
+/**
+ * Propose times at which the whole project team, its mentors and the requester are free
+ * @route GET /api/v1/meeting/free-slots/:projectId?from=&to=&duration=60&dayStart=9&dayEnd=18&step=30&includeWeekends=false&limit=10
+ */
+export const getFreeSlots = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, mentorRole } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !mentorRole) {
+        return next(new AppError("Only the project team and its mentors can plan its meetings", 403));
+    }
+
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : now;
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to)) {
+        return next(new AppError("from and to must be valid dates", 400));
+    }
+    const toNumber = (value, fallback) => (value === undefined ? fallback : Number(value));
+
+    const participantIds = getMeetingParticipants(project, req.id);
+    const slots = await findFreeSlots({
+        participantIds,
+        from: from < now ? now : from,
+        to,
+        durationMinutes: toNumber(req.query.duration, 60),
+        dayStartHour: toNumber(req.query.dayStart, 9),
+        dayEndHour: toNumber(req.query.dayEnd, 18),
+        stepMinutes: toNumber(req.query.step, 30),
+        includeWeekends: req.query.includeWeekends === "true",
+        limit: toNumber(req.query.limit, 10),
+    });
+
+    res.status(200).json({
+        status: "success",
+        data: {
+            slots,
+            participants: participantIds.length
+        }
+    });
+});
@@ -5,6 +5,16 @@ import { Project } from "../models/project.model.js";
 import { Chat } from "../models/chat.model.js";
 import { AppError } from "../middleware/error.middleware.js";
 import { socketIdToUserId, getIO } from "../socket/socket.js";
+import mongoose from "mongoose";
+
+// Only participants can read or write a chat; other chats look like they do not exist
+const findParticipantChat = async (chatId, userId) => {
+    const chat = mongoose.isValidObjectId(chatId) ? await Chat.findById(chatId) : null;
+    if (!chat || !chat.participants.some(id => id.equals(userId))) {
+        throw new AppError("Chat not found", 404);
+    }
+    return chat;
+};
 
 export const sendMessage = catchAsync(async (req, res, next) => {
     const { content } = req.body; 
@@ -24,11 +34,10 @@ export const sendMessage = catchAsync(async (req, res, next) => {
     }
     const senderId = req.id;
     const sender = await User.findById(senderId);
-    const chat = await Chat.findById(chatId);
-
-    if (!sender || !chat) {
-        return next(new AppError("Sender or chat not found", 404));
+    if (!sender) {
+        return next(new AppError("Sender not found", 404));
     }
+    await findParticipantChat(chatId, senderId);
 
     const message = await Message.create({
         chat: chatId,
@@ -89,6 +98,7 @@ export const getMessages = catchAsync(async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
+    await findParticipantChat(chatId, req.id);
   
     const messages = await Message.find({ chat: chatId })
       .populate('sender', 'name email') 
@@ -111,6 +121,7 @@ export const getMessages = catchAsync(async (req, res, next) => {
   export const getUnreadMessages = catchAsync(async (req, res, next) => {
     const { chatId } = req.params;
     const { id: userId } = req.user;
+    await findParticipantChat(chatId, req.id);
   
     const unreadMessages = await Message.find({
       chat: chatId,
@@ -134,6 +145,7 @@ export const getMessages = catchAsync(async (req, res, next) => {
     const { id: userId } = req.user;
   
     console.log("Marking messages as read for chat:", chatId);
+    await findParticipantChat(chatId, req.id);
 
     // Update message status
     const result = await Message.updateMany(
@@ -0,0 +1,241 @@
+import mongoose from "mongoose";
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+
+const MILESTONE_STATUSES = ["pending", "in-progress", "completed"];
+
+const findMilestone = (project, milestoneId) => {
+    const milestone = project.milestones.id(milestoneId);
+    if (!milestone) {
+        throw new AppError("Milestone not found", 404);
+    }
+    return milestone;
+};
+
+// Milestone owners must be on the team
+const validateOwner = (project, owner) => {
+    if (owner && !project.teamMembers.some(id => id.toString() === owner.toString())) {
+        throw new AppError("Milestone owner must be a team member", 400);
+    }
+};
+
+// Linked documents must already be uploaded to the project
+const validateDocuments = (project, documents) => {
+    if (!Array.isArray(documents)) {
+        throw new AppError("documents must be an array of project document IDs", 400);
+    }
+    if (documents.some(id => typeof id !== "string")) {
+        throw new AppError("Document IDs must be strings", 400);
+    }
+    const projectDocIds = project.documents.map(doc => doc._id.toString());
+    const unknown = documents.filter(id => !projectDocIds.includes(id));
+    if (unknown.length > 0) {
+        throw new AppError(`Documents not found in this project: ${unknown.join(", ")}`, 400);
+    }
+    return [...new Set(documents)];
+};
+
+const sendMilestones = (res, statusCode, message, project, extra = {}) => {
+    res.status(statusCode).json({
+        success: true,
+        message,
+        ...extra,
+        milestones: project.milestones,
+        progress: project.progress,
+    });
+};
+
+/**
+ * List milestones of a project in their current order
+ * @route GET /api/v1/project/:projectId/milestones
+ */
+export const getMilestones = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, isMentor, isReviewer } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !isMentor && !isReviewer) {
+        return next(new AppError("You are not authorized to view milestones of this project", 403));
+    }
+
+    await project.populate("milestones.owner milestones.signOff.by", "name email");
+
+    sendMilestones(res, 200, "Milestones fetched successfully", project);
+});
+
+/**
+ * Create a milestone at the end of the list
+ * @route POST /api/v1/project/:projectId/milestones
+ */
+export const createMilestone = catchAsync(async (req, res, next) => {
+    const { title, description, dueDate, owner, documents = [] } = req.body;
+
+    const { project, isTeamMember, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !isMentor) {
+        return next(new AppError("Only team members or the project mentor can add milestones", 403));
+    }
+
+    if (!title) {
+        return next(new AppError("Milestone title is required", 400));
+    }
+    validateOwner(project, owner);
+
+    project.milestones.push({
+        title,
+        description,
+        dueDate,
+        owner: owner || null,
+        documents: validateDocuments(project, documents),
+    });
+    await project.save();
+
+    const milestone = project.milestones[project.milestones.length - 1];
+    sendMilestones(res, 201, "Milestone created successfully", project, { milestone });
+});
+
+/**
+ * Update milestone details
+ * @route PATCH /api/v1/project/:projectId/milestones/:milestoneId
+ */
+export const updateMilestone = catchAsync(async (req, res, next) => {
+    const { title, description, dueDate, owner, status, documents } = req.body;
+
+    const { project, isTeamMember, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !isMentor) {
+        return next(new AppError("Only team members or the project mentor can update milestones", 403));
+    }
+
+    const milestone = findMilestone(project, req.params.milestoneId);
+
+    if (status !== undefined) {
+        if (!MILESTONE_STATUSES.includes(status)) {
+            return next(new AppError(`Invalid status. Use one of: ${MILESTONE_STATUSES.join(", ")}`, 400));
+        }
+        // Completion goes through the dedicated endpoint so sign-off is reset consistently
+        if (status === "completed" && milestone.status !== "completed") {
+            return next(new AppError("Use the complete endpoint to mark a milestone as completed", 400));
+        }
+        if (status !== "completed") {
+            milestone.completedAt = null;
+            milestone.signOff = { status: "pending", by: null, at: null, comment: "" };
+        }
+        milestone.status = status;
+    }
+
+    if (owner !== undefined) {
+        validateOwner(project, owner);
+        milestone.owner = owner || null;
+    }
+    if (documents !== undefined) milestone.documents = validateDocuments(project, documents);
+    if (title !== undefined) milestone.title = title;
+    if (description !== undefined) milestone.description = description;
+    if (dueDate !== undefined) milestone.dueDate = dueDate;
+
+    await project.save();
+
+    sendMilestones(res, 200, "Milestone updated successfully", project, { milestone });
+});
+
+/**
+ * Mark a milestone as completed; it then awaits mentor sign-off
+ * @route PATCH /api/v1/project/:projectId/milestones/:milestoneId/complete
+ */
+export const completeMilestone = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember) {
+        return next(new AppError("Only team members can complete milestones", 403));
+    }
+
+    const milestone = findMilestone(project, req.params.milestoneId);
+    if (milestone.status === "completed") {
+        return next(new AppError("Milestone is already completed", 400));
+    }
+
+    milestone.status = "completed";
+    milestone.completedAt = new Date();
+    milestone.signOff = { status: "pending", by: null, at: null, comment: "" };
+    await project.save();
+
+    sendMilestones(res, 200, "Milestone marked as completed", project, { milestone });
+});
+
+/**
+ * Mentor sign-off on a completed milestone. Rejecting reopens the milestone.
+ * @route PATCH /api/v1/project/:projectId/milestones/:milestoneId/sign-off
+ */
+export const signOffMilestone = catchAsync(async (req, res, next) => {
+    const { decision, comment = "" } = req.body;
+
+    const { project, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isMentor) {
+        return next(new AppError("Only the project mentors can sign off milestones", 403));
+    }
+
+    if (!["approve", "reject"].includes(decision)) {
+        return next(new AppError("Invalid decision value. Use 'approve' or 'reject'", 400));
+    }
+
+    const milestone = findMilestone(project, req.params.milestoneId);
+    if (milestone.status !== "completed") {
+        return next(new AppError("Only completed milestones can be signed off", 400));
+    }
+
+    milestone.signOff = {
+        status: decision === "approve" ? "approved" : "rejected",
+        by: req.id,
+        at: new Date(),
+        comment,
+    };
+    if (decision === "reject") {
+        milestone.status = "in-progress";
+        milestone.completedAt = null;
+    }
+    await project.save();
+
+    sendMilestones(res, 200, `Milestone ${decision === "approve" ? "approved" : "rejected"} successfully`, project, { milestone });
+});
+
+/**
+ * Reorder milestones. Expects the full list of milestone ids in the new order.
+ * @route PUT /api/v1/project/:projectId/milestones/reorder
+ */
+export const reorderMilestones = catchAsync(async (req, res, next) => {
+    const { order } = req.body;
+
+    const { project, isTeamMember, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !isMentor) {
+        return next(new AppError("Only team members or the project mentor can reorder milestones", 403));
+    }
+
+    if (!Array.isArray(order) || !order.every(id => typeof id === "string" && mongoose.isValidObjectId(id))) {
+        return next(new AppError("order must be an array of milestone IDs", 400));
+    }
+
+    const currentIds = project.milestones.map(m => m._id.toString());
+    const requestedIds = order;
+    const isSameSet = requestedIds.length === currentIds.length
+        && new Set(requestedIds).size === requestedIds.length
+        && requestedIds.every(id => currentIds.includes(id));
+    if (!isSameSet) {
+        return next(new AppError("order must contain every milestone of the project exactly once", 400));
+    }
+
+    project.milestones = requestedIds.map(id => project.milestones.id(id).toObject());
+    await project.save();
+
+    sendMilestones(res, 200, "Milestones reordered successfully", project);
+});
+
+/**
+ * Delete a milestone
+ * @route DELETE /api/v1/project/:projectId/milestones/:milestoneId
+ */
+export const deleteMilestone = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !isMentor) {
+        return next(new AppError("Only team members or the project mentor can delete milestones", 403));
+    }
+
+    const milestone = findMilestone(project, req.params.milestoneId);
+    milestone.deleteOne();
+    await project.save();
+
+    sendMilestones(res, 200, "Milestone deleted successfully", project);
+});
@@ -0,0 +1,294 @@
+import mongoose from "mongoose";
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { DEFAULT_PEER_CRITERIA, PeerReviewRound } from "../models/peerReview.model.js";
+import { User } from "../models/user.model.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { getPendingReviewers, sendPeerReviewReminders } from "../utils/peerReviewScheduler.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { emitToProjectChat } from "../socket/socket.js";
+
+const findRound = async (project, roundId, { withSubmissions = false } = {}) => {
+    if (!mongoose.isValidObjectId(roundId)) {
+        throw new AppError("Invalid peer review ID", 400);
+    }
+    const query = PeerReviewRound.findOne({ _id: roundId, project: project._id });
+    if (withSubmissions) query.select("+submissions");
+    const round = await query;
+    if (!round) {
+        throw new AppError("Peer review not found", 404);
+    }
+    return round;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Open a peer evaluation round for the team. Only one round can be open at a time.
+ * @route POST /api/v1/project/:projectId/peer-reviews
+ */
+export const openPeerReview = catchAsync(async (req, res, next) => {
+    const { criteria, deadline, instructions } = req.body;
+
+    const { project, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isMentor) {
+        return next(new AppError("Only the project's mentors can open a peer evaluation", 403));
+    }
+    if (project.teamMembers.length < 2) {
+        return next(new AppError("Peer evaluation needs at least two team members", 400));
+    }
+    const deadlineDate = new Date(deadline);
+    if (!deadline || isNaN(deadlineDate) || deadlineDate <= new Date()) {
+        return next(new AppError("A deadline in the future is required", 400));
+    }
+
+    const alreadyOpen = await PeerReviewRound.exists({ project: project._id, status: "open" });
+    if (alreadyOpen) {
+        return next(new AppError("A peer evaluation is already open for this project", 400, "PEER_REVIEW_ALREADY_OPEN"));
+    }
+
+    const round = await PeerReviewRound.create({
+        project: project._id,
+        openedBy: req.id,
+        instructions,
+        criteria: criteria?.length ? criteria : DEFAULT_PEER_CRITERIA,
+        participants: project.teamMembers,
+        deadline: deadlineDate,
+    });
+
+    await emitToProjectChat(project._id, "peerReviewOpened", { roundId: round._id, deadline: round.deadline });
+    try {
+        const members = await User.find({ _id: { $in: project.teamMembers } }).select("email");
+        const emails = members.map(member => member.email).filter(Boolean);
+        if (emails.length) {
+            await sendEmail({
+                email: emails,
+                subject: "Peer Evaluation Opened",
+                message: `A peer evaluation has been opened for project '${project.title}'. ` +
+                    `Rate each of your teammates before ${round.deadline.toUTCString()}. Your ratings are anonymous.`,
+            });
+        }
+    } catch (emailError) {
+        console.error("Error sending peer evaluation email:", emailError);
+    }
+
+    res.status(201).json({
+        success: true,
+        message: "Peer evaluation opened successfully",
+        round,
+    });
+});
+
+/**
+ * List peer evaluation rounds. Students see whether they have submitted;
+ * mentors see who is still pending.
+ * @route GET /api/v1/project/:projectId/peer-reviews
+ */
+export const getPeerReviews = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !isMentor) {
+        return next(new AppError("You are not authorized to view this project's peer evaluations", 403));
+    }
+
+    const rounds = await PeerReviewRound.find({ project: project._id })
+        .select("+submissions")
+        .sort({ createdAt: -1 });
+
+    const result = rounds.map(round => {
+        const { submissions, ...data } = round.toObject({ virtuals: true });
+        if (isMentor) {
+            return {
+                ...data,
+                submittedCount: submissions.length,
+                pendingReviewers: getPendingReviewers(round),
+            };
+        }
+        return {
+            ...data,
+            hasSubmitted: submissions.some(submission => submission.reviewer.equals(req.id)),
+        };
+    });
+
+    res.status(200).json({
+        success: true,
+        message: "Peer evaluations fetched successfully",
+        rounds: result,
+    });
+});
+
+/**
+ * Submit your ratings. Every teammate must be rated on every criterion; self ratings are not allowed.
+ * @route POST /api/v1/project/:projectId/peer-reviews/:roundId/submit
+ */
+export const submitPeerReview = catchAsync(async (req, res, next) => {
+    const { ratings, comments = [] } = req.body;
+
+    const { project } = await getProjectWithAccess(req.params.projectId, req.id);
+    const round = await findRound(project, req.params.roundId, { withSubmissions: true });
+
+    if (!round.participants.some(participant => participant.equals(req.id))) {
+        return next(new AppError("You are not a participant of this peer evaluation", 403));
+    }
+    if (round.status !== "open" || round.isPastDeadline) {
+        return next(new AppError("This peer evaluation is closed", 400, "PEER_REVIEW_CLOSED"));
+    }
+    if (round.submissions.some(submission => submission.reviewer.equals(req.id))) {
+        return next(new AppError("You have already submitted this peer evaluation", 400));
+    }
+
+    const teammates = round.participants.filter(participant => !participant.equals(req.id));
+    if (!Array.isArray(ratings)) {
+        return next(new AppError("Ratings must be an array", 400));
+    }
+
+    if (!ratings.every(rating => rating && typeof rating === "object")) {
+        return next(new AppError("Each rating must be an object with revieweeId, criterionId and score", 400));
+    }
+    if (!Array.isArray(comments) || !comments.every(comment => comment && typeof comment === "object" && typeof comment.content === "string")) {
+        return next(new AppError("Comments must be an array of objects with revieweeId and content", 400));
+    }
+
+    const given = new Map();
+    for (const { revieweeId, criterionId, score } of ratings) {
+        const criterion = mongoose.isValidObjectId(criterionId) && round.criteria.id(criterionId);
+        if (!criterion) {
+            return next(new AppError(`Criterion ${criterionId} is not part of this peer evaluation`, 400));
+        }
+        if (!teammates.some(teammate => teammate.equals(revieweeId))) {
+            return next(new AppError("You can only rate your teammates", 400));
+        }
+        if (!Number.isInteger(score) || score < 1 || score > criterion.maxScore) {
+            return next(new AppError(`Scores for "${criterion.name}" must be whole numbers from 1 to ${criterion.maxScore}`, 400));
+        }
+        given.set(`${revieweeId}:${criterion._id}`, { reviewee: revieweeId, criterion: criterion._id, score });
+    }
+    if (given.size !== teammates.length * round.criteria.length) {
+        return next(new AppError("Rate every teammate on every criterion", 400, "PEER_REVIEW_INCOMPLETE"));
+    }
+
+    const validComments = comments
+        .filter(comment => comment.content.trim() && teammates.some(teammate => teammate.equals(comment.revieweeId)))
+        .map(comment => ({ reviewee: comment.revieweeId, content: comment.content }));
+
+    round.submissions.push({ reviewer: req.id, ratings: [...given.values()], comments: validComments });
+    await round.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Peer evaluation submitted successfully",
+    });
+});
+
+/**
+ * Aggregated, anonymous results per team member. Mentors only, once the round is closed or
+ * past its deadline: results that change with every submission would reveal who wrote what.
+ * @route GET /api/v1/project/:projectId/peer-reviews/:roundId/results
+ */
+export const getPeerReviewResults = catchAsync(async (req, res, next) => {
+    const { project, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isMentor) {
+        return next(new AppError("Only the project's mentors can view peer evaluation results", 403));
+    }
+    const round = await findRound(project, req.params.roundId, { withSubmissions: true });
+    if (round.status === "open" && !round.isPastDeadline) {
+        return next(new AppError("Results are available once the peer evaluation is closed or past its deadline", 400, "PEER_REVIEW_OPEN"));
+    }
+
+    const students = await User.find({ _id: { $in: round.participants } }).select("name email avatar");
+    const ratings = round.submissions.flatMap(submission => submission.ratings);
+    const comments = round.submissions.flatMap(submission => submission.comments);
+
+    const results = students.map(student => {
+        const received = ratings.filter(rating => rating.reviewee.equals(student._id));
+        const criteria = round.criteria.map(criterion => {
+            const scores = received.filter(rating => rating.criterion.equals(criterion._id)).map(rating => rating.score);
+            const average = scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+            return {
+                criterion: criterion._id,
+                name: criterion.name,
+                maxScore: criterion.maxScore,
+                average: average !== null ? round2(average) : null,
+                ratings: scores.length,
+            };
+        });
+        // Overall score as a percentage so criteria with different scales weigh the same
+        const rated = criteria.filter(entry => entry.average !== null);
+        const overall = rated.length
+            ? round2(rated.reduce((sum, entry) => sum + entry.average / entry.maxScore, 0) / rated.length * 100)
+            : null;
+        return {
+            student,
+            criteria,
+            overall,
+            reviewers: round.submissions
+                .filter(submission => submission.ratings.some(rating => rating.reviewee.equals(student._id)))
+                .length,
+            comments: comments
+                .filter(comment => comment.reviewee.equals(student._id))
+                .map(comment => comment.content),
+        };
+    });
+
+    res.status(200).json({
+        success: true,
+        message: "Peer evaluation results fetched successfully",
+        round: {
+            _id: round._id,
+            status: round.status,
+            deadline: round.deadline,
+            criteria: round.criteria,
+            submittedCount: round.submissions.length,
+            participantCount: round.participants.length,
+        },
+        results,
+    });
+});
+
+/**
+ * Close a round before its deadline
+ * @route PATCH /api/v1/project/:projectId/peer-reviews/:roundId/close
+ */
+export const closePeerReview = catchAsync(async (req, res, next) => {
+    const { project, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isMentor) {
+        return next(new AppError("Only the project's mentors can close a peer evaluation", 403));
+    }
+    const round = await findRound(project, req.params.roundId);
+    if (round.status === "closed") {
+        return next(new AppError("This peer evaluation is already closed", 400));
+    }
+
+    round.status = "closed";
+    round.closedAt = new Date();
+    await round.save();
+
+    await emitToProjectChat(project._id, "peerReviewClosed", { roundId: round._id });
+
+    res.status(200).json({
+        success: true,
+        message: "Peer evaluation closed successfully",
+        round,
+    });
+});
+
+/**
+ * Email a reminder to everyone who has not submitted yet
+ * @route POST /api/v1/project/:projectId/peer-reviews/:roundId/remind
+ */
+export const remindPeerReview = catchAsync(async (req, res, next) => {
+    const { project, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isMentor) {
+        return next(new AppError("Only the project's mentors can send reminders", 403));
+    }
+    const round = await findRound(project, req.params.roundId, { withSubmissions: true });
+    if (round.status !== "open") {
+        return next(new AppError("This peer evaluation is closed", 400, "PEER_REVIEW_CLOSED"));
+    }
+
+    const reminded = await sendPeerReviewReminders(round);
+
+    res.status(200).json({
+        success: true,
+        message: reminded ? `Reminder sent to ${reminded} student(s)` : "Everyone has already submitted",
+        reminded,
+    });
+});
@@ -0,0 +1,315 @@
+import mongoose from "mongoose";
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { Project } from "../models/project.model.js";
+import { ProgressReport } from "../models/progressReport.model.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { getPolicy } from "../utils/projectPolicy.js";
+import { findMissedReports, getReportPeriod, getReportPeriods } from "../utils/progressReports.js";
+import { getReportDigest } from "../utils/summarizer.js";
+import { isTenantAdmin, tenantFilter } from "../utils/tenancy.js";
+import { emitToProjectChat } from "../socket/socket.js";
+
+const REPORT_FIELDS = ["workDone", "blockers", "nextSteps", "hours"];
+
+const findReport = async (project, reportId) => {
+    if (!mongoose.isValidObjectId(reportId)) {
+        throw new AppError("Invalid report ID", 400);
+    }
+    const report = await ProgressReport.findOne({ _id: reportId, project: project._id });
+    if (!report) {
+        throw new AppError("Progress report not found", 404);
+    }
+    return report;
+};
+
+const assertCanView = ({ project, isTeamMember, mentorRole }, user) => {
+    if (!isTeamMember && !mentorRole && !isTenantAdmin(user, project)) {
+        throw new AppError("You are not authorized to view this project's progress reports", 403);
+    }
+};
+
+/**
+ * Submit the progress report for the current period, or a late one for an earlier period
+ * @route POST /api/v1/project/:projectId/reports
+ */
+export const submitReport = catchAsync(async (req, res, next) => {
+    const { workDone, blockers, nextSteps, hours, periodStart } = req.body;
+
+    const { project, isTeamMember } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember) {
+        return next(new AppError("Only team members can submit progress reports", 403));
+    }
+    if (project.status !== "approved") {
+        return next(new AppError("Progress reports can only be submitted for approved projects", 400));
+    }
+
+    const policy = await getPolicy(project.institution);
+    const now = new Date();
+    const date = periodStart ? new Date(periodStart) : now;
+    if (isNaN(date) || date > now) {
+        return next(new AppError("periodStart must be a valid date that is not in the future", 400));
+    }
+    const filed = await ProgressReport.find({ project: project._id }).select("periodStart periodEnd").lean();
+    const period = getReportPeriod(project, policy.progressReportIntervalDays, date, filed);
+
+    const exists = filed.some(report => report.periodStart.getTime() === period.start.getTime());
+    if (exists) {
+        return next(new AppError("A report for this period has already been submitted", 400, "REPORT_ALREADY_SUBMITTED"));
+    }
+
+    const report = await ProgressReport.create({
+        project: project._id,
+        submittedBy: req.id,
+        periodStart: period.start,
+        periodEnd: period.end,
+        workDone,
+        blockers,
+        nextSteps,
+        hours,
+        isLate: period.end <= now,
+    });
+
+    await emitToProjectChat(project._id, "progressReportSubmitted", { reportId: report._id, periodStart: report.periodStart });
+
+    res.status(201).json({
+        success: true,
+        message: "Progress report submitted successfully",
+        report,
+    });
+});
+
+/**
+ * List a project's progress reports, newest first
+ * @route GET /api/v1/project/:projectId/reports
+ */
+export const getReports = catchAsync(async (req, res) => {
+    const access = await getProjectWithAccess(req.params.projectId, req.id);
+    assertCanView(access, req.user);
+
+    const reports = await ProgressReport.find({ project: access.project._id })
+        .populate("submittedBy", "name email avatar")
+        .populate("acknowledgedBy", "name email")
+        .populate("comments.author", "name email avatar role")
+        .sort({ periodStart: -1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Progress reports fetched successfully",
+        reports,
+    });
+});
+
+/**
+ * Every reporting period of the project with its report, or whether it was missed
+ * @route GET /api/v1/project/:projectId/reports/timeline
+ */
+export const getReportTimeline = catchAsync(async (req, res) => {
+    const access = await getProjectWithAccess(req.params.projectId, req.id);
+    assertCanView(access, req.user);
+    const { project } = access;
+
+    const policy = await getPolicy(project.institution);
+    const reports = await ProgressReport.find({ project: project._id })
+        .populate("submittedBy", "name email avatar")
+        .select("-comments");
+    const byPeriod = new Map(reports.map(report => [report.periodStart.getTime(), report]));
+
+    // Only approved projects are expected to report
+    const periods = project.status === "approved" || reports.length
+        ? getReportPeriods(project, policy.progressReportIntervalDays, reports)
+        : [];
+    const now = new Date();
+    const timeline = periods.map(period => {
+        const report = byPeriod.get(period.start.getTime()) || null;
+        let status = "current";
+        if (report) status = report.isLate ? "late" : "submitted";
+        else if (period.end <= now) status = "missed";
+        return { ...period, status, report };
+    });
+
+    res.status(200).json({
+        success: true,
+        message: "Progress report timeline fetched successfully",
+        intervalDays: policy.progressReportIntervalDays,
+        missedCount: timeline.filter(entry => entry.status === "missed").length,
+        timeline: timeline.reverse(),
+    });
+});
+
+/**
+ * Edit a report until a mentor acknowledges it
+ * @route PATCH /api/v1/project/:projectId/reports/:reportId
+ */
+export const updateReport = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember) {
+        return next(new AppError("Only team members can edit progress reports", 403));
+    }
+    const report = await findReport(project, req.params.reportId);
+    if (report.acknowledgedAt) {
+        return next(new AppError("Acknowledged reports can no longer be edited", 400));
+    }
+
+    REPORT_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) report[field] = req.body[field];
+    });
+    await report.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Progress report updated successfully",
+        report,
+    });
+});
+
+/**
+ * Acknowledge a report
+ * @route POST /api/v1/project/:projectId/reports/:reportId/acknowledge
+ */
+export const acknowledgeReport = catchAsync(async (req, res, next) => {
+    const { project, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isMentor) {
+        return next(new AppError("Only the project's mentors can acknowledge progress reports", 403));
+    }
+    const report = await findReport(project, req.params.reportId);
+    if (report.acknowledgedAt) {
+        return next(new AppError("This report has already been acknowledged", 400));
+    }
+
+    report.acknowledgedBy = req.id;
+    report.acknowledgedAt = new Date();
+    await report.save();
+
+    await emitToProjectChat(project._id, "progressReportAcknowledged", { reportId: report._id });
+
+    res.status(200).json({
+        success: true,
+        message: "Progress report acknowledged",
+        report,
+    });
+});
+
+/**
+ * Comment on a report
+ * @route POST /api/v1/project/:projectId/reports/:reportId/comments
+ */
+export const addReportComment = catchAsync(async (req, res, next) => {
+    const { content } = req.body;
+
+    const { project, isTeamMember, mentorRole } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !mentorRole) {
+        return next(new AppError("Only team members and mentors can comment on progress reports", 403));
+    }
+    if (!content || !content.trim()) {
+        return next(new AppError("Comment content is required", 400));
+    }
+    const report = await findReport(project, req.params.reportId);
+
+    report.comments.push({ author: req.id, content });
+    await report.save();
+    await report.populate("comments.author", "name email avatar role");
+
+    const comment = report.comments[report.comments.length - 1];
+    await emitToProjectChat(project._id, "progressReportComment", { reportId: report._id, comment });
+
+    res.status(201).json({
+        success: true,
+        message: "Comment added successfully",
+        comment,
+    });
+});
+
+// Projects a mentor is responsible for; admins see every project of their institution
+const getOverseenProjects = (user) => {
+    const filter = user.role === "admin"
+        ? { status: "approved", ...tenantFilter(user) }
+        : { status: "approved", $or: [{ assignedMentor: user._id }, { "mentors.user": user._id }] };
+    return Project.find(filter).select("title status approvedAt mentors createdAt assignedMentor institution");
+};
+
+/**
+ * Ended reporting periods without a report across the mentor's projects
+ * @route GET /api/v1/project/reports/missed
+ */
+export const getMissedReports = catchAsync(async (req, res, next) => {
+    if (!["mentor", "admin"].includes(req.user.role)) {
+        return next(new AppError("Only mentors can view missed reports", 403));
+    }
+
+    const policy = await getPolicy(req.user.institution);
+    const projects = await getOverseenProjects(req.user);
+    const missed = await findMissedReports(projects);
+
+    res.status(200).json({
+        success: true,
+        message: "Missed reports fetched successfully",
+        intervalDays: policy.progressReportIntervalDays,
+        projects: missed.map(({ project, missed: periods }) => ({
+            project: { _id: project._id, title: project.title },
+            missedCount: periods.length,
+            periods,
+        })),
+    });
+});
+
+/**
+ * One-paragraph digest of recent reports across the mentor's projects.
+ * Uses Gemini when `useAI=true` and falls back to a plain summary otherwise.
+ * @route GET /api/v1/project/reports/digest?days=7&useAI=true
+ */
+export const getReportsDigest = catchAsync(async (req, res, next) => {
+    if (!["mentor", "admin"].includes(req.user.role)) {
+        return next(new AppError("Only mentors can view the reports digest", 403));
+    }
+    const days = Math.min(Math.max(Number(req.query.days) || 7, 1), 90);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const projects = await getOverseenProjects(req.user);
+    const [reports, missed] = await Promise.all([
+        ProgressReport.find({ project: { $in: projects.map(project => project._id) }, createdAt: { $gte: since } })
+            .select("project workDone blockers nextSteps hours createdAt")
+            .sort({ createdAt: -1 })
+            .lean(),
+        findMissedReports(projects),
+    ]);
+    const missedByProject = new Map(missed.map(entry => [entry.project._id.toString(), entry.missed.length]));
+
+    const overview = projects.map(project => {
+        const projectReports = reports.filter(report => report.project.equals(project._id));
+        return {
+            projectId: project._id,
+            title: project.title,
+            reports: projectReports,
+            hours: projectReports.reduce((sum, report) => sum + (report.hours || 0), 0),
+            blocked: projectReports.some(report => report.blockers),
+            missed: missedByProject.get(project._id.toString()) || 0,
+        };
+    });
+
+    let digest = null;
+    if (req.query.useAI === "true" && overview.length) {
+        digest = await getReportDigest(overview);
+    }
+    const aiUsed = Boolean(digest);
+    if (!digest) {
+        const reported = overview.filter(project => project.reports.length);
+        const blocked = overview.filter(project => project.blocked).map(project => project.title);
+        const behind = overview.filter(project => project.missed).map(project => project.title);
+        digest = `${reported.length} of ${overview.length} project(s) reported in the last ${days} day(s), ` +
+            `logging ${overview.reduce((sum, project) => sum + project.hours, 0)} hour(s) in total.` +
+            (blocked.length ? ` Blockers were raised by: ${blocked.join(", ")}.` : " No blockers were raised.") +
+            (behind.length ? ` Missing reports: ${behind.join(", ")}.` : "");
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Reports digest generated successfully",
+        days,
+        aiUsed,
+        digest,
+        projects: overview.map(({ reports: projectReports, ...project }) => ({
+            ...project,
+            reportCount: projectReports.length,
+        })),
+    });
+});
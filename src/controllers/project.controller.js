@@ -1,18 +1,50 @@
 import { AppError } from "../middleware/error.middleware.js";
-import { Project } from "../models/project.model.js";
+import { Project, getMilestoneProgress } from "../models/project.model.js";
 import { User } from "../models/user.model.js";
 import { catchAsync } from "../middleware/error.middleware.js";
 import { sendEmail } from "../utils/sendEmail.js";
-import { deleteMediaFromCloudinary, uploadMedia } from "../utils/cloudinary.js";
+import { deleteMediaFromCloudinary, getResourceType, uploadMedia } from "../utils/cloudinary.js";
 import { createGroup } from "./chat.controller.js";
+import { inviteStudentsToProject } from "./invitation.controller.js";
+import { openProposalRound } from "./proposal.controller.js";
 import mongoose from "mongoose";
 import { getSummary } from "../utils/summarizer.js";
 import { Chat } from "../models/chat.model.js";
+import { Message } from "../models/message.model.js";
+import { Meeting } from "../models/meeting.model.js";
+import { Task } from "../models/task.model.js";
+import { Term } from "../models/term.model.js";
+import { ProposalVersion } from "../models/proposalVersion.model.js";
+import { Evaluation } from "../models/evaluation.model.js";
+import { PeerReviewRound } from "../models/peerReview.model.js";
+import { ProgressReport } from "../models/progressReport.model.js";
+import { Invitation } from "../models/invitation.model.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { assertSameTenant, isTenantAdmin, sameInstitution, tenantFilter } from "../utils/tenancy.js";
+import { assertMentorHasCapacity, getMentorLoad, getMentorLoads, refreshMentorAvailability } from "../utils/mentorLoad.js";
+import { recommendMentors } from "../utils/mentorRecommender.js";
+import { findSimilarProjects, formatSimilarProject } from "../utils/projectSimilarity.js";
+import { findSearchMatches, getSearchTerms, highlightProject, runFacetedQuery } from "../utils/projectSearch.js";
+import { OPEN_PREFERENCE_STATUSES, closePendingRequest, setMentorPreferences } from "../utils/mentorQueue.js";
+import { assertCanJoinAnotherProject, assertTeamCapacity, assertTeamMinimum, getPolicy } from "../utils/projectPolicy.js";
+import { getProjectTemplate, resolveProjectTemplate, validateCustomFields } from "../utils/proposalTemplate.js";
+import { emitToChatRooms, emitToProjectChat } from "../socket/socket.js";
 import Gemini from "../utils/Gemini.js";
 import fs from "fs/promises";
 
+// Earlier projects resembling this one, to warn the team; never fails the request
+const checkSimilarProjects = async (project) => {
+    try {
+        const { similar } = await findSimilarProjects(project);
+        return similar.map(formatSimilarProject);
+    } catch (error) {
+        console.error("Error checking for similar projects:", error);
+        return [];
+    }
+};
+
 export const createProject = catchAsync(async (req, res, next) => {
-    const { title, description, teamMembers, targetFaculty } = req.body;
+    const { title, description, teamMembers, targetFaculty, termId, templateId } = req.body;
     const userId = req.id;
 
     // Validate required fields based on the schema structure
@@ -25,27 +57,40 @@ export const createProject = catchAsync(async (req, res, next) => {
         description.techStack = [];
     }
 
-    let teamMembersIds = [];
-
-    // Only process team members if provided
-    if (teamMembers && teamMembers.length > 0) {
-        const foundUsers = await User.find({
-            $or: [
-                { roll_no: { $in: teamMembers } },
-                { email: { $in: teamMembers } }
-            ]
-        }).select("_id email");
+    // Custom proposal fields come from the chosen template or the department's default one
+    const template = await resolveProjectTemplate(req.user, templateId);
+    description.customFields = validateCustomFields(template, description.customFields || {});
 
-        teamMembersIds = foundUsers.map(user => user._id);
+    // Projects run in the chosen term, or the term currently running for the creator's department
+    let term = null;
+    if (termId) {
+        term = mongoose.isValidObjectId(termId) ? await Term.findById(termId) : null;
+        if (!term || term.status !== "active" || !sameInstitution(term, req.user)) {
+            return next(new AppError("Term not found or already closed", 400));
+        }
+    } else {
+        term = await Term.findCurrent(req.user.department || null, req.user.institution);
     }
 
-    // Create new project with properly structured details
-    const newProject = await Project.create({
+    // Enforce the team policy before anything is created; the project limit is per term
+    const policy = await getPolicy(req.user.institution);
+    await assertCanJoinAnotherProject(userId, policy, term?._id || null);
+    assertTeamCapacity(1, teamMembers ? new Set(teamMembers).size : 0, policy);
+
+    // Create new project with the creator as the only member; everyone else joins by invitation
+    const newProject = new Project({
         title,
         description,
         createdBy: userId,
-        teamMembers: [userId, ...teamMembersIds] // Add user as the first team member, followed by any found team members
+        teamMembers: [userId],
+        template: template?._id || null,
+        institution: req.user.institution || null,
+        term: term?._id || null
     });
+    // The first proposal review round starts with the project
+    openProposalRound(newProject, userId);
+    await newProject.save();
+    await ProposalVersion.record(newProject, userId);
 
     // Generate project summary
     try {
@@ -65,20 +110,20 @@ export const createProject = catchAsync(async (req, res, next) => {
         try {
             const potentialMentor = await User.findOne({
                 name: { $regex: targetFaculty, $options: 'i' },
-                role: "mentor"
+                role: "mentor",
+                institution: req.user.institution || null
             });
 
-            if (potentialMentor) {
-                // Add mentor request to the project
-                newProject.mentorRequests.push(potentialMentor._id);
-                await newProject.save();
-
-                // Send email to the mentor
-                await sendEmail({
-                    email: potentialMentor.email,
-                    subject: "Mentor Request",
-                    message: `You have a new mentor request for project '${newProject.title}'.`,
-                });
+            const mentorLoad = potentialMentor ? await getMentorLoad(potentialMentor) : null;
+            if (mentorLoad?.isFull) {
+                mentorRequestResult = {
+                    success: false,
+                    error: `${potentialMentor.name} has no capacity for new projects`,
+                    errorCode: "MENTOR_AT_CAPACITY"
+                };
+            } else if (potentialMentor) {
+                // Start the mentor queue with the requested faculty
+                await setMentorPreferences(newProject, [potentialMentor]);
 
                 mentorRequestResult = {
                     success: true,
@@ -104,6 +149,19 @@ export const createProject = catchAsync(async (req, res, next) => {
         // Continue even if chat creation fails
     }
 
+    // Invite the requested team members
+    let invitationResult = null;
+    if (teamMembers && teamMembers.length > 0) {
+        try {
+            invitationResult = await inviteStudentsToProject(newProject, teamMembers, userId);
+        } catch (inviteError) {
+            console.error("Error sending team invitations:", inviteError);
+            // Continue even if invitations fail
+        }
+    }
+
+    const similarProjects = await checkSimilarProjects(newProject);
+
     // Populate project data before sending response
     const populatedProject = await Project.findById(newProject._id)
         .populate("createdBy assignedMentor teamMembers");
@@ -113,7 +171,11 @@ export const createProject = catchAsync(async (req, res, next) => {
         message: "Project created successfully" + (chatGroup ? " and chat group created" : ""),
         project: populatedProject,
         mentorRequest: mentorRequestResult,
-        chatGroup: chatGroup || null
+        invitations: invitationResult?.invitations || [],
+        notFound: invitationResult?.notFound || [],
+        rejectedInvitations: invitationResult?.rejected || [],
+        chatGroup: chatGroup || null,
+        similarProjects
     });
 });
 
@@ -130,9 +192,6 @@ export const addMemberToProject = catchAsync(async (req, res, next) => {
         return next(new AppError("teamMembers must be a non-empty array", 400));
     }
 
-    // Remove duplicate entries from teamMembers
-    const uniqueTeamMembers = [...new Set(teamMembers)];
-
     // Find the project and verify the user is authorized to add members
     const project = await Project.findById(projectId);
     if (!project) {
@@ -143,96 +202,41 @@ export const addMemberToProject = catchAsync(async (req, res, next) => {
         return next(new AppError("Only project creator can add team members", 403));
     }
 
-    // Find all users that match the provided roll numbers or emails
-    const usersToAdd = await User.find({
-        $or: [
-            { roll_no: { $in: uniqueTeamMembers } },
-            { email: { $in: uniqueTeamMembers } }
-        ]
-    }).select("_id email roll_no");
+    // Students are invited and only join the team once they accept
+    const { invitations, notFound, alreadyMembers, alreadyInvited, rejected } = await inviteStudentsToProject(project, teamMembers, userId);
 
-    // Log which users/emails were not found
-    const foundRollNos = usersToAdd.map(u => u.roll_no).filter(Boolean);
-    const foundEmails = usersToAdd.map(u => u.email).filter(Boolean);
-    const notFound = uniqueTeamMembers.filter(
-        m => !foundRollNos.includes(m) && !foundEmails.includes(m)
-    );
-    if (usersToAdd.length === 0) {
-        console.error("No valid users found for:", uniqueTeamMembers);
-        return next(new AppError(`No valid users found for: ${uniqueTeamMembers.join(", ")}`, 404));
+    if (invitations.length === 0) {
+        if (rejected.length > 0) {
+            return next(new AppError(
+                rejected.map(r => `${r.email}: ${r.reason}`).join("; "),
+                400,
+                rejected[0].errorCode
+            ));
+        }
+        if (notFound.length === teamMembers.length) {
+            return next(new AppError(`No valid users found for: ${notFound.join(", ")}`, 404));
+        }
+        return next(new AppError("All provided users are already team members or have a pending invitation", 400));
     }
     if (notFound.length > 0) {
         console.warn("Some users/emails not found:", notFound);
     }
 
-    // Get IDs of users to add
-    const userIds = usersToAdd.map(user => user._id);
-    // Add unique team members to the project (avoid duplicates)
-    const existingMembers = project.teamMembers.map(id => id.toString());
-    const newMembers = userIds.filter(id => !existingMembers.includes(id.toString()));
-    if (newMembers.length === 0) {
-        return next(new AppError("All provided users are already team members", 400));
-    }
-
-    // Use a transaction for atomicity (optional, but recommended)
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    try {
-        // Add the new members to the project
-        project.teamMembers = [...project.teamMembers, ...newMembers];
-        await project.save({ session });
-
-        // Update the chat group if it exists
-        const chatGroup = await Chat.findOne({ project: project._id });
-        if (chatGroup) {
-            const existingParticipants = chatGroup.participants.map(id => id.toString());
-            const newParticipants = newMembers.filter(id => !existingParticipants.includes(id.toString()));
-            if (newParticipants.length > 0) {
-                chatGroup.participants = [...chatGroup.participants, ...newParticipants];
-                await chatGroup.save({ session });
-            }
-        }
-        await session.commitTransaction();
-    } catch (err) {
-        await session.abortTransaction();
-        console.error("Transaction error while adding members:", err);
-        return next(new AppError("Failed to add members to project. Please try again.", 500));
-    } finally {
-        session.endSession();
-    }
-
-    // Populate the project to return complete data
-    const updatedProject = await Project.findById(project._id)
-        .populate("createdBy teamMembers assignedMentor");
-
-    // Notify the added members via email if needed
-    try {
-        const addedUsers = usersToAdd.filter(user =>
-            newMembers.some(id => id.equals(user._id))
-        );
-        const emails = addedUsers.map(user => user.email).filter(Boolean);
-        if (emails.length > 0) {
-            await sendEmail({
-                email: emails,
-                subject: `You've been added to project: ${project.title}`,
-                message: `You have been added as a team member to the project \"${project.title}\".`
-            });
-        }
-    } catch (emailError) {
-        console.error("Error sending notification emails:", emailError);
-    }
-
     res.status(200).json({
         success: true,
-        message: `${newMembers.length} team members added successfully` + (notFound.length > 0 ? `. Some users/emails not found: ${notFound.join(", ")}` : ""),
-        project: updatedProject,
-        notFound
+        message: `${invitations.length} invitations sent successfully` + (notFound.length > 0 ? `. Some users/emails not found: ${notFound.join(", ")}` : ""),
+        invitations,
+        notFound,
+        alreadyMembers,
+        alreadyInvited,
+        rejected
     });
 });
 
 export const requestMentor = catchAsync(async (req, res, next) => {
-    // Only team leader can request mentor
-    const { mentorName, email, mentorId, projectId } = req.body;
+    // Teams submit an ordered list of preferred mentors (mentorIds); a single mentor is still accepted
+    const { mentorName, email, mentorIds, projectId } = req.body;
+    const mentorId = req.body.mentorId || req.params.mentorId;
     const userId = req.id;
     if (!userId) {
         return next(new AppError("User not found", 404));
@@ -242,19 +246,8 @@ export const requestMentor = catchAsync(async (req, res, next) => {
     if (!project) {
         return next(new AppError("You don't lead any project", 403));
     }
-
-    if (project.mentorRequests.length > 0) {
-        return next(new AppError("You have already requested a mentor", 403));
-    }
-
-    const mentor = await User.findOne({
-        $or: [
-            { name: mentorName, email },
-            { _id: mentorId }
-        ]
-    })
-    if (!mentor) {
-        return next(new AppError("Mentor not found", 404));
+    if (!project.teamMembers.some(id => id.equals(userId))) {
+        return next(new AppError("Only team members can request a mentor", 403));
     }
 
     // Check if mentor is already assigned
@@ -262,20 +255,52 @@ export const requestMentor = catchAsync(async (req, res, next) => {
         return next(new AppError("This project already has a mentor", 400));
     }
 
-    // Check if request already sent
-    if (project.mentorRequests.includes(mentor._id)) {
-        return next(new AppError("Mentor request already sent", 400));
+    const policy = await getPolicy(project.institution);
+    assertTeamMinimum(project, policy);
+
+    let mentors = [];
+    if (Array.isArray(mentorIds) && mentorIds.length > 0) {
+        const uniqueIds = [...new Set(mentorIds.map(id => id.toString()))];
+        if (uniqueIds.some(id => !mongoose.isValidObjectId(id))) {
+            return next(new AppError("mentorIds must be valid user IDs", 400));
+        }
+        const found = await User.find({ _id: { $in: uniqueIds }, role: "mentor", status: "active", institution: project.institution || null });
+        // Keep the team's preference order
+        mentors = uniqueIds.map(id => found.find(mentor => mentor._id.toString() === id)).filter(Boolean);
+        if (mentors.length !== uniqueIds.length) {
+            return next(new AppError("One or more mentors were not found", 404));
+        }
+    } else {
+        const mentor = await User.findOne({
+            role: "mentor",
+            institution: project.institution || null,
+            $or: [
+                { name: mentorName, email },
+                { _id: mongoose.isValidObjectId(mentorId) ? mentorId : null }
+            ]
+        });
+        if (!mentor) {
+            return next(new AppError("Mentor not found", 404));
+        }
+        mentors = [mentor];
     }
 
-    // Add mentor request
-    project.mentorRequests.push(mentor._id);
-    await project.save();
+    if (mentors.length > policy.maxMentorPreferences) {
+        return next(new AppError(`You can list at most ${policy.maxMentorPreferences} preferred mentors`, 400, "TOO_MANY_MENTOR_PREFERENCES"));
+    }
 
-    await sendEmail({
-        email: mentor.email,
-        subject: "Mentor Request",
-        message: `You have a new mentor request for project '${project.title}'.`,
-    })
+    // Mentors at capacity are skipped by the queue; only a list of full mentors is refused,
+    // before the previous queue is replaced
+    const loads = await getMentorLoads(mentors);
+    if (mentors.every(mentor => loads.get(mentor._id.toString()).isFull)) {
+        return next(new AppError("None of the selected mentors can take a new project right now", 400, "MENTOR_AT_CAPACITY"));
+    }
+
+    // Replaces any previous queue so a team is never stuck on an unresponsive mentor
+    const currentMentor = await setMentorPreferences(project, mentors);
+    if (!currentMentor) {
+        return next(new AppError("None of the selected mentors can take a new project right now", 400, "MENTOR_AT_CAPACITY"));
+    }
 
     // Get the user's email for confirmation
     const user = await User.findById(userId).select("email");
@@ -283,13 +308,16 @@ export const requestMentor = catchAsync(async (req, res, next) => {
         await sendEmail({
             email: user.email,
             subject: "Mentor Request Sent",
-            message: `Your mentor request for project '${project.title}' has been sent successfully.`,
+            message: `Your mentor request for project '${project.title}' has been sent to ${currentMentor.name}.` +
+                (mentors.length > 1 ? ` If they decline or do not answer, it moves to your next preference.` : ""),
         });
     }
 
     res.status(200).json({
         success: true,
         message: "Mentor request sent successfully",
+        currentMentor: { _id: currentMentor._id, name: currentMentor.name },
+        mentorPreferences: project.mentorPreferences,
     });
 });
 
@@ -306,6 +334,14 @@ export const mentorDecision = catchAsync(async (req, res, next) => {
     const project = await Project.findById(projectId);
     if (!project) return next(new AppError("Project not found", 404));
 
+    // Timed-out requests are answered as expired, whether or not the escalation job has run yet
+    const pending = project.mentorPreferences.find(preference => preference.mentor.equals(mentorId) && preference.status === "pending");
+    const expired = pending
+        ? Boolean(pending.expiresAt && pending.expiresAt <= new Date())
+        : project.mentorPreferences.some(preference => preference.mentor.equals(mentorId) && preference.status === "expired");
+    if (expired) {
+        return next(new AppError("This mentor request has expired", 400, "REQUEST_EXPIRED"));
+    }
     if (!project.mentorRequests.includes(mentorId)) {
         return next(new AppError("You are not requested as a mentor for this project", 403));
     }
@@ -314,13 +350,40 @@ export const mentorDecision = catchAsync(async (req, res, next) => {
     const emails = usersEmails.map(user => user.email).filter(email => email);
 
     if (decision === "accept") {
+        if (project.status === "rejected") {
+            return next(new AppError("The proposal was rejected and must be resubmitted before a mentor can be assigned", 400, "PROPOSAL_REJECTED"));
+        }
+        await assertMentorHasCapacity(mentor);
+
         // Update project first
         project.assignedMentor = mentorId;
+        project.mentors = project.mentors.filter(entry => !entry.user.equals(mentorId));
+        project.mentors.push({ user: mentorId, role: "primary", addedBy: mentorId });
         project.status = "approved";
+        project.approvedAt = project.approvedAt || new Date();
+        // Accepting the project approves the proposal round under review
+        const currentRound = project.proposalReviews[project.proposalReviews.length - 1];
+        if (currentRound && currentRound.status === "under-review") {
+            currentRound.status = "approved";
+            currentRound.reviewedBy = mentorId;
+            currentRound.reviewedAt = new Date();
+        }
+        // Close the queue: this mentor accepted, nobody else is asked
+        project.mentorPreferences.forEach(preference => {
+            if (preference.mentor.equals(mentorId) && preference.status === "pending") {
+                preference.status = "accepted";
+                preference.respondedAt = new Date();
+            } else if (OPEN_PREFERENCE_STATUSES.includes(preference.status)) {
+                preference.status = "withdrawn";
+            }
+        });
         // Clear all mentor requests when accepting
         project.mentorRequests = [];
         await project.save();
 
+        // Mentors become unavailable once they reach capacity
+        await refreshMentorAvailability(mentorId);
+
         // Send emails to team members
         if (emails.length) {
             try {
@@ -351,16 +414,17 @@ export const mentorDecision = catchAsync(async (req, res, next) => {
         });
 
     } else if (decision === "reject") {
-        project.mentorRequests = project.mentorRequests.filter(id => id.toString() !== mentorId);
-        project.status = "rejected";
-        await project.save();
+        // Declining only affects this request; the proposal itself is judged via proposal reviews
+        const nextMentor = await closePendingRequest(project, "declined");
 
         if (emails.length) {
             try {
                 await sendEmail({
                     email: emails,
                     subject: "Mentor Request Rejected",
-                    message: `Your mentor request for project '${project.title}' has been rejected.`,
+                    message: nextMentor
+                        ? `Your mentor request for project '${project.title}' was declined by ${mentor.name} and has been sent to ${nextMentor.name}.`
+                        : `Your mentor request for project '${project.title}' was declined by ${mentor.name}. You can request another mentor.`,
                 });
             } catch (emailError) {
                 console.error("Error sending rejection emails:", emailError);
@@ -371,47 +435,193 @@ export const mentorDecision = catchAsync(async (req, res, next) => {
         return res.status(200).json({
             success: true,
             message: "Mentor request rejected",
+            escalatedTo: nextMentor ? { _id: nextMentor._id, name: nextMentor.name } : null,
         });
     } else {
         return next(new AppError("Invalid decision value. Use 'accept' or 'reject'", 400));
     }
 });
 
+/**
+ * Get the ranked mentor preferences of a project with per-request status
+ * @route GET /api/v1/project/:projectId/mentor-preferences
+ */
+export const getMentorPreferences = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, isMentor, isReviewer } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !isMentor && !isReviewer) {
+        return next(new AppError("You are not authorized to view this project's mentor requests", 403));
+    }
+
+    await project.populate("mentorPreferences.mentor", "name email department expertise avatar");
+
+    res.status(200).json({
+        success: true,
+        message: "Mentor preferences fetched successfully",
+        mentorPreferences: [...project.mentorPreferences].sort((a, b) => a.rank - b.rank),
+    });
+});
+
+/**
+ * Projects that list the current mentor as a preference, with the mentor's position in each queue
+ * @route GET /api/v1/project/mentor-queue
+ */
+export const getMentorRequestQueue = catchAsync(async (req, res, next) => {
+    const mentorId = req.id;
+    if (req.user.role !== "mentor") {
+        return next(new AppError("Only mentors can view their request queue", 403));
+    }
+
+    const projects = await Project.find({
+        assignedMentor: null,
+        mentorPreferences: {
+            $elemMatch: { mentor: mentorId, status: { $in: OPEN_PREFERENCE_STATUSES } }
+        }
+    })
+        .select("title description.abstract createdBy teamMembers mentorPreferences status")
+        .populate("createdBy", "name email")
+        .lean();
+
+    const queue = projects.map(project => {
+        const open = project.mentorPreferences
+            .filter(preference => OPEN_PREFERENCE_STATUSES.includes(preference.status))
+            .sort((a, b) => a.rank - b.rank);
+        const own = open.find(preference => preference.mentor.equals(mentorId));
+        return {
+            project: {
+                _id: project._id,
+                title: project.title,
+                abstract: project.description?.abstract,
+                createdBy: project.createdBy,
+                totalMembers: project.teamMembers.length,
+            },
+            rank: own.rank,
+            status: own.status,
+            position: open.indexOf(own) + 1,
+            requestedAt: own.requestedAt,
+            expiresAt: own.expiresAt,
+        };
+    }).sort((a, b) => a.position - b.position);
+
+    res.status(200).json({
+        success: true,
+        message: "Mentor request queue fetched successfully",
+        queue,
+    });
+});
+
+/**
+ * Rank active mentors for a project by expertise fit, department, load and responsiveness
+ * @route GET /api/v1/project/:projectId/recommended-mentors
+ */
+export const getRecommendedMentors = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !isMentor && !isTenantAdmin(req.user, project)) {
+        return next(new AppError("You are not authorized to view mentor recommendations for this project", 403));
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+    const useAI = req.query.useAI === "true";
+
+    const { recommendations, aiUsed } = await recommendMentors(project, { limit, useAI });
+
+    res.status(200).json({
+        success: true,
+        message: "Mentor recommendations generated successfully",
+        aiUsed,
+        recommendations: recommendations.map(({ mentor, score, breakdown, load, reasons }) => ({
+            mentor: {
+                _id: mentor._id,
+                name: mentor.name,
+                email: mentor.email,
+                department: mentor.department,
+                expertise: mentor.expertise,
+                avatar: mentor.avatar,
+            },
+            score,
+            breakdown,
+            load,
+            reasons,
+        })),
+    });
+});
+
+/**
+ * Similarity report: earlier projects of the institution, from any term, that resemble this one.
+ * Uses Gemini as well when `useAI=true`.
+ * @route GET /api/v1/project/:projectId/similar?limit=5&useAI=true
+ */
+export const getSimilarProjects = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember } = await getProjectWithAccess(req.params.projectId, req.id);
+    const isInstitutionMentor = req.user.role === "mentor" && sameInstitution(req.user, project);
+    if (!isTeamMember && !isInstitutionMentor && !isTenantAdmin(req.user, project)) {
+        return next(new AppError("You are not authorized to view this project's similarity report", 403));
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 20);
+    const { similar, aiUsed } = await findSimilarProjects(project, { limit, useAI: req.query.useAI === "true" });
+
+    res.status(200).json({
+        success: true,
+        message: "Similarity report generated successfully",
+        aiUsed,
+        likelyDuplicates: similar.filter(match => match.isLikelyDuplicate).length,
+        similarProjects: similar.map(formatSimilarProject),
+    });
+});
+
 export const updateProject = catchAsync(async (req, res, next) => {
     const { projectId } = req.params;
     const { title, description } = req.body;
+    const userId = req.id;
 
-    const project = await Project.findById(projectId);
-    if (!project) {
-        return next(new AppError("Project not found", 404));
+    const { project, isLeader, isMentor } = await getProjectWithAccess(projectId, userId);
+    if (!isLeader && !isMentor) {
+        if (req.file) await fs.unlink(req.file.path).catch(() => { });
+        return next(new AppError("Only the team leader or the project mentor can update this project", 403));
     }
 
     let documentToUpload = null;
     if (req.file) {
         try {
             const result = await uploadMedia(req.file.path);
+            await fs.unlink(req.file.path).catch(() => { });
+            if (!result || !result.secure_url) {
+                return next(new AppError("Cloudinary upload failed", 500));
+            }
             documentToUpload = {
                 name: req.file.originalname,
-                url: result?.secure_url || req.file.path,
+                publicId: result.public_id,
+                url: result.secure_url,
                 format: req.file.mimetype,
                 uploadedAt: new Date(),
+                type: req.body.type || "other",
             };
         } catch (error) {
+            await fs.unlink(req.file.path).catch(() => { });
             return next(new AppError("File upload failed", 500));
         }
     }
 
-    const updateFields = {
-        ...(title && { title }),
-        ...(description && { description }),
-        ...(documentToUpload && { documents: [...(project.documents || []), documentToUpload] })
-    };
+    // Older projects have no history yet; keep their current proposal as the baseline
+    await ProposalVersion.ensureBaseline(project);
 
-    const updatedProject = await Project.findByIdAndUpdate(
-        projectId,
-        updateFields,
-        { new: true, runValidators: true }
-    );
+    if (title) project.title = title;
+    if (description) {
+        // Merge so a partial description does not wipe the other required fields
+        ["abstract", "problemStatement", "proposedMethodology", "techStack"].forEach(field => {
+            if (description[field] !== undefined) project.description[field] = description[field];
+        });
+        if (description.customFields !== undefined) {
+            const template = await getProjectTemplate(project);
+            project.description.customFields = validateCustomFields(template, description.customFields, project.description.customFields);
+        }
+    }
+    if (documentToUpload) project.documents.push(documentToUpload);
+    await project.save();
+    await ProposalVersion.record(project, userId);
+
+    const updatedProject = await Project.findById(projectId)
+        .populate("createdBy assignedMentor teamMembers");
 
     // Generate updated project summary
     try {
@@ -425,49 +635,128 @@ export const updateProject = catchAsync(async (req, res, next) => {
         // Continue even if summary generation fails
     }
 
+    // Only re-checked when a compared field changed
+    const textChanged = title || ["abstract", "problemStatement"].some(field => description?.[field] !== undefined);
+    const similarProjects = textChanged ? await checkSimilarProjects(project) : null;
+
     res.status(200).json({
         success: true,
         message: "Project updated successfully",
         project: updatedProject,
+        similarProjects,
     });
 });
 
+// Everything that belongs to a project and goes away with it
+const collectProjectCascade = async (project) => {
+    const chats = await Chat.find({ project: project._id }).select("_id").lean();
+    const chatIds = chats.map(chat => chat._id);
+
+    const [messageCount, meetingCount, taskCount, versionCount, evaluationCount, peerReviewCount, reportCount, invitationCount] = await Promise.all([
+        Message.countDocuments({ chat: { $in: chatIds } }),
+        Meeting.countDocuments({ projectId: project._id }),
+        Task.countDocuments({ project: project._id }),
+        ProposalVersion.countDocuments({ project: project._id }),
+        Evaluation.countDocuments({ project: project._id }),
+        PeerReviewRound.countDocuments({ project: project._id }),
+        ProgressReport.countDocuments({ project: project._id }),
+        Invitation.countDocuments({ project: project._id }),
+    ]);
+
+    const files = (project.documents || [])
+        .filter(doc => doc.publicId)
+        .map(doc => ({
+            name: doc.name,
+            publicId: doc.publicId,
+            resourceType: getResourceType(doc.format),
+        }));
+
+    return { chatIds, messageCount, meetingCount, taskCount, versionCount, evaluationCount, peerReviewCount, reportCount, invitationCount, files };
+};
+
 export const deleteProject = catchAsync(async (req, res, next) => {
     const userId = req.id;
     const { projectId } = req.params;
+    const dryRun = req.query.dryRun === "true";
 
-    const project = await Project.findById(projectId);
-    if (!project) {
-        return next(new AppError("Project not found", 404));
+    const { project, isLeader, isPrimaryMentor } = await getProjectWithAccess(projectId, userId);
+    if (!isLeader && !isPrimaryMentor) {
+        return next(new AppError("Only the team leader or the primary mentor can delete this project", 403));
     }
 
-    if (!project.createdBy.equals(userId)) {
-        return next(new AppError("You are not authorized to delete this project only team leader can", 403));
-    }
+    const cascade = await collectProjectCascade(project);
+    const report = {
+        project: { _id: project._id, title: project.title },
+        chats: cascade.chatIds.length,
+        messages: cascade.messageCount,
+        meetings: cascade.meetingCount,
+        tasks: cascade.taskCount,
+        proposalVersions: cascade.versionCount,
+        evaluations: cascade.evaluationCount,
+        peerReviews: cascade.peerReviewCount,
+        progressReports: cascade.reportCount,
+        invitations: cascade.invitationCount,
+        files: cascade.files.map(file => file.name),
+    };
 
+    if (dryRun) {
+        return res.status(200).json({
+            success: true,
+            message: "Dry run: nothing was deleted",
+            dryRun: true,
+            report,
+        });
+    }
 
-    // Delete associated documents from Cloudinary
+    const session = await mongoose.startSession();
+    session.startTransaction();
     try {
-        if (project.documents && project.documents.length > 0) {
-            await deleteMediaFromCloudinary(project.documents.map(doc => doc.url));
-        }
-    } catch (error) {
-        return next(new AppError("Error deleting project files from Cloudinary", 500));
+        await Message.deleteMany({ chat: { $in: cascade.chatIds } }, { session });
+        await Chat.deleteMany({ project: project._id }, { session });
+        await Meeting.deleteMany({ projectId: project._id }, { session });
+        await Task.deleteMany({ project: project._id }, { session });
+        await ProposalVersion.deleteMany({ project: project._id }, { session });
+        await Evaluation.deleteMany({ project: project._id }, { session });
+        await PeerReviewRound.deleteMany({ project: project._id }, { session });
+        await ProgressReport.deleteMany({ project: project._id }, { session });
+        await Invitation.deleteMany({ project: project._id }, { session });
+        await Project.deleteOne({ _id: project._id }, { session });
+        await session.commitTransaction();
+    } catch (err) {
+        await session.abortTransaction();
+        console.error("Transaction error while deleting project:", err);
+        return next(new AppError("Failed to delete project. Please try again.", 500));
+    } finally {
+        session.endSession();
     }
 
-    // Delete project from DB
-    await Project.findByIdAndDelete(projectId);
+    // Members are told only once the delete is committed, through the rooms collected beforehand
+    emitToChatRooms(cascade.chatIds, "projectDeleted", { projectId: project._id, title: project.title });
+
+    // Stored files are removed only once the database records are gone
+    await Promise.all(
+        cascade.files.map(file => deleteMediaFromCloudinary(file.publicId, file.resourceType))
+    );
+
+    // Freed capacity can make the mentor available again
+    await refreshMentorAvailability(project.assignedMentor);
 
     res.status(200).json({
         success: true,
         message: "Project deleted successfully",
+        report,
     });
 });
 
-//for mentors only
+/**
+ * List projects for mentors and admins. `search` runs a full-text search over title, abstract,
+ * problem statement, methodology, tech stack and member names, ranks by relevance and adds
+ * highlighted snippets. Every response carries facet counts for the current filters.
+ * @route GET /api/v1/project/list-projects?search=&status=&mentor=&term=&techStack=a,b&department=&page=&limit=
+ */
 export const listProjects = catchAsync(async (req, res, next) => {
     const userId = req.id;
-    let { page = 1, limit = 10, status, mentor, search } = req.query;
+    let { page = 1, limit = 10, status, mentor, search, term, techStack, department } = req.query;
 
     // Convert and validate query params
     page = Math.max(Number(page) || 1, 1);
@@ -479,20 +768,39 @@ export const listProjects = catchAsync(async (req, res, next) => {
     if (user.role === "student") return next(new AppError("Access denied: Students cannot list all projects", 403));
 
     // Build Filter
-    const filter = {};
+    const filter = { ...tenantFilter(req.user) };
     if (status) filter.status = status;
-    if (mentor && mongoose.Types.ObjectId.isValid(mentor)) filter.assignedMentor = mentor;
-    if (search) filter.title = { $regex: search, $options: "i" };
+    // Aggregation does not cast ids, so they are converted here
+    if (mentor && mongoose.Types.ObjectId.isValid(mentor)) filter.assignedMentor = new mongoose.Types.ObjectId(mentor);
+    if (term && mongoose.Types.ObjectId.isValid(term)) filter.term = new mongoose.Types.ObjectId(term);
+    if (techStack) {
+        filter["description.techStack"] = { $all: techStack.split(",").map(tech => tech.trim().toLowerCase()).filter(Boolean) };
+    }
+
+    // **Search**: rank text and member name matches, then list only those
+    const searchText = typeof search === "string" ? search.trim() : "";
+    let scores = null;
+    if (searchText) {
+        scores = await findSearchMatches(searchText, filter);
+        filter._id = { $in: [...scores.keys()].map(id => new mongoose.Types.ObjectId(id)) };
+    }
 
     // **Fetch Projects**
-    const [projects, totalProjects] = await Promise.all([
-        Project.find(filter)
-            .populate("createdBy assignedMentor teamMembers")
-            .sort({ createdAt: -1 })
-            .skip((page - 1) * limit)
-            .limit(limit),
-        Project.countDocuments(filter),
-    ]);
+    const { ids, total: totalProjects, facets } = await runFacetedQuery({ filter, department, scores, page, limit });
+    const found = await Project.find({ _id: { $in: ids } })
+        .populate("createdBy assignedMentor teamMembers")
+        .populate("term", "name");
+    const byId = new Map(found.map(project => [project._id.toString(), project]));
+
+    const terms = getSearchTerms(searchText);
+    const projects = ids.map(id => byId.get(id.toString())).filter(Boolean).map(project => {
+        if (!scores) return project;
+        return {
+            ...project.toJSON(),
+            score: Math.round(scores.get(project._id.toString()) * 100) / 100,
+            highlights: highlightProject(project, terms),
+        };
+    });
 
     res.status(200).json({
         success: true,
@@ -501,6 +809,7 @@ export const listProjects = catchAsync(async (req, res, next) => {
         currentPage: page,
         totalProjects,
         projects,
+        facets,
     });
 });
 
@@ -510,18 +819,24 @@ export const getProject = catchAsync(async (req, res, next) => {
 
     const user = await User.findById(userId).select("role");
     if (!user) return next(new AppError("User not found", 404));
-    let filter = {};
+    let filter = tenantFilter(req.user);
 
     if (user.role === "student") {
         filter = { $or: [{ createdBy: userId }, { teamMembers: userId }] };
     } else if (user.role === "mentor") {
-        filter = { $or: [{ assignedMentor: userId }, { mentorRequests: userId }] };
+        filter = { $or: [{ assignedMentor: userId }, { "mentors.user": userId }, { mentorRequests: userId }] };
     }
     const projects = await Project.find(filter)
         .populate("createdBy assignedMentor teamMembers mentorRequests")
+        .populate("mentors.user", "name email avatar department")
         .select("-documents")
         .lean(); //  Convert to plain objects for better performance
 
+    // Virtuals are not applied to lean documents
+    projects.forEach(project => {
+        project.progress = getMilestoneProgress(project.milestones);
+    });
+
     // if (!projects.length) return next(new AppError("No projects found", 404));
 
     res.status(200).json({
@@ -537,7 +852,11 @@ export const getProjectById = catchAsync(async (req, res, next) => {
     const user = await User.findById(userId).select("role")
     if (!user) return next(new AppError("User not found", 404))
 
-    const project = await Project.findById(projectId).populate("createdBy assignedMentor teamMembers")
+    const project = await Project.findById(projectId)
+        .populate("createdBy assignedMentor teamMembers")
+        .populate("mentors.user", "name email avatar department")
+        .populate("template", "name fields")
+    assertSameTenant(req.user, project, "Project")
 
     return res.status(201)
         .json({
@@ -549,8 +868,8 @@ export const getProjectById = catchAsync(async (req, res, next) => {
 
 export const getProjectSummary = catchAsync(async (req, res, next) => {
     const { projectId } = req.params
-    const summary = await Project.findById(projectId).select("summary")
-    if (!summary) return next(new AppError("Project not found", 404))
+    const summary = await Project.findById(projectId).select("summary institution")
+    assertSameTenant(req.user, summary, "Project")
     return res.status(200)
         .json({
             success: true,
@@ -653,7 +972,7 @@ export const deleteDocument = catchAsync(async (req, res, next) => {
     const publicId = project.documents[docIndex].publicId;
     if (publicId) {
         try {
-            await deleteMediaFromCloudinary([publicId]);
+            await deleteMediaFromCloudinary(publicId, getResourceType(project.documents[docIndex].format));
         } catch (err) {
             // Log error but continue
             console.error("Cloudinary deletion error:", err);
@@ -661,6 +980,8 @@ export const deleteDocument = catchAsync(async (req, res, next) => {
     }
 
     project.documents.splice(docIndex, 1);
+    // Unlink the removed document from any milestone that referenced it
+    project.milestones.forEach(milestone => milestone.documents.pull(documentId));
     await project.save();
 
     res.status(200).json({
@@ -0,0 +1,215 @@
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { Chat } from "../models/chat.model.js";
+import { Meeting } from "../models/meeting.model.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { isTenantAdmin } from "../utils/tenancy.js";
+import { emitToProjectChat, emitToUser } from "../socket/socket.js";
+import mongoose from "mongoose";
+
+// Roles that can be granted through these endpoints; the primary mentor comes from mentorDecision
+const ASSIGNABLE_ROLES = ["co-mentor", "reviewer"];
+
+const validateRole = (role) => {
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+        throw new AppError(`Invalid role. Use one of: ${ASSIGNABLE_ROLES.join(", ")}`, 400);
+    }
+};
+
+const populateMentors = (projectId) =>
+    Project.findById(projectId)
+        .select("title assignedMentor mentors")
+        .populate("assignedMentor", "name email avatar department")
+        .populate("mentors.user", "name email avatar department expertise")
+        .populate("mentors.addedBy", "name email");
+
+/**
+ * List the mentoring staff of a project
+ * @route GET /api/v1/project/:projectId/mentors
+ */
+export const getProjectMentors = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, mentorRole } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isTeamMember && !mentorRole && !isTenantAdmin(req.user, project)) {
+        return next(new AppError("You are not authorized to view this project's mentors", 403));
+    }
+
+    const populated = await populateMentors(project._id);
+
+    res.status(200).json({
+        success: true,
+        message: "Project mentors fetched successfully",
+        assignedMentor: populated.assignedMentor,
+        mentors: populated.mentors,
+    });
+});
+
+/**
+ * Add a co-mentor or reviewer. Only the primary mentor can do this: the added staff
+ * sign off milestones and grade the team, so the team cannot pick them itself.
+ * @route POST /api/v1/project/:projectId/mentors
+ */
+export const addProjectMentor = catchAsync(async (req, res, next) => {
+    const { userId, role } = req.body;
+
+    const { project, isPrimaryMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isPrimaryMentor) {
+        return next(new AppError("Only the primary mentor can add mentors", 403));
+    }
+    validateRole(role);
+
+    if (!mongoose.isValidObjectId(userId)) {
+        return next(new AppError("A valid userId is required", 400));
+    }
+    const mentor = await User.findOne({
+        _id: userId,
+        role: "mentor",
+        status: "active",
+        institution: project.institution || null,
+    }).select("name email");
+    if (!mentor) {
+        return next(new AppError("Mentor not found", 404));
+    }
+    if ((project.assignedMentor && project.assignedMentor.equals(userId)) || project.mentors.some(entry => entry.user.equals(userId))) {
+        return next(new AppError("This user is already a mentor on the project", 400));
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        project.mentors.push({ user: mentor._id, role, addedBy: req.id });
+        await project.save({ session });
+
+        await Chat.updateOne(
+            { project: project._id },
+            { $addToSet: { participants: mentor._id } },
+            { session }
+        );
+        await Meeting.updateMany(
+            { projectId: project._id, startTime: { $gte: new Date() }, status: "scheduled" },
+            { $addToSet: { participants: mentor._id } },
+            { session }
+        );
+
+        await session.commitTransaction();
+    } catch (err) {
+        await session.abortTransaction();
+        console.error("Transaction error while adding project mentor:", err);
+        return next(new AppError("Failed to add mentor. Please try again.", 500));
+    } finally {
+        session.endSession();
+    }
+
+    emitToUser(mentor._id, "addedAsProjectMentor", { projectId: project._id, projectTitle: project.title, role });
+    await emitToProjectChat(project._id, "projectMentorAdded", { mentor: { _id: mentor._id, name: mentor.name }, role });
+    try {
+        await sendEmail({
+            email: mentor.email,
+            subject: `Added as ${role}: ${project.title}`,
+            message: `You have been added as ${role} on the project "${project.title}".`,
+        });
+    } catch (emailError) {
+        console.error("Error sending project mentor email:", emailError);
+    }
+
+    const populated = await populateMentors(project._id);
+
+    res.status(201).json({
+        success: true,
+        message: `Mentor added as ${role}`,
+        mentors: populated.mentors,
+    });
+});
+
+/**
+ * Switch a co-mentor to reviewer or back. Only the primary mentor can do this.
+ * @route PATCH /api/v1/project/:projectId/mentors/:userId
+ */
+export const updateProjectMentorRole = catchAsync(async (req, res, next) => {
+    const { role } = req.body;
+
+    const { project, isPrimaryMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isPrimaryMentor) {
+        return next(new AppError("Only the primary mentor can change mentor roles", 403));
+    }
+    validateRole(role);
+
+    const entry = mongoose.isValidObjectId(req.params.userId)
+        && project.mentors.find(mentor => mentor.user.equals(req.params.userId));
+    if (!entry) {
+        return next(new AppError("Mentor not found on this project", 404));
+    }
+    if (entry.role === "primary") {
+        return next(new AppError("The primary mentor's role cannot be changed", 400));
+    }
+
+    entry.role = role;
+    await project.save();
+
+    await emitToProjectChat(project._id, "projectMentorUpdated", { mentorId: entry.user, role });
+
+    const populated = await populateMentors(project._id);
+
+    res.status(200).json({
+        success: true,
+        message: "Mentor role updated successfully",
+        mentors: populated.mentors,
+    });
+});
+
+/**
+ * Remove a co-mentor or reviewer. They can also remove themselves.
+ * @route DELETE /api/v1/project/:projectId/mentors/:userId
+ */
+export const removeProjectMentor = catchAsync(async (req, res, next) => {
+    const { userId } = req.params;
+
+    const { project, isPrimaryMentor, isLeader } = await getProjectWithAccess(req.params.projectId, req.id);
+    const isSelf = mongoose.isValidObjectId(userId) && req.user._id.equals(userId);
+    if (!isPrimaryMentor && !isLeader && !isSelf) {
+        return next(new AppError("Only the primary mentor or the team leader can remove mentors", 403));
+    }
+
+    const entry = mongoose.isValidObjectId(userId) && project.mentors.find(mentor => mentor.user.equals(userId));
+    if (!entry) {
+        return next(new AppError("Mentor not found on this project", 404));
+    }
+    if (entry.role === "primary") {
+        return next(new AppError("The primary mentor cannot be removed here", 400));
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        project.mentors = project.mentors.filter(mentor => !mentor.user.equals(userId));
+        await project.save({ session });
+
+        await Chat.updateOne(
+            { project: project._id },
+            { $pull: { participants: userId } },
+            { session }
+        );
+        await Meeting.updateMany(
+            { projectId: project._id, startTime: { $gte: new Date() }, status: "scheduled" },
+            { $pull: { participants: userId } },
+            { session }
+        );
+
+        await session.commitTransaction();
+    } catch (err) {
+        await session.abortTransaction();
+        console.error("Transaction error while removing project mentor:", err);
+        return next(new AppError("Failed to remove mentor. Please try again.", 500));
+    } finally {
+        session.endSession();
+    }
+
+    emitToUser(userId, "removedAsProjectMentor", { projectId: project._id, projectTitle: project.title });
+    await emitToProjectChat(project._id, "projectMentorRemoved", { mentorId: userId });
+
+    res.status(200).json({
+        success: true,
+        message: "Mentor removed from project",
+    });
+});
@@ -0,0 +1,213 @@
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { REVIEW_REASON_CATEGORIES } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { ProposalVersion } from "../models/proposalVersion.model.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { getProjectTemplate, validateCustomFields } from "../utils/proposalTemplate.js";
+import { emitToProjectChat } from "../socket/socket.js";
+
+const PROPOSAL_FIELDS = ["abstract", "problemStatement", "proposedMethodology", "techStack"];
+
+const snapshotProposal = (project) => ({
+    title: project.title,
+    abstract: project.description.abstract,
+    problemStatement: project.description.problemStatement,
+    proposedMethodology: project.description.proposedMethodology,
+    techStack: [...(project.description.techStack || [])],
+    customFields: { ...(project.description.customFields || {}) },
+});
+
+/**
+ * Opens a new review round with a snapshot of the current proposal. Does not save the project.
+ * @param {Object} project - The project document
+ * @param {string|ObjectId} submittedBy - The submitting user id
+ * @param {string} [changeNote] - What the team changed since the last round
+ * @returns {Object} - The new round
+ */
+export const openProposalRound = (project, submittedBy, changeNote = "") => {
+    project.proposalReviews.push({
+        round: project.proposalReviews.length + 1,
+        submittedBy,
+        snapshot: snapshotProposal(project),
+        changeNote,
+    });
+    return project.proposalReviews[project.proposalReviews.length - 1];
+};
+
+// Latest round, opening the first one for projects created before review rounds existed
+const getCurrentRound = (project) => {
+    if (project.proposalReviews.length === 0) {
+        openProposalRound(project, project.createdBy);
+    }
+    return project.proposalReviews[project.proposalReviews.length - 1];
+};
+
+const validateReasons = (reasons) => {
+    if (!Array.isArray(reasons) || reasons.length === 0) {
+        throw new AppError("At least one reason is required to reject a proposal", 400, "REJECTION_REASONS_REQUIRED");
+    }
+    reasons.forEach(reason => {
+        if (!reason || !REVIEW_REASON_CATEGORIES.includes(reason.category) || !reason.comment) {
+            throw new AppError(
+                `Each reason needs a category (${REVIEW_REASON_CATEGORIES.join(", ")}) and a comment`,
+                400,
+                "INVALID_REJECTION_REASON"
+            );
+        }
+    });
+    return reasons.map(({ category, field = null, comment }) => ({ category, field, comment }));
+};
+
+const notifyTeam = async (project, subject, message) => {
+    try {
+        const members = await User.find({ _id: { $in: project.teamMembers } }).select("email");
+        const emails = members.map(member => member.email).filter(Boolean);
+        if (emails.length) {
+            await sendEmail({ email: emails, subject, message });
+        }
+    } catch (emailError) {
+        console.error("Error sending proposal review email:", emailError);
+    }
+};
+
+/**
+ * Get every review round of the proposal, newest first
+ * @route GET /api/v1/project/:projectId/proposal-reviews
+ */
+export const getProposalReviews = catchAsync(async (req, res, next) => {
+    const { project, isTeamMember, mentorRole } = await getProjectWithAccess(req.params.projectId, req.id);
+    const isRequestedMentor = project.mentorRequests.some(id => id.equals(req.id));
+    if (!isTeamMember && !mentorRole && !isRequestedMentor) {
+        return next(new AppError("You are not authorized to view this project's proposal reviews", 403));
+    }
+
+    await project.populate([
+        { path: "proposalReviews.submittedBy", select: "name email" },
+        { path: "proposalReviews.reviewedBy", select: "name email" },
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: "Proposal reviews fetched successfully",
+        status: project.status,
+        reviews: [...project.proposalReviews].reverse(),
+    });
+});
+
+/**
+ * Approve or reject the proposal under review. Rejection needs structured reasons;
+ * it marks the project rejected until the team resubmits.
+ * Allowed for the project's mentors and the mentor currently being requested.
+ * @route POST /api/v1/project/:projectId/proposal-reviews/decision
+ */
+export const reviewProposal = catchAsync(async (req, res, next) => {
+    const { decision, reasons, comment = "" } = req.body;
+
+    const { project, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    const isRequestedMentor = project.mentorRequests.some(id => id.equals(req.id));
+    if (!isMentor && !isRequestedMentor) {
+        return next(new AppError("Only the project's mentors or a requested mentor can review the proposal", 403));
+    }
+    if (!["approve", "reject"].includes(decision)) {
+        return next(new AppError("Invalid decision value. Use 'approve' or 'reject'", 400));
+    }
+
+    const round = getCurrentRound(project);
+    if (round.status !== "under-review") {
+        return next(new AppError(`Round ${round.round} has already been ${round.status}`, 400, "ROUND_ALREADY_REVIEWED"));
+    }
+
+    round.status = decision === "approve" ? "approved" : "rejected";
+    round.reviewedBy = req.id;
+    round.reviewedAt = new Date();
+    round.comment = comment;
+    if (decision === "reject") {
+        round.reasons = validateReasons(reasons);
+        project.status = "rejected";
+    } else if (project.assignedMentor && project.status !== "completed") {
+        project.status = "approved";
+        project.approvedAt = project.approvedAt || new Date();
+    }
+    await project.save();
+
+    await emitToProjectChat(project._id, "proposalReviewed", { round: round.round, decision: round.status });
+    await notifyTeam(project,
+        decision === "approve" ? "Proposal Approved" : "Proposal Rejected",
+        decision === "approve"
+            ? `The proposal for project '${project.title}' has been approved.`
+            : `The proposal for project '${project.title}' has been rejected:\n` +
+              round.reasons.map(reason => `- [${reason.category}${reason.field ? `: ${reason.field}` : ""}] ${reason.comment}`).join("\n") +
+              `\nYou can revise the proposal and resubmit it.`);
+
+    res.status(200).json({
+        success: true,
+        message: `Proposal ${round.status}`,
+        review: round,
+    });
+});
+
+/**
+ * Resubmit a rejected proposal with revised fields, opening a new review round
+ * @route POST /api/v1/project/:projectId/proposal-reviews/resubmit
+ */
+export const resubmitProposal = catchAsync(async (req, res, next) => {
+    const { title, description = {}, changeNote = "" } = req.body;
+
+    const { project, isLeader } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isLeader) {
+        return next(new AppError("Only the team leader can resubmit the proposal", 403));
+    }
+
+    const round = getCurrentRound(project);
+    if (round.status !== "rejected") {
+        return next(new AppError("Only a rejected proposal can be resubmitted", 400, "PROPOSAL_NOT_REJECTED"));
+    }
+
+    const changedFields = PROPOSAL_FIELDS.filter(field => description[field] !== undefined);
+    if (!title && changedFields.length === 0 && description.customFields === undefined) {
+        return next(new AppError("Provide the revised title or description fields", 400));
+    }
+
+    await ProposalVersion.ensureBaseline(project);
+    if (title) project.title = title;
+    changedFields.forEach(field => {
+        project.description[field] = description[field];
+    });
+    if (description.customFields !== undefined) {
+        const template = await getProjectTemplate(project);
+        project.description.customFields = validateCustomFields(template, description.customFields, project.description.customFields);
+    }
+
+    const newRound = openProposalRound(project, req.id, changeNote);
+    project.status = "pending";
+    await project.save();
+    await ProposalVersion.record(project, req.id);
+
+    await emitToProjectChat(project._id, "proposalResubmitted", { round: newRound.round });
+    await notifyTeam(project, "Proposal Resubmitted",
+        `The proposal for project '${project.title}' has been resubmitted for review (round ${newRound.round}).`);
+
+    // Let the mentors who will review it know as well
+    const reviewers = await User.find({
+        _id: { $in: [project.assignedMentor, ...project.mentorRequests].filter(Boolean) }
+    }).select("email");
+    const reviewerEmails = reviewers.map(reviewer => reviewer.email).filter(Boolean);
+    if (reviewerEmails.length) {
+        try {
+            await sendEmail({
+                email: reviewerEmails,
+                subject: "Proposal Resubmitted",
+                message: `The team has resubmitted the proposal for '${project.title}' (round ${newRound.round}).`,
+            });
+        } catch (emailError) {
+            console.error("Error sending resubmission email:", emailError);
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Proposal resubmitted for review",
+        review: newRound,
+    });
+});
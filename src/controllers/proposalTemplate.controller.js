@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { ProposalTemplate } from "../models/proposalTemplate.model.js";
+import { Project } from "../models/project.model.js";
+import { assertSameTenant, tenantFilter } from "../utils/tenancy.js";
+
+const findTemplate = async (templateId, user) => {
+    if (!mongoose.isValidObjectId(templateId)) {
+        throw new AppError("Invalid template ID", 400);
+    }
+    const template = await ProposalTemplate.findById(templateId);
+    assertSameTenant(user, template, "Proposal template");
+    return template;
+};
+
+// Only one default per department (or institution-wide) at a time
+const clearOtherDefaults = (template) =>
+    ProposalTemplate.updateMany(
+        { _id: { $ne: template._id }, institution: template.institution, department: template.department, isDefault: true },
+        { $set: { isDefault: false } }
+    );
+
+/**
+ * List proposal templates. Students only see active templates of their department.
+ * @route GET /api/v1/template?department=&includeInactive=true
+ */
+export const listTemplates = catchAsync(async (req, res) => {
+    const filter = { ...tenantFilter(req.user) };
+    if (req.user.role === "student") {
+        filter.isActive = true;
+        filter.department = { $in: [req.user.department || null, null] };
+    } else {
+        if (req.query.includeInactive !== "true") filter.isActive = true;
+        if (req.query.department) filter.department = { $in: [req.query.department, null] };
+    }
+
+    const templates = await ProposalTemplate.find(filter)
+        .populate("createdBy", "name email")
+        .sort({ department: -1, isDefault: -1, name: 1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Proposal templates fetched successfully",
+        templates,
+    });
+});
+
+/**
+ * Get a proposal template
+ * @route GET /api/v1/template/:templateId
+ */
+export const getTemplate = catchAsync(async (req, res) => {
+    const template = await findTemplate(req.params.templateId, req.user);
+
+    res.status(200).json({
+        success: true,
+        message: "Proposal template fetched successfully",
+        template,
+    });
+});
+
+/**
+ * Create a proposal template
+ * @route POST /api/v1/template
+ */
+export const createTemplate = catchAsync(async (req, res) => {
+    const { name, description, department, fields = [], isDefault = false } = req.body;
+
+    const template = await ProposalTemplate.create({
+        name,
+        description,
+        institution: req.user.institution || null,
+        department: department || null,
+        fields,
+        isDefault,
+        createdBy: req.id,
+    });
+    if (template.isDefault) await clearOtherDefaults(template);
+
+    res.status(201).json({
+        success: true,
+        message: "Proposal template created successfully",
+        template,
+    });
+});
+
+/**
+ * Update a proposal template. Fields are locked once projects use the template,
+ * so stored answers keep their meaning; create a new template instead.
+ * @route PATCH /api/v1/template/:templateId
+ */
+export const updateTemplate = catchAsync(async (req, res, next) => {
+    const template = await findTemplate(req.params.templateId, req.user);
+
+    const inUse = await Project.exists({ template: template._id });
+    if (inUse && (req.body.fields !== undefined || req.body.department !== undefined)) {
+        return next(new AppError("Fields and department cannot change once projects use the template", 400, "TEMPLATE_IN_USE"));
+    }
+
+    ["name", "description", "fields", "isDefault", "isActive"].forEach(field => {
+        if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    if (req.body.department !== undefined) template.department = req.body.department || null;
+    // Inactive templates cannot be picked, so they cannot be the default either
+    if (!template.isActive) template.isDefault = false;
+    await template.save();
+    if (template.isDefault) await clearOtherDefaults(template);
+
+    res.status(200).json({
+        success: true,
+        message: "Proposal template updated successfully",
+        template,
+    });
+});
+
+/**
+ * Delete a proposal template. Templates used by projects are deactivated instead.
+ * @route DELETE /api/v1/template/:templateId
+ */
+export const deleteTemplate = catchAsync(async (req, res) => {
+    const template = await findTemplate(req.params.templateId, req.user);
+
+    const inUse = await Project.exists({ template: template._id });
+    if (inUse) {
+        template.isActive = false;
+        template.isDefault = false;
+        await template.save();
+        return res.status(200).json({
+            success: true,
+            message: "Proposal template is used by existing projects and has been deactivated",
+            template,
+        });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        message: "Proposal template deleted successfully",
+    });
+});
@@ -0,0 +1,204 @@
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { PROPOSAL_VERSION_FIELDS, ProposalVersion } from "../models/proposalVersion.model.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { isTenantAdmin } from "../utils/tenancy.js";
+import { diffLists, diffWords } from "../utils/textDiff.js";
+import { emitToProjectChat } from "../socket/socket.js";
+
+// Team, mentoring staff and mentors currently being requested can read the history
+const getVersionedProject = async (projectId, user) => {
+    const access = await getProjectWithAccess(projectId, user._id);
+    const isRequestedMentor = access.project.mentorRequests.some(id => id.equals(user._id));
+    if (!access.isTeamMember && !access.mentorRole && !isRequestedMentor && !isTenantAdmin(user, access.project)) {
+        throw new AppError("You are not authorized to view this project's proposal history", 403);
+    }
+    await ProposalVersion.ensureBaseline(access.project);
+    return { ...access, isRequestedMentor };
+};
+
+const findVersion = async (projectId, version) => {
+    const number = Number(version);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new AppError("Version must be a positive integer", 400);
+    }
+    const found = await ProposalVersion.findOne({ project: projectId, version: number })
+        .populate("author", "name email")
+        .populate("comments.author", "name email role");
+    if (!found) {
+        throw new AppError(`Version ${number} not found`, 404);
+    }
+    return found;
+};
+
+// Per-key diff of template custom fields; text values get a word diff
+const diffCustomFields = (from = {}, to = {}) => {
+    const keys = [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])];
+    const changes = {};
+    keys.forEach(key => {
+        const before = from?.[key] ?? null;
+        const after = to?.[key] ?? null;
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        changes[key] = typeof before === "string" && typeof after === "string"
+            ? { from: before, to: after, changes: diffWords(before, after) }
+            : { from: before, to: after };
+    });
+    return { changed: Object.keys(changes).length > 0, fields: changes };
+};
+
+const versionMeta = (version) => ({
+    version: version.version,
+    author: version.author,
+    createdAt: version.createdAt,
+    changedFields: version.changedFields,
+});
+
+/**
+ * List the proposal versions of a project, newest first
+ * @route GET /api/v1/project/:projectId/versions
+ */
+export const getProposalVersions = catchAsync(async (req, res, next) => {
+    const { project } = await getVersionedProject(req.params.projectId, req.user);
+
+    const versions = await ProposalVersion.find({ project: project._id })
+        .sort({ version: -1 })
+        .populate("author", "name email")
+        .lean();
+
+    res.status(200).json({
+        success: true,
+        message: "Proposal versions fetched successfully",
+        versions: versions.map(version => ({
+            ...versionMeta(version),
+            commentCount: version.comments.length,
+        })),
+    });
+});
+
+/**
+ * Get one proposal version with its comments
+ * @route GET /api/v1/project/:projectId/versions/:version
+ */
+export const getProposalVersion = catchAsync(async (req, res, next) => {
+    const { project } = await getVersionedProject(req.params.projectId, req.user);
+    const version = await findVersion(project._id, req.params.version);
+
+    res.status(200).json({
+        success: true,
+        message: "Proposal version fetched successfully",
+        version,
+    });
+});
+
+/**
+ * Field-level diff between two versions. Defaults to the latest version against the one before it.
+ * @route GET /api/v1/project/:projectId/versions/diff?from=1&to=3
+ */
+export const diffProposalVersions = catchAsync(async (req, res, next) => {
+    const { project } = await getVersionedProject(req.params.projectId, req.user);
+
+    const latest = await ProposalVersion.findOne({ project: project._id }).sort({ version: -1 }).select("version");
+    const to = req.query.to ?? latest.version;
+    const from = req.query.from ?? Math.max(Number(to) - 1, 1);
+
+    const [fromVersion, toVersion] = await Promise.all([
+        findVersion(project._id, from),
+        findVersion(project._id, to),
+    ]);
+
+    const fields = {};
+    PROPOSAL_VERSION_FIELDS.forEach(field => {
+        if (field === "techStack") {
+            const { added, removed } = diffLists(fromVersion.techStack, toVersion.techStack);
+            fields.techStack = { changed: added.length > 0 || removed.length > 0, added, removed };
+        } else if (field === "customFields") {
+            fields.customFields = diffCustomFields(fromVersion.customFields, toVersion.customFields);
+        } else {
+            const changed = (fromVersion[field] || "") !== (toVersion[field] || "");
+            fields[field] = {
+                changed,
+                changes: changed ? diffWords(fromVersion[field], toVersion[field]) : [],
+            };
+        }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: "Proposal diff generated successfully",
+        from: versionMeta(fromVersion),
+        to: versionMeta(toVersion),
+        fields,
+        comments: toVersion.comments.filter(comment => comment.comparedTo === fromVersion.version),
+    });
+});
+
+/**
+ * Comment on a version, optionally on one field of its diff against another version.
+ * Allowed for the mentoring staff and requested mentors.
+ * @route POST /api/v1/project/:projectId/versions/:version/comments
+ */
+export const addVersionComment = catchAsync(async (req, res, next) => {
+    const { content, field = null, comparedTo = null } = req.body;
+
+    const { project, mentorRole, isRequestedMentor } = await getVersionedProject(req.params.projectId, req.user);
+    if (!mentorRole && !isRequestedMentor) {
+        return next(new AppError("Only mentors can comment on proposal versions", 403));
+    }
+    if (!content || !content.trim()) {
+        return next(new AppError("Comment content is required", 400));
+    }
+    if (field !== null && !PROPOSAL_VERSION_FIELDS.includes(field)) {
+        return next(new AppError(`Invalid field. Use one of: ${PROPOSAL_VERSION_FIELDS.join(", ")}`, 400));
+    }
+
+    const version = await findVersion(project._id, req.params.version);
+    if (comparedTo !== null) {
+        await findVersion(project._id, comparedTo);
+    }
+
+    version.comments.push({
+        author: req.id,
+        comparedTo: comparedTo !== null ? Number(comparedTo) : null,
+        field,
+        content,
+    });
+    await version.save();
+    await version.populate("comments.author", "name email role");
+
+    const comment = version.comments[version.comments.length - 1];
+    await emitToProjectChat(project._id, "proposalVersionComment", { version: version.version, comment });
+
+    res.status(201).json({
+        success: true,
+        message: "Comment added successfully",
+        comment,
+    });
+});
+
+/**
+ * Delete one of your own version comments. Mentors can also remove comments whose author
+ * account no longer exists.
+ * @route DELETE /api/v1/project/:projectId/versions/:version/comments/:commentId
+ */
+export const deleteVersionComment = catchAsync(async (req, res, next) => {
+    const { project, isMentor } = await getVersionedProject(req.params.projectId, req.user);
+    const version = await findVersion(project._id, req.params.version);
+
+    const comment = version.comments.id(req.params.commentId);
+    if (!comment) {
+        return next(new AppError("Comment not found", 404));
+    }
+    // populate leaves null behind when the author was deleted
+    const authorId = comment.author?._id ?? comment.author;
+    const canDelete = authorId ? authorId.equals(req.id) : isMentor;
+    if (!canDelete) {
+        return next(new AppError("You can only delete your own comments", 403));
+    }
+
+    comment.deleteOne();
+    await version.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Comment deleted successfully",
+    });
+});
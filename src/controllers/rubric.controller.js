@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { Rubric } from "../models/rubric.model.js";
+import { Evaluation } from "../models/evaluation.model.js";
+import { Term } from "../models/term.model.js";
+import { assertSameTenant, tenantFilter } from "../utils/tenancy.js";
+
+const findRubric = async (rubricId, user) => {
+    if (!mongoose.isValidObjectId(rubricId)) {
+        throw new AppError("Invalid rubric ID", 400);
+    }
+    const rubric = await Rubric.findById(rubricId);
+    assertSameTenant(user, rubric, "Rubric");
+    return rubric;
+};
+
+// Rubrics can only be tied to a term of their own institution
+const assertTermOfInstitution = async (term, institution) => {
+    if (!term) return;
+    const found = mongoose.isValidObjectId(term) && await Term.exists({ _id: term, institution: institution || null });
+    if (!found) {
+        throw new AppError("Term not found", 400, "INVALID_TERM");
+    }
+};
+
+/**
+ * List rubrics, optionally filtered by department, term and stage.
+ * Department and term filters also include rubrics that apply to all.
+ * @route GET /api/v1/grading/rubrics
+ */
+export const listRubrics = catchAsync(async (req, res) => {
+    const { department, term, stage, includeInactive } = req.query;
+
+    const filter = { ...tenantFilter(req.user) };
+    if (includeInactive !== "true") filter.isActive = true;
+    if (stage) filter.stages = stage;
+    const conditions = [];
+    if (department) conditions.push({ department: { $in: [department, null] } });
+    if (term) conditions.push({ term: { $in: [term, null] } });
+    if (conditions.length) filter.$and = conditions;
+
+    const rubrics = await Rubric.find(filter)
+        .populate("createdBy", "name email")
+        .populate("term", "name startDate endDate")
+        .sort({ createdAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Rubrics fetched successfully",
+        rubrics,
+    });
+});
+
+/**
+ * Get a rubric
+ * @route GET /api/v1/grading/rubrics/:rubricId
+ */
+export const getRubric = catchAsync(async (req, res) => {
+    const rubric = await findRubric(req.params.rubricId, req.user);
+
+    res.status(200).json({
+        success: true,
+        message: "Rubric fetched successfully",
+        rubric,
+    });
+});
+
+/**
+ * Create a rubric
+ * @route POST /api/v1/grading/rubrics
+ */
+export const createRubric = catchAsync(async (req, res) => {
+    const { name, description, department, term, stages, criteria } = req.body;
+    await assertTermOfInstitution(term, req.user.institution);
+
+    const rubric = await Rubric.create({
+        name,
+        description,
+        institution: req.user.institution || null,
+        department: department || null,
+        term: term || null,
+        stages,
+        criteria,
+        createdBy: req.id,
+    });
+
+    res.status(201).json({
+        success: true,
+        message: "Rubric created successfully",
+        rubric,
+    });
+});
+
+/**
+ * Update a rubric. Criteria and stages are locked once evaluations use the rubric,
+ * so existing grades keep their meaning; create a new rubric instead.
+ * @route PATCH /api/v1/grading/rubrics/:rubricId
+ */
+export const updateRubric = catchAsync(async (req, res, next) => {
+    const rubric = await findRubric(req.params.rubricId, req.user);
+
+    const inUse = await Evaluation.exists({ rubric: rubric._id });
+    if (inUse && (req.body.criteria !== undefined || req.body.stages !== undefined)) {
+        return next(new AppError("Criteria and stages cannot change once the rubric has been used for grading", 400, "RUBRIC_IN_USE"));
+    }
+    await assertTermOfInstitution(req.body.term, rubric.institution);
+
+    ["name", "description", "stages", "criteria", "isActive"].forEach(field => {
+        if (req.body[field] !== undefined) rubric[field] = req.body[field];
+    });
+    ["department", "term"].forEach(field => {
+        if (req.body[field] !== undefined) rubric[field] = req.body[field] || null;
+    });
+    await rubric.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Rubric updated successfully",
+        rubric,
+    });
+});
+
+/**
+ * Delete a rubric. Rubrics already used for grading are deactivated instead.
+ * @route DELETE /api/v1/grading/rubrics/:rubricId
+ */
+export const deleteRubric = catchAsync(async (req, res) => {
+    const rubric = await findRubric(req.params.rubricId, req.user);
+
+    const inUse = await Evaluation.exists({ rubric: rubric._id });
+    if (inUse) {
+        rubric.isActive = false;
+        await rubric.save();
+        return res.status(200).json({
+            success: true,
+            message: "Rubric is used by existing evaluations and has been deactivated",
+            rubric,
+        });
+    }
+
+    await rubric.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        message: "Rubric deleted successfully",
+    });
+});
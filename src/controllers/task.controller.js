@@ -0,0 +1,411 @@
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { Task, TASK_COLUMNS } from "../models/task.model.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { emitToProjectChat } from "../socket/socket.js";
+import mongoose from "mongoose";
+
+const TASK_POPULATE = [
+    { path: "assignees", select: "name email avatar" },
+    { path: "createdBy", select: "name email" },
+    { path: "comments.author", select: "name email avatar" },
+];
+
+// Team members and mentors can see and edit the board; reviewers can only look at it
+const getBoardProject = async (projectId, userId, { readOnly = false } = {}) => {
+    const access = await getProjectWithAccess(projectId, userId);
+    if (!access.isTeamMember && !access.isMentor && !(readOnly && access.isReviewer)) {
+        throw new AppError("You are not authorized to access the task board of this project", 403);
+    }
+    return access.project;
+};
+
+const findTask = async (project, taskId) => {
+    if (!mongoose.isValidObjectId(taskId)) {
+        throw new AppError("Invalid task ID", 400);
+    }
+    const task = await Task.findOne({ _id: taskId, project: project._id });
+    if (!task) {
+        throw new AppError("Task not found", 404);
+    }
+    return task;
+};
+
+// Assignees must be drawn from the project's team members
+const validateAssignees = (project, assignees) => {
+    if (!Array.isArray(assignees)) {
+        throw new AppError("assignees must be an array of user IDs", 400);
+    }
+    const members = project.teamMembers.map(id => id.toString());
+    const invalid = assignees.filter(id => !members.includes(id.toString()));
+    if (invalid.length > 0) {
+        throw new AppError(`Assignees must be team members: ${invalid.join(", ")}`, 400);
+    }
+    return [...new Set(assignees.map(id => id.toString()))];
+};
+
+const validateColumn = (column) => {
+    if (!TASK_COLUMNS.includes(column)) {
+        throw new AppError(`Invalid column. Use one of: ${TASK_COLUMNS.join(", ")}`, 400);
+    }
+};
+
+// Checklist items may be given as text or as { text }
+const parseChecklist = (checklist) => {
+    if (!Array.isArray(checklist)) {
+        throw new AppError("checklist must be an array", 400);
+    }
+    return checklist.map(item => {
+        const text = typeof item === "string" ? item : item?.text;
+        if (typeof text !== "string" || !text.trim()) {
+            throw new AppError("Each checklist item needs text", 400);
+        }
+        return { text };
+    });
+};
+
+/**
+ * Places the task at `position` in `column`. The renumbering of the rest of the column,
+ * which keeps positions contiguous, is returned for saveTaskPlacement to apply.
+ * @returns {Promise<Object[]>} - bulkWrite operations for the siblings
+ */
+const placeTask = async (task, column, position) => {
+    const siblings = await Task.find({
+        project: task.project,
+        column,
+        _id: { $ne: task._id },
+    }).sort({ position: 1, createdAt: 1 }).select("_id");
+
+    const index = Number.isInteger(position)
+        ? Math.min(Math.max(position, 0), siblings.length)
+        : siblings.length;
+    const ordered = siblings.map(sibling => sibling._id);
+    ordered.splice(index, 0, task._id);
+
+    task.column = column;
+    task.position = index;
+
+    return ordered
+        .map((id, newPosition) => ({ id, newPosition }))
+        .filter(({ id }) => !id.equals(task._id))
+        .map(({ id, newPosition }) => ({
+            updateOne: {
+                filter: { _id: id },
+                update: { $set: { position: newPosition } },
+            },
+        }));
+};
+
+// Saves the task and renumbers its column together, so a failed save leaves the board untouched
+const saveTaskPlacement = async (task, siblingUpdates) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        await task.save({ session });
+        if (siblingUpdates.length > 0) {
+            await Task.bulkWrite(siblingUpdates, { session });
+        }
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+const populateTask = (task) => task.populate(TASK_POPULATE);
+
+/**
+ * Get the task board of a project grouped by column
+ * @route GET /api/v1/project/:projectId/tasks
+ */
+export const getTaskBoard = catchAsync(async (req, res) => {
+    const { assignee, label } = req.query;
+    const project = await getBoardProject(req.params.projectId, req.id, { readOnly: true });
+
+    const filter = { project: project._id };
+    if (assignee && mongoose.isValidObjectId(assignee)) filter.assignees = assignee;
+    if (label) filter.labels = label.toLowerCase();
+
+    const tasks = await Task.find(filter)
+        .populate(TASK_POPULATE)
+        .sort({ position: 1, createdAt: 1 });
+
+    const board = Object.fromEntries(TASK_COLUMNS.map(column => [column, []]));
+    tasks.forEach(task => board[task.column].push(task));
+
+    res.status(200).json({
+        success: true,
+        message: "Task board fetched successfully",
+        columns: TASK_COLUMNS,
+        board,
+        totalTasks: tasks.length,
+    });
+});
+
+/**
+ * Get a single task
+ * @route GET /api/v1/project/:projectId/tasks/:taskId
+ */
+export const getTaskById = catchAsync(async (req, res) => {
+    const project = await getBoardProject(req.params.projectId, req.id, { readOnly: true });
+    const task = await findTask(project, req.params.taskId);
+    await populateTask(task);
+
+    res.status(200).json({
+        success: true,
+        message: "Task fetched successfully",
+        task,
+    });
+});
+
+/**
+ * Create a task, appended to the bottom of its column
+ * @route POST /api/v1/project/:projectId/tasks
+ */
+export const createTask = catchAsync(async (req, res, next) => {
+    const { title, description, column = "todo", assignees = [], labels = [], dueDate, checklist = [] } = req.body;
+    const project = await getBoardProject(req.params.projectId, req.id);
+
+    if (!title) {
+        return next(new AppError("Task title is required", 400));
+    }
+    validateColumn(column);
+
+    const task = new Task({
+        project: project._id,
+        title,
+        description,
+        assignees: validateAssignees(project, assignees),
+        labels,
+        dueDate,
+        createdBy: req.id,
+        checklist: parseChecklist(checklist),
+    });
+    await saveTaskPlacement(task, await placeTask(task, column));
+    await populateTask(task);
+
+    await emitToProjectChat(project._id, "taskCreated", { task });
+
+    res.status(201).json({
+        success: true,
+        message: "Task created successfully",
+        task,
+    });
+});
+
+/**
+ * Update task details
+ * @route PATCH /api/v1/project/:projectId/tasks/:taskId
+ */
+export const updateTask = catchAsync(async (req, res) => {
+    const { title, description, assignees, labels, dueDate } = req.body;
+    const project = await getBoardProject(req.params.projectId, req.id);
+    const task = await findTask(project, req.params.taskId);
+
+    if (title !== undefined) task.title = title;
+    if (description !== undefined) task.description = description;
+    if (assignees !== undefined) task.assignees = validateAssignees(project, assignees);
+    if (labels !== undefined) task.labels = labels;
+    if (dueDate !== undefined) task.dueDate = dueDate;
+
+    await task.save();
+    await populateTask(task);
+
+    await emitToProjectChat(project._id, "taskUpdated", { task });
+
+    res.status(200).json({
+        success: true,
+        message: "Task updated successfully",
+        task,
+    });
+});
+
+/**
+ * Move a task to a column and position on the board
+ * @route PATCH /api/v1/project/:projectId/tasks/:taskId/move
+ */
+export const moveTask = catchAsync(async (req, res) => {
+    const { column, position } = req.body;
+    const project = await getBoardProject(req.params.projectId, req.id);
+    const task = await findTask(project, req.params.taskId);
+
+    validateColumn(column);
+    const fromColumn = task.column;
+
+    const siblingUpdates = await placeTask(task, column, position === undefined ? undefined : Number(position));
+    await saveTaskPlacement(task, siblingUpdates);
+    await populateTask(task);
+
+    await emitToProjectChat(project._id, "taskMoved", { task, fromColumn, toColumn: column, position: task.position });
+
+    res.status(200).json({
+        success: true,
+        message: "Task moved successfully",
+        task,
+    });
+});
+
+/**
+ * Delete a task
+ * @route DELETE /api/v1/project/:projectId/tasks/:taskId
+ */
+export const deleteTask = catchAsync(async (req, res) => {
+    const project = await getBoardProject(req.params.projectId, req.id);
+    const task = await findTask(project, req.params.taskId);
+
+    await task.deleteOne();
+
+    await emitToProjectChat(project._id, "taskDeleted", { taskId: task._id, column: task.column });
+
+    res.status(200).json({
+        success: true,
+        message: "Task deleted successfully",
+    });
+});
+
+/**
+ * Add a comment to a task
+ * @route POST /api/v1/project/:projectId/tasks/:taskId/comments
+ */
+export const addTaskComment = catchAsync(async (req, res, next) => {
+    const { content } = req.body;
+    const project = await getBoardProject(req.params.projectId, req.id);
+    const task = await findTask(project, req.params.taskId);
+
+    if (!content || !content.trim()) {
+        return next(new AppError("Comment content is required", 400));
+    }
+
+    task.comments.push({ author: req.id, content });
+    await task.save();
+    await populateTask(task);
+
+    const comment = task.comments[task.comments.length - 1];
+    await emitToProjectChat(project._id, "taskCommentAdded", { taskId: task._id, comment });
+
+    res.status(201).json({
+        success: true,
+        message: "Comment added successfully",
+        comment,
+        task,
+    });
+});
+
+/**
+ * Delete a comment. Only its author can remove it.
+ * @route DELETE /api/v1/project/:projectId/tasks/:taskId/comments/:commentId
+ */
+export const deleteTaskComment = catchAsync(async (req, res, next) => {
+    const project = await getBoardProject(req.params.projectId, req.id);
+    const task = await findTask(project, req.params.taskId);
+
+    const comment = task.comments.id(req.params.commentId);
+    if (!comment) {
+        return next(new AppError("Comment not found", 404));
+    }
+    if (!comment.author.equals(req.id)) {
+        return next(new AppError("You can only delete your own comments", 403));
+    }
+
+    comment.deleteOne();
+    await task.save();
+    await populateTask(task);
+
+    await emitToProjectChat(project._id, "taskUpdated", { task });
+
+    res.status(200).json({
+        success: true,
+        message: "Comment deleted successfully",
+        task,
+    });
+});
+
+/**
+ * Add a checklist item to a task
+ * @route POST /api/v1/project/:projectId/tasks/:taskId/checklist
+ */
+export const addChecklistItem = catchAsync(async (req, res, next) => {
+    const { text } = req.body;
+    const project = await getBoardProject(req.params.projectId, req.id);
+    const task = await findTask(project, req.params.taskId);
+
+    if (typeof text !== "string" || !text.trim()) {
+        return next(new AppError("Checklist item text is required", 400));
+    }
+
+    task.checklist.push({ text });
+    await task.save();
+    await populateTask(task);
+
+    await emitToProjectChat(project._id, "taskUpdated", { task });
+
+    res.status(201).json({
+        success: true,
+        message: "Checklist item added successfully",
+        task,
+    });
+});
+
+/**
+ * Edit or tick/untick a checklist item
+ * @route PATCH /api/v1/project/:projectId/tasks/:taskId/checklist/:itemId
+ */
+export const updateChecklistItem = catchAsync(async (req, res, next) => {
+    const { text, done } = req.body;
+    const project = await getBoardProject(req.params.projectId, req.id);
+    const task = await findTask(project, req.params.taskId);
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+        return next(new AppError("Checklist item not found", 404));
+    }
+
+    if (done !== undefined && typeof done !== "boolean") {
+        return next(new AppError("done must be true or false", 400));
+    }
+
+    if (text !== undefined) item.text = text;
+    if (done !== undefined) {
+        item.done = done;
+        item.completedBy = item.done ? req.id : null;
+        item.completedAt = item.done ? new Date() : null;
+    }
+
+    await task.save();
+    await populateTask(task);
+
+    await emitToProjectChat(project._id, "taskUpdated", { task });
+
+    res.status(200).json({
+        success: true,
+        message: "Checklist item updated successfully",
+        task,
+    });
+});
+
+/**
+ * Remove a checklist item
+ * @route DELETE /api/v1/project/:projectId/tasks/:taskId/checklist/:itemId
+ */
+export const deleteChecklistItem = catchAsync(async (req, res, next) => {
+    const project = await getBoardProject(req.params.projectId, req.id);
+    const task = await findTask(project, req.params.taskId);
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+        return next(new AppError("Checklist item not found", 404));
+    }
+
+    item.deleteOne();
+    await task.save();
+    await populateTask(task);
+
+    await emitToProjectChat(project._id, "taskUpdated", { task });
+
+    res.status(200).json({
+        success: true,
+        message: "Checklist item deleted successfully",
+        task,
+    });
+});
@@ -0,0 +1,179 @@
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { Chat } from "../models/chat.model.js";
+import { Meeting } from "../models/meeting.model.js";
+import { Task } from "../models/task.model.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { getProjectWithAccess } from "../utils/projectAccess.js";
+import { emitToProjectChat, emitToUser, removeUserFromProjectChat } from "../socket/socket.js";
+import mongoose from "mongoose";
+
+// Takes a member off the team, the chat, upcoming meetings and their task/milestone assignments
+const detachMember = async (project, memberId) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        project.teamMembers = project.teamMembers.filter(id => !id.equals(memberId));
+        project.milestones.forEach(milestone => {
+            if (milestone.owner && milestone.owner.equals(memberId)) milestone.owner = null;
+        });
+        await project.save({ session });
+
+        await Chat.updateOne(
+            { project: project._id },
+            { $pull: { participants: memberId } },
+            { session }
+        );
+        // Past meetings keep their participant list as a record of who attended
+        await Meeting.updateMany(
+            { projectId: project._id, startTime: { $gte: new Date() }, status: "scheduled" },
+            { $pull: { participants: memberId } },
+            { session }
+        );
+        await Task.updateMany(
+            { project: project._id },
+            { $pull: { assignees: memberId } },
+            { session }
+        );
+
+        await session.commitTransaction();
+    } catch (err) {
+        await session.abortTransaction();
+        console.error("Transaction error while removing member:", err);
+        throw new AppError("Failed to update the project team. Please try again.", 500);
+    } finally {
+        session.endSession();
+    }
+
+    // Connected sockets would otherwise keep receiving the chat until they reconnect
+    await removeUserFromProjectChat(project._id, memberId);
+};
+
+const notifyUser = async (user, subject, message) => {
+    try {
+        await sendEmail({ email: user.email, subject, message });
+    } catch (emailError) {
+        console.error("Error sending team notification email:", emailError);
+    }
+};
+
+/**
+ * Remove a member from the team (team leader only)
+ * @route DELETE /api/v1/project/:projectId/members/:memberId
+ */
+export const removeMember = catchAsync(async (req, res, next) => {
+    const { projectId, memberId } = req.params;
+
+    const { project, isLeader } = await getProjectWithAccess(projectId, req.id);
+    if (!isLeader) {
+        return next(new AppError("Only the team leader can remove members", 403));
+    }
+    if (!mongoose.isValidObjectId(memberId) || !project.teamMembers.some(id => id.equals(memberId))) {
+        return next(new AppError("User is not a member of this project", 404));
+    }
+    if (project.createdBy.equals(memberId)) {
+        return next(new AppError("The team leader cannot be removed. Transfer leadership first.", 400, "LEADER_CANNOT_BE_REMOVED"));
+    }
+
+    await detachMember(project, memberId);
+
+    const member = await User.findById(memberId).select("name email");
+    emitToUser(memberId, "removedFromProject", { projectId: project._id, projectTitle: project.title });
+    await emitToProjectChat(project._id, "memberRemoved", { memberId });
+    if (member) {
+        await notifyUser(member, `Removed from project: ${project.title}`,
+            `You have been removed from the project "${project.title}" by the team leader.`);
+    }
+
+    const updatedProject = await Project.findById(project._id)
+        .populate("createdBy teamMembers assignedMentor");
+
+    res.status(200).json({
+        success: true,
+        message: "Member removed successfully",
+        project: updatedProject,
+    });
+});
+
+/**
+ * Leave a project voluntarily. The leader has to transfer leadership first.
+ * @route POST /api/v1/project/:projectId/leave
+ */
+export const leaveProject = catchAsync(async (req, res, next) => {
+    const userId = req.id;
+
+    const { project, isTeamMember, isLeader } = await getProjectWithAccess(req.params.projectId, userId);
+    if (!isTeamMember) {
+        return next(new AppError("You are not a member of this project", 400));
+    }
+    if (isLeader) {
+        return next(new AppError("The team leader must transfer leadership before leaving the project", 400, "LEADER_MUST_TRANSFER"));
+    }
+
+    await detachMember(project, userId);
+
+    await emitToProjectChat(project._id, "memberLeft", { member: { _id: req.user._id, name: req.user.name } });
+    const leader = await User.findById(project.createdBy).select("name email");
+    if (leader) {
+        emitToUser(leader._id, "memberLeft", { projectId: project._id, member: { _id: req.user._id, name: req.user.name } });
+        await notifyUser(leader, `Member left project: ${project.title}`,
+            `${req.user.name} has left the project "${project.title}".`);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `You have left the project "${project.title}"`,
+    });
+});
+
+/**
+ * Hand over team leadership (createdBy) to another member.
+ * The assigned mentor can also do this when the leader has dropped out.
+ * @route PATCH /api/v1/project/:projectId/transfer-leadership
+ */
+export const transferLeadership = catchAsync(async (req, res, next) => {
+    const { newLeaderId } = req.body;
+
+    const { project, isLeader, isMentor } = await getProjectWithAccess(req.params.projectId, req.id);
+    if (!isLeader && !isMentor) {
+        return next(new AppError("Only the team leader or the project mentor can transfer leadership", 403));
+    }
+    if (!newLeaderId || !mongoose.isValidObjectId(newLeaderId)) {
+        return next(new AppError("A valid newLeaderId is required", 400));
+    }
+    if (!project.teamMembers.some(id => id.equals(newLeaderId))) {
+        return next(new AppError("The new leader must be a member of the team", 400));
+    }
+    if (project.createdBy.equals(newLeaderId)) {
+        return next(new AppError("This user is already the team leader", 400));
+    }
+
+    const previousLeaderId = project.createdBy;
+    project.createdBy = newLeaderId;
+    await project.save();
+
+    const [previousLeader, newLeader] = await Promise.all([
+        User.findById(previousLeaderId).select("name email"),
+        User.findById(newLeaderId).select("name email"),
+    ]);
+
+    await emitToProjectChat(project._id, "leadershipTransferred", { previousLeaderId, newLeaderId });
+    if (newLeader) {
+        await notifyUser(newLeader, `You are now leading: ${project.title}`,
+            `You are now the team leader of the project "${project.title}".`);
+    }
+    if (previousLeader) {
+        await notifyUser(previousLeader, `Leadership transferred: ${project.title}`,
+            `Leadership of the project "${project.title}" has been transferred to ${newLeader?.name || "another member"}.`);
+    }
+
+    const updatedProject = await Project.findById(project._id)
+        .populate("createdBy teamMembers assignedMentor");
+
+    res.status(200).json({
+        success: true,
+        message: "Leadership transferred successfully",
+        project: updatedProject,
+    });
+});
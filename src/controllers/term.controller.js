@@ -0,0 +1,303 @@
+import mongoose from "mongoose";
+import { AppError, catchAsync } from "../middleware/error.middleware.js";
+import { Term } from "../models/term.model.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { Rubric } from "../models/rubric.model.js";
+import { ACTIVE_PROJECT_STATUSES } from "../utils/projectPolicy.js";
+import { refreshMentorAvailability } from "../utils/mentorLoad.js";
+import { assertSameTenant, tenantFilter } from "../utils/tenancy.js";
+
+const ROLLOVER_ACTIONS = ["complete", "carry-over"];
+
+const findTerm = async (termId, user) => {
+    if (!mongoose.isValidObjectId(termId)) {
+        throw new AppError("Invalid term ID", 400);
+    }
+    const term = await Term.findById(termId);
+    assertSameTenant(user, term, "Term");
+    return term;
+};
+
+/**
+ * List terms, newest first
+ * @route GET /api/v1/term
+ */
+export const listTerms = catchAsync(async (req, res) => {
+    const { status, department } = req.query;
+
+    const filter = { ...tenantFilter(req.user) };
+    if (status) filter.status = status;
+    if (department) filter.department = { $in: [department, null] };
+
+    const terms = await Term.find(filter).sort({ startDate: -1 });
+
+    res.status(200).json({
+        success: true,
+        message: "Terms fetched successfully",
+        terms,
+    });
+});
+
+/**
+ * The term running today for the user's department
+ * @route GET /api/v1/term/current
+ */
+export const getCurrentTerm = catchAsync(async (req, res) => {
+    const term = await Term.findCurrent(req.user.department || null, req.user.institution);
+
+    res.status(200).json({
+        success: true,
+        message: term ? "Current term fetched successfully" : "No term is running right now",
+        term,
+    });
+});
+
+/**
+ * Get a term with project and student counts
+ * @route GET /api/v1/term/:termId
+ */
+export const getTerm = catchAsync(async (req, res) => {
+    const term = await findTerm(req.params.termId, req.user);
+
+    const [projectsByStatus, students] = await Promise.all([
+        Project.aggregate([
+            { $match: { term: term._id } },
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
+        User.countDocuments({ role: "student", term: term._id }),
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: "Term fetched successfully",
+        term,
+        stats: {
+            students,
+            projects: Object.fromEntries(projectsByStatus.map(entry => [entry._id, entry.count])),
+        },
+    });
+});
+
+/**
+ * Create a term
+ * @route POST /api/v1/term
+ */
+export const createTerm = catchAsync(async (req, res) => {
+    const { name, department, startDate, endDate } = req.body;
+
+    const term = await Term.create({
+        name,
+        institution: req.user.institution || null,
+        department: department || null,
+        startDate,
+        endDate,
+        createdBy: req.id,
+    });
+
+    res.status(201).json({
+        success: true,
+        message: "Term created successfully",
+        term,
+    });
+});
+
+/**
+ * Update a term's name, department or dates
+ * @route PATCH /api/v1/term/:termId
+ */
+export const updateTerm = catchAsync(async (req, res) => {
+    const term = await findTerm(req.params.termId, req.user);
+
+    ["name", "startDate", "endDate"].forEach(field => {
+        if (req.body[field] !== undefined) term[field] = req.body[field];
+    });
+    if (req.body.department !== undefined) term.department = req.body.department || null;
+    await term.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Term updated successfully",
+        term,
+    });
+});
+
+/**
+ * Delete a term that nothing belongs to yet
+ * @route DELETE /api/v1/term/:termId
+ */
+export const deleteTerm = catchAsync(async (req, res, next) => {
+    const term = await findTerm(req.params.termId, req.user);
+
+    const [projects, users, rubrics] = await Promise.all([
+        Project.exists({ $or: [{ term: term._id }, { previousTerms: term._id }] }),
+        User.exists({ term: term._id }),
+        Rubric.exists({ term: term._id }),
+    ]);
+    if (projects || users || rubrics) {
+        return next(new AppError("This term has projects, students or rubrics and cannot be deleted", 400, "TERM_IN_USE"));
+    }
+
+    await term.deleteOne();
+
+    res.status(200).json({
+        success: true,
+        message: "Term deleted successfully",
+    });
+});
+
+/**
+ * Assign students to a cohort term
+ * @route POST /api/v1/term/:termId/students
+ */
+export const assignStudentsToTerm = catchAsync(async (req, res, next) => {
+    const { studentIds } = req.body;
+
+    const term = await findTerm(req.params.termId, req.user);
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+        return next(new AppError("studentIds must be a non-empty array", 400));
+    }
+
+    const { modifiedCount } = await User.updateMany(
+        { _id: { $in: studentIds }, role: "student", institution: term.institution },
+        { $set: { term: term._id } }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: `${modifiedCount} student(s) assigned to ${term.name}`,
+        assigned: modifiedCount,
+    });
+});
+
+// Validates a list of project ids from the rollover request
+const parseProjectIds = (ids, field) => {
+    if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+        throw new AppError(`${field} must be an array of project IDs`, 400);
+    }
+    return new Set(ids.map(String));
+};
+
+// Splits the term's open projects into those to complete and those to carry over
+const planRollover = async (term, { defaultAction, toComplete, toCarryOver }, session = null) => {
+    const openProjects = await Project.find({ term: term._id, status: { $in: ACTIVE_PROJECT_STATUSES } })
+        .select("title status assignedMentor")
+        .session(session);
+
+    const actionFor = (project) => {
+        const id = project._id.toString();
+        if (toComplete.has(id)) return "complete";
+        if (toCarryOver.has(id)) return "carry-over";
+        return defaultAction;
+    };
+    return {
+        completing: openProjects.filter(project => actionFor(project) === "complete"),
+        carrying: openProjects.filter(project => actionFor(project) === "carry-over"),
+    };
+};
+
+/**
+ * Close a term. Open (pending/approved) projects are either marked completed or carried over
+ * to the next term. `defaultAction` applies to every open project not listed in
+ * `complete` or `carryOver`. Use `dryRun: true` to preview.
+ * @route POST /api/v1/term/:termId/rollover
+ */
+export const rolloverTerm = catchAsync(async (req, res, next) => {
+    const { nextTermId, defaultAction = "complete", complete = [], carryOver = [], dryRun = false } = req.body;
+
+    const term = await findTerm(req.params.termId, req.user);
+    if (term.status === "closed") {
+        return next(new AppError("This term has already been rolled over", 400, "TERM_CLOSED"));
+    }
+    if (!ROLLOVER_ACTIONS.includes(defaultAction)) {
+        return next(new AppError(`Invalid defaultAction. Use one of: ${ROLLOVER_ACTIONS.join(", ")}`, 400));
+    }
+    const options = {
+        defaultAction,
+        toComplete: parseProjectIds(complete, "complete"),
+        toCarryOver: parseProjectIds(carryOver, "carryOver"),
+    };
+
+    let nextTerm = null;
+    if (nextTermId) {
+        nextTerm = await findTerm(nextTermId, req.user);
+        if (nextTerm._id.equals(term._id) || nextTerm.status === "closed") {
+            return next(new AppError("Projects can only be carried over to a different, active term", 400));
+        }
+    }
+    const assertCanCarry = ({ carrying }) => {
+        if (carrying.length && !nextTerm) {
+            throw new AppError("nextTermId is required to carry projects over", 400);
+        }
+    };
+    const buildReport = ({ completing, carrying }) => ({
+        term: { _id: term._id, name: term.name },
+        nextTerm: nextTerm && { _id: nextTerm._id, name: nextTerm.name },
+        completed: completing.map(project => ({ _id: project._id, title: project.title })),
+        carriedOver: carrying.map(project => ({ _id: project._id, title: project.title })),
+    });
+
+    if (dryRun) {
+        const plan = await planRollover(term, options);
+        assertCanCarry(plan);
+        return res.status(200).json({
+            success: true,
+            message: "Dry run: nothing was changed",
+            dryRun: true,
+            report: buildReport(plan),
+        });
+    }
+
+    let plan;
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        // Claiming the term makes a concurrent rollover of the same term fail here
+        const claimed = await Term.findOneAndUpdate(
+            { _id: term._id, status: "active" },
+            { $set: { status: "closed", closedAt: new Date(), closedBy: req.id, rolledOverTo: nextTerm?._id || null } },
+            { session }
+        );
+        if (!claimed) {
+            throw new AppError("This term has already been rolled over", 400, "TERM_CLOSED");
+        }
+
+        plan = await planRollover(term, options, session);
+        assertCanCarry(plan);
+        const { completing, carrying } = plan;
+
+        // Projects are only touched while they are still open in this term
+        const stillOpen = { term: term._id, status: { $in: ACTIVE_PROJECT_STATUSES } };
+        await Project.updateMany(
+            { _id: { $in: completing.map(project => project._id) }, ...stillOpen },
+            { $set: { status: "completed" } },
+            { session }
+        );
+        if (carrying.length) {
+            await Project.updateMany(
+                { _id: { $in: carrying.map(project => project._id) }, ...stillOpen },
+                { $set: { term: nextTerm._id }, $addToSet: { previousTerms: term._id } },
+                { session }
+            );
+        }
+        await session.commitTransaction();
+    } catch (err) {
+        await session.abortTransaction();
+        if (err.isOperational) return next(err);
+        console.error("Transaction error during term rollover:", err);
+        return next(new AppError("Failed to roll over the term. Please try again.", 500));
+    } finally {
+        session.endSession();
+    }
+    const { completing } = plan;
+
+    // Completed projects free mentor capacity
+    const mentorIds = [...new Set(completing.map(project => project.assignedMentor?.toString()).filter(Boolean))];
+    await Promise.all(mentorIds.map(mentorId => refreshMentorAvailability(mentorId)));
+
+    res.status(200).json({
+        success: true,
+        message: "Term rolled over successfully",
+        report: buildReport(plan),
+    });
+});
@@ -1,9 +1,12 @@
 import { User } from "../models/user.model.js";
+import { Term } from "../models/term.model.js";
 import { generateToken } from "../utils/generateTokens.js";
 import { deleteMediaFromCloudinary, uploadMedia } from "../utils/cloudinary.js";
 import { catchAsync, AppError } from "../middleware/error.middleware.js";
 import crypto from 'crypto';
 import { sendEmail } from "../utils/sendEmail.js";
+import { refreshMentorAvailability } from "../utils/mentorLoad.js";
+import { resolveDepartment, resolveInstitution, tenantFilter } from "../utils/tenancy.js";
 import mongoose from "mongoose";
 
 /**
@@ -16,6 +19,9 @@ export const createUserAccount = catchAsync(async (req, res, next) => {
         email, 
         password, 
         roll_no, 
+        institutionId,
+        departmentId,
+        department,
     } = req.body;
 
     const avatar = req.file?.avatar;
@@ -36,6 +42,10 @@ export const createUserAccount = catchAsync(async (req, res, next) => {
         return next(new AppError("Roll number is required for students", 400, "MISSING_STUDENT_INFO"));
     }
 
+    // Accounts join the chosen institution, or the one owning their email domain
+    const institution = await resolveInstitution({ institutionId, email });
+    const resolvedDepartment = await resolveDepartment(institution, { departmentId, department });
+
     let resultAvatar = {
         publicId: "default_avatar.png",
         url: "https://res.cloudinary.com/garvitadlakha08/image/upload/v1745998142/b2nsmmeoqfyenykzeaiu.png"
@@ -57,6 +67,9 @@ export const createUserAccount = catchAsync(async (req, res, next) => {
         avatar: resultAvatar,
         role: "student",
         roll_no,
+        institution: institution?._id || null,
+        university: institution?.name,
+        ...resolvedDepartment,
         passwordChangedAt: new Date(),
     });
 
@@ -224,7 +237,9 @@ export const updateUserProfile = catchAsync(async (req, res) => {
         department, 
         yearOfStudy,
         cgpa,
-        roll_no
+        roll_no,
+        maxActiveProjects,
+        term
     } = req.body;
     
     const updateData = {};
@@ -238,10 +253,22 @@ export const updateUserProfile = catchAsync(async (req, res) => {
     // Update basic fields if provided
     if (name) updateData.name = name;
     if (bio) updateData.bio = bio;
-    if (university) updateData.university = university;
-    if (department) updateData.department = department;
+    // The university comes from the institution once the account belongs to one
+    if (university && !user.institution) updateData.university = university;
+    if (department || req.body.departmentId) {
+        const institution = user.institution ? { _id: user.institution } : null;
+        Object.assign(updateData, await resolveDepartment(institution, { departmentId: req.body.departmentId, department }));
+    }
     if (yearOfStudy && user.role === "student") updateData.yearOfStudy = yearOfStudy;
     if (cgpa && user.role === "student") updateData.cgpa = cgpa;
+    if (term !== undefined && user.role === "student") {
+        const found = term && mongoose.isValidObjectId(term)
+            && await Term.exists({ _id: term, institution: user.institution || null });
+        if (term && !found) {
+            throw new AppError("Term not found", 400, "INVALID_TERM");
+        }
+        updateData.term = term || null;
+    }
 
     // Validate email update
     if (email && email.toLowerCase() !== user.email) {
@@ -264,6 +291,11 @@ export const updateUserProfile = catchAsync(async (req, res) => {
         updateData.expertise = uniqueExpertise;
     }
 
+    // Mentors set how many active projects they can take on
+    if (maxActiveProjects !== undefined && user.role === "mentor") {
+        updateData.maxActiveProjects = maxActiveProjects;
+    }
+
     // Handle avatar upload if file is provided
     console.log(req.file);
     if (req.file) {
@@ -293,6 +325,11 @@ export const updateUserProfile = catchAsync(async (req, res) => {
         throw new AppError("User not found", 404, "USER_NOT_FOUND");
     }
 
+    // A capacity change can make the mentor available or full
+    if (updateData.maxActiveProjects !== undefined) {
+        await refreshMentorAvailability(updatedUser._id);
+    }
+
     res.status(200).json({
         success: true,
         message: "Profile updated successfully",
@@ -309,7 +346,8 @@ export const updateUserProfile = catchAsync(async (req, res) => {
             skills: updatedUser.skills,
             expertise: updatedUser.expertise,
             avatar: updatedUser.avatar,
-            cgpa: updatedUser.cgpa
+            cgpa: updatedUser.cgpa,
+            maxActiveProjects: updatedUser.maxActiveProjects
         },
     });
 });
@@ -521,7 +559,8 @@ export const getAllMentors = catchAsync(async (req, res) => {
   
     const filter = {
       role: "mentor",
-      status: "active"
+      status: "active",
+      ...tenantFilter(req.user)
     };
   
     if (search) {
@@ -551,9 +590,10 @@ export const getAllMentors = catchAsync(async (req, res) => {
 export const getMentorById = catchAsync(async (req, res) => {
     const { id } = req.params;
     
-    const mentor = await User.findOne({
+    const mentor = mongoose.isValidObjectId(id) && await User.findOne({
         _id: id,
-        role: "mentor"
+        role: "mentor",
+        ...tenantFilter(req.user)
     }).select('-password -resetPasswordToken -resetPasswordExpire');
     
     if (!mentor) {
@@ -570,6 +610,7 @@ export const SearchMentor=catchAsync(async(req,res)=>{
     const { search } = req.query;
     const filter = {
         role: "mentor",
+        ...tenantFilter(req.user)
     };
 
     if (search) {
@@ -602,6 +643,8 @@ export const createMentorAccount = catchAsync(async (req, res, next) => {
         password,
         department,
         university,
+        institutionId,
+        departmentId,
         expertise = []
     } = req.body;
 
@@ -612,8 +655,12 @@ export const createMentorAccount = catchAsync(async (req, res, next) => {
         return next(new AppError("Name, email and password are required", 400, "MISSING_REQUIRED_FIELDS"));
     }
 
+    // Accounts join the chosen institution, or the one owning their email domain
+    const institution = await resolveInstitution({ institutionId, email });
+    const resolvedDepartment = await resolveDepartment(institution, { departmentId, department });
+
     // Validate mentor-specific required fields
-    if (!department || !university) {
+    if (!resolvedDepartment.department || !(university || institution)) {
         return next(new AppError("Department and university are required for mentors", 400, "MISSING_MENTOR_INFO"));
     }
 
@@ -649,8 +696,9 @@ export const createMentorAccount = catchAsync(async (req, res, next) => {
         avatar: resultAvatar,
         role: "mentor",
         status: "pending",
-        department,
-        university,
+        institution: institution?._id || null,
+        university: institution?.name || university,
+        ...resolvedDepartment,
         expertise: expertise.map(exp => exp.toLowerCase().trim()),
         availability: false, // Set to false until approved
         passwordChangedAt: new Date(),
@@ -690,7 +738,8 @@ export const createMentorAccount = catchAsync(async (req, res, next) => {
 export const getPendingMentors = catchAsync(async (req, res) => {
     const pendingMentors = await User.find({
         role: "mentor",
-        status: "pending"
+        status: "pending",
+        ...tenantFilter(req.user)
     }).select('-password -resetPasswordToken -resetPasswordExpire');
 
     res.status(200).json({
@@ -712,10 +761,11 @@ export const verifyMentor = catchAsync(async (req, res) => {
         throw new AppError("Invalid action. Must be 'approve' or 'reject'", 400);
     }
 
-    const mentor = await User.findOne({
+    const mentor = mongoose.isValidObjectId(id) && await User.findOne({
         _id: id,
         role: "mentor",
-        status: "pending"
+        status: "pending",
+        ...tenantFilter(req.user)
     });
 
     if (!mentor) {
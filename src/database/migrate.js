@@ -0,0 +1,8 @@
+import dotenv from "dotenv";
+import connectDB from "./db.js";
+import { runMigrations } from "./migrations.js";
+
+dotenv.config();
+await connectDB();
+await runMigrations();
+process.exit(0);
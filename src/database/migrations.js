@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Indexes that older versions created and that Mongoose never drops on its own
+const LEGACY_INDEXES = [
+    // Roll numbers used to be unique globally; they are now unique per institution
+    { collection: "users", name: "roll_no_1" },
+];
+
+// MongoDB error codes for a missing index or collection
+const IGNORED_ERROR_CODES = [26, 27];
+
+/**
+ * Drops legacy indexes so existing databases follow the current schema.
+ * Safe to run on every start: indexes that are already gone are skipped.
+ * Set SKIP_DB_MIGRATIONS=true to run it by hand instead (`npm run migrate`).
+ */
+export const runMigrations = async () => {
+    for (const { collection, name } of LEGACY_INDEXES) {
+        try {
+            await mongoose.connection.db.collection(collection).dropIndex(name);
+            console.log(`Dropped legacy index ${collection}.${name}`);
+        } catch (error) {
+            if (!IGNORED_ERROR_CODES.includes(error.code)) {
+                console.error(`Failed to drop legacy index ${collection}.${name}:`, error.message);
+            }
+        }
+    }
+};
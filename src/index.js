@@ -9,18 +9,31 @@ import morgan from 'morgan';
 import hpp from 'hpp';
 import rateLimit from 'express-rate-limit';
 import connectDB from './database/db.js';
+import { runMigrations } from './database/migrations.js';
 import userRoute from './routes/user.route.js';
 import projectRoute from './routes/project.route.js';
 import chatRoute from './routes/chat.route.js';
 import messageRoute from './routes/message.route.js';
 import meetingRoute from './routes/meeting.route.js';
 import adminRoute from './routes/admin.route.js';
+import taskRoute from './routes/task.route.js';
+import invitationRoute from './routes/invitation.route.js';
+import gradingRoute from './routes/grading.route.js';
+import reportRoute from './routes/report.route.js';
+import termRoute from './routes/term.route.js';
+import institutionRoute from './routes/institution.route.js';
+import templateRoute from './routes/template.route.js';
 // Import the initializeSocket function
 import { initializeSocket } from './socket/socket.js';
+import { startMentorRequestEscalation } from './utils/mentorQueue.js';
+import { startPeerReviewScheduler } from './utils/peerReviewScheduler.js';
+import { startProgressReportMonitor } from './utils/progressReports.js';
+import { startMeetingReminderScheduler } from './utils/meetingReminders.js';
 
 
 dotenv.config();
 await connectDB();
+if (process.env.SKIP_DB_MIGRATIONS !== 'true') await runMigrations();
 // generateUsers(10)
 
 const app = express();
@@ -83,11 +96,18 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/v1/user', userRoute);
+app.use('/api/v1/project/:projectId/tasks', taskRoute);
+app.use('/api/v1/project/:projectId/reports', reportRoute);
 app.use('/api/v1/project', projectRoute);
 app.use('/api/v1/chat', chatRoute);
 app.use('/api/v1/message', messageRoute);
 app.use('/api/v1/meeting', meetingRoute);
 app.use('/api/v1/admin', adminRoute);
+app.use('/api/v1/invitation', invitationRoute);
+app.use('/api/v1/grading', gradingRoute);
+app.use('/api/v1/term', termRoute);
+app.use('/api/v1/institution', institutionRoute);
+app.use('/api/v1/template', templateRoute);
 
 // 404 Route Handler
 app.use((req, res) => {
@@ -121,4 +141,8 @@ app.use('*', (req, res) => {
 // Start server
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startMentorRequestEscalation();
+  startPeerReviewScheduler();
+  startProgressReportMonitor();
+  startMeetingReminderScheduler();
 });
@@ -28,6 +28,7 @@ export const errorHandler = (err, req, res, next) => {
     if (err.name === 'CastError') err = handleCastError(err);
     if (err.code === 11000) err = handleDuplicateFieldsError(err);
     if (err.name === 'ValidationError') err = handleValidationError(err);
+    if (err.name === 'VersionError') err = handleVersionError();
     if (err.name === 'JsonWebTokenError') err = handleJWTError();
     if (err.name === 'TokenExpiredError') err = handleJWTExpiredError();
     
@@ -102,6 +103,10 @@ const handleCastError = err => {
     return new AppError(message, 400, 'INVALID_INPUT');
 };
 
+// Document saved from a stale copy, e.g. a request answered while it was being escalated
+const handleVersionError = () =>
+    new AppError('This record was changed in the meantime. Please reload and try again.', 409, 'STALE_DOCUMENT');
+
 const handleDuplicateFieldsError = err => {
     const field = Object.keys(err.keyValue)[0];
     const value = err.keyValue[field];
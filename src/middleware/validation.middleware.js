@@ -125,4 +125,9 @@ export const validateDescription = validate([
         .trim()
         .notEmpty()
         .withMessage('Proposed methodology is required'),
+    // Checked field by field against the proposal template in the controller
+    body('description.customFields')
+        .optional()
+        .isObject()
+        .withMessage('Custom fields must be an object'),
 ]);
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+const departmentSchema = new mongoose.Schema(
+    {
+        institution: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Institution",
+            required: [true, "Institution is required"],
+        },
+        name: {
+            type: String,
+            required: [true, "Department name is required"],
+            trim: true,
+            maxlength: [100, "Department name cannot exceed 100 characters"],
+        },
+        code: {
+            type: String,
+            trim: true,
+            uppercase: true,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+departmentSchema.index({ institution: 1, name: 1 }, { unique: true });
+
+export const Department = mongoose.model("Department", departmentSchema);
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import { EVALUATION_STAGES } from "./rubric.model.js";
+
+const scoreSchema = new mongoose.Schema(
+    {
+        criterion: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+        // Set for per-student criteria, null for team criteria
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        score: {
+            type: Number,
+            required: true,
+        },
+        comment: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+    },
+    { _id: false }
+);
+
+const evaluationSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Project",
+            required: [true, "Project is required"],
+        },
+        rubric: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Rubric",
+            required: [true, "Rubric is required"],
+        },
+        stage: {
+            type: String,
+            enum: EVALUATION_STAGES,
+            required: true,
+        },
+        evaluator: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        scores: [scoreSchema],
+        comment: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        status: {
+            type: String,
+            enum: ["draft", "submitted"],
+            default: "draft",
+        },
+        submittedAt: {
+            type: Date,
+            default: null,
+        },
+        // Weighted percentages (0-100), recomputed whenever scores change
+        studentTotals: [
+            {
+                _id: false,
+                student: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+                total: Number,
+            },
+        ],
+        teamTotal: {
+            type: Number,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+const normalize = (criterion, score) =>
+    (score - criterion.minScore) / (criterion.maxScore - criterion.minScore);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Weighted percentage per student and for the team. Team criteria count for every student;
+ * per-student criteria only for the student they were given to. Unscored criteria count as zero.
+ * @param {Object} rubric - The rubric document
+ * @param {Object[]} scores - Evaluation scores
+ * @param {ObjectId[]} students - Team members
+ * @returns {{studentTotals: {student: ObjectId, total: number}[], teamTotal: number|null}}
+ */
+export const computeEvaluationTotals = (rubric, scores, students) => {
+    const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const find = (criterion, student) => scores.find(score =>
+        score.criterion.equals(criterion._id) &&
+        (student ? score.student && score.student.equals(student) : !score.student)
+    );
+
+    const studentTotals = students.map(student => {
+        const weighted = rubric.criteria.reduce((sum, criterion) => {
+            const entry = find(criterion, criterion.perStudent ? student : null);
+            return sum + (entry ? criterion.weight * normalize(criterion, entry.score) : 0);
+        }, 0);
+        return { student, total: round((weighted / totalWeight) * 100) };
+    });
+
+    const teamTotal = studentTotals.length
+        ? round(studentTotals.reduce((sum, entry) => sum + entry.total, 0) / studentTotals.length)
+        : null;
+
+    return { studentTotals, teamTotal };
+};
+
+// One evaluation per evaluator, project and stage
+evaluationSchema.index({ project: 1, stage: 1, evaluator: 1 }, { unique: true });
+evaluationSchema.index({ rubric: 1, status: 1 });
+
+export const Evaluation = mongoose.model("Evaluation", evaluationSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+const institutionSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Institution name is required"],
+            trim: true,
+            maxlength: [150, "Institution name cannot exceed 150 characters"],
+        },
+        code: {
+            type: String,
+            required: [true, "Institution code is required"],
+            trim: true,
+            lowercase: true,
+            unique: true,
+            match: [/^[a-z0-9-]+$/, "Code may only contain letters, numbers and dashes"],
+        },
+        // Email domains whose users are placed in this institution at signup
+        domains: [
+            {
+                type: String,
+                trim: true,
+                lowercase: true,
+            },
+        ],
+        status: {
+            type: String,
+            enum: ["active", "inactive"],
+            default: "active",
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+institutionSchema.index({ domains: 1 });
+
+export const Institution = mongoose.model("Institution", institutionSchema);
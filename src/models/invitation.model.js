@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+const invitationSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Project",
+            required: [true, "Project is required"],
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        invitee: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ["pending", "accepted", "declined", "revoked", "expired"],
+            default: "pending",
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        respondedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+invitationSchema.virtual("isExpired").get(function () {
+    return this.status === "pending" && this.expiresAt < new Date();
+});
+
+// Flip pending invitations past their expiry date to "expired"
+invitationSchema.statics.expireStale = function (filter = {}) {
+    return this.updateMany(
+        { ...filter, status: "pending", expiresAt: { $lt: new Date() } },
+        { $set: { status: "expired" } }
+    );
+};
+
+// Only one open invitation per student and project
+invitationSchema.index(
+    { project: 1, invitee: 1 },
+    { unique: true, partialFilterExpression: { status: "pending" } }
+);
+invitationSchema.index({ invitee: 1, status: 1 });
+
+export const Invitation = mongoose.model("Invitation", invitationSchema);
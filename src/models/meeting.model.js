@@ -18,6 +18,12 @@ const meetingSchema = new mongoose.Schema(
             ref: "Project",
             required: [true, "Project is required"],
         },
+        // Term of the project when the meeting was scheduled
+        term: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Term",
+            default: null,
+        },
         scheduledBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
@@ -55,14 +61,109 @@ const meetingSchema = new mongoose.Schema(
             type: String,
             default: "",
         },
+        notesUpdatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        notesUpdatedAt: {
+            type: Date,
+            default: null,
+        },
+        // A rescheduled meeting keeps its slot and points to the meeting that replaces it
+        rescheduledFrom: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Meeting",
+            default: null,
+        },
+        rescheduledTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Meeting",
+            default: null,
+        },
+        // Calendar UID of the meeting this one replaces, so calendars update the event
+        calendarUid: {
+            type: String,
+            default: null,
+        },
+        rescheduleReason: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        cancellation: {
+            reason: {
+                type: String,
+                trim: true,
+                maxlength: [500, "Cancellation reason cannot exceed 500 characters"],
+            },
+            cancelledBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+            cancelledAt: {
+                type: Date,
+            },
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
         reminderSent: {
             type: Boolean,
             default: false,
         },
+        // Reminder offsets already claimed, so restarts and other instances don't send them twice
+        reminders: [
+            {
+                _id: false,
+                offsetMinutes: {
+                    type: Number,
+                    required: true,
+                },
+                sentAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
         roomName: {
             type: String,
         },
         
+        // Occurrences of a recurring series are separate meetings sharing a seriesId,
+        // so each keeps its own status, notes and attendance
+        seriesId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+        occurrenceIndex: {
+            type: Number,
+            default: null,
+        },
+        attendance: [
+            {
+                _id: false,
+                user: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "User",
+                    required: true,
+                },
+                status: {
+                    type: String,
+                    enum: ["present", "absent", "excused"],
+                    required: true,
+                },
+                markedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "User",
+                },
+                markedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
         recurring: {
             isRecurring: {
                 type: Boolean,
@@ -108,5 +209,6 @@ meetingSchema.pre("save", function (next) {
 meetingSchema.index({ projectId: 1, startTime: 1 });
 meetingSchema.index({ participants: 1, startTime: 1 });
 meetingSchema.index({ status: 1, startTime: 1 });
+meetingSchema.index({ seriesId: 1, startTime: 1 });
 
 export const Meeting = mongoose.model("Meeting", meetingSchema);
\ No newline at end of file
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+
+export const DEFAULT_PEER_CRITERIA = [
+    { name: "Contribution", description: "Share of the work they actually did" },
+    { name: "Communication", description: "Kept the team informed and responded on time" },
+    { name: "Reliability", description: "Delivered what they committed to" },
+    { name: "Quality", description: "Quality of the work delivered" },
+];
+
+const peerCriterionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Criterion name is required"],
+        trim: true,
+        maxlength: [100, "Criterion name cannot exceed 100 characters"],
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: "",
+    },
+    maxScore: {
+        type: Number,
+        min: [2, "Max score must be at least 2"],
+        default: 5,
+    },
+});
+
+const peerSubmissionSchema = new mongoose.Schema(
+    {
+        reviewer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        ratings: [
+            {
+                _id: false,
+                reviewee: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+                criterion: { type: mongoose.Schema.Types.ObjectId, required: true },
+                score: { type: Number, required: true, min: 1 },
+            },
+        ],
+        // Free-text feedback per teammate, shown to mentors without the author
+        comments: [
+            {
+                _id: false,
+                reviewee: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+                content: { type: String, trim: true, maxlength: 1000 },
+            },
+        ],
+        submittedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const peerReviewRoundSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Project",
+            required: [true, "Project is required"],
+        },
+        openedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        instructions: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        criteria: {
+            type: [peerCriterionSchema],
+            validate: {
+                validator: (criteria) => criteria.length > 0,
+                message: "A peer review needs at least one criterion",
+            },
+        },
+        // Team at the time the round was opened
+        participants: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+        deadline: {
+            type: Date,
+            required: [true, "Deadline is required"],
+        },
+        status: {
+            type: String,
+            enum: ["open", "closed"],
+            default: "open",
+        },
+        closedAt: {
+            type: Date,
+            default: null,
+        },
+        reminderSentAt: {
+            type: Date,
+            default: null,
+        },
+        // Never selected by default so reviewer identities do not leak into responses
+        submissions: {
+            type: [peerSubmissionSchema],
+            select: false,
+        },
+    },
+    { timestamps: true }
+);
+
+peerReviewRoundSchema.virtual("isPastDeadline").get(function () {
+    return this.deadline < new Date();
+});
+
+peerReviewRoundSchema.index({ project: 1, status: 1 });
+peerReviewRoundSchema.index({ status: 1, deadline: 1 });
+
+export const PeerReviewRound = mongoose.model("PeerReviewRound", peerReviewRoundSchema);
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+// Institution-wide rules for teams and projects. A null limit means "no limit".
+const policySchema = new mongoose.Schema(
+    {
+        // Institution id, or "global" for accounts that do not belong to an institution
+        key: {
+            type: String,
+            default: "global",
+            unique: true,
+        },
+        institution: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Institution",
+            default: null,
+        },
+        minTeamSize: {
+            type: Number,
+            min: [1, "Minimum team size must be at least 1"],
+            default: 1,
+        },
+        maxTeamSize: {
+            type: Number,
+            min: [1, "Maximum team size must be at least 1"],
+            default: null,
+        },
+        // Counted per term for projects that belong to one
+        maxActiveProjectsPerStudent: {
+            type: Number,
+            min: [1, "Active project limit must be at least 1"],
+            default: null,
+        },
+        allowCrossDepartmentTeams: {
+            type: Boolean,
+            default: true,
+        },
+        maxMentorPreferences: {
+            type: Number,
+            min: [1, "Teams must be able to request at least 1 mentor"],
+            default: 3,
+        },
+        // Days a mentor has to answer before the request moves to the next preference
+        mentorRequestTimeoutDays: {
+            type: Number,
+            min: [1, "Mentor request timeout must be at least 1 day"],
+            default: 7,
+        },
+        // Length of a progress reporting period
+        progressReportIntervalDays: {
+            type: Number,
+            min: [1, "Progress report interval must be at least 1 day"],
+            default: 7,
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+policySchema.pre("validate", function (next) {
+    if (this.maxTeamSize != null && this.minTeamSize > this.maxTeamSize) {
+        this.invalidate("minTeamSize", "Minimum team size cannot exceed maximum team size");
+    }
+    next();
+});
+
+// Returns the institution's policy document, creating it with defaults on first use
+policySchema.statics.getPolicy = async function (institution = null) {
+    const key = institution ? institution.toString() : "global";
+    return this.findOneAndUpdate(
+        { key },
+        { $setOnInsert: { key, institution } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+export const Policy = mongoose.model("Policy", policySchema);
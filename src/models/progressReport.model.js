@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+
+const reportCommentSchema = new mongoose.Schema(
+    {
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        content: {
+            type: String,
+            required: [true, "Comment content is required"],
+            trim: true,
+            maxlength: [1000, "Comment cannot exceed 1000 characters"],
+        },
+    },
+    { timestamps: true }
+);
+
+const progressReportSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Project",
+            required: [true, "Project is required"],
+        },
+        submittedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        periodStart: {
+            type: Date,
+            required: true,
+        },
+        periodEnd: {
+            type: Date,
+            required: true,
+        },
+        workDone: {
+            type: String,
+            required: [true, "Work done is required"],
+            trim: true,
+            maxlength: [3000, "Work done cannot exceed 3000 characters"],
+        },
+        blockers: {
+            type: String,
+            trim: true,
+            default: "",
+            maxlength: [2000, "Blockers cannot exceed 2000 characters"],
+        },
+        nextSteps: {
+            type: String,
+            trim: true,
+            default: "",
+            maxlength: [2000, "Next steps cannot exceed 2000 characters"],
+        },
+        hours: {
+            type: Number,
+            min: [0, "Hours cannot be negative"],
+            default: 0,
+        },
+        // Submitted after the period had ended
+        isLate: {
+            type: Boolean,
+            default: false,
+        },
+        acknowledgedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        acknowledgedAt: {
+            type: Date,
+            default: null,
+        },
+        comments: [reportCommentSchema],
+    },
+    { timestamps: true }
+);
+
+// One report per project and period
+progressReportSchema.index({ project: 1, periodStart: 1 }, { unique: true });
+progressReportSchema.index({ createdAt: -1 });
+
+export const ProgressReport = mongoose.model("ProgressReport", progressReportSchema);
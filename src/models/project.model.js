@@ -1,6 +1,218 @@
 import mongoose from "mongoose";
 import { type } from "os";
 
+const milestoneSchema = new mongoose.Schema(
+    {
+        title: {
+            type: String,
+            required: [true, "Milestone title is required"],
+            trim: true,
+            maxlength: [100, "Milestone title cannot exceed 100 characters"],
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        dueDate: {
+            type: Date,
+        },
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        status: {
+            type: String,
+            enum: ["pending", "in-progress", "completed"],
+            default: "pending",
+        },
+        // Ids of entries in the parent project's `documents` array
+        documents: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+            },
+        ],
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+        signOff: {
+            status: {
+                type: String,
+                enum: ["pending", "approved", "rejected"],
+                default: "pending",
+            },
+            by: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+                default: null,
+            },
+            at: {
+                type: Date,
+                default: null,
+            },
+            comment: {
+                type: String,
+                trim: true,
+                default: "",
+            },
+        },
+    },
+    { timestamps: true }
+);
+
+// One entry of a team's ranked mentor preference list
+const mentorPreferenceSchema = new mongoose.Schema(
+    {
+        mentor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        rank: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+        // queued: waiting for earlier mentors, pending: currently asked
+        status: {
+            type: String,
+            enum: ["queued", "pending", "accepted", "declined", "expired", "skipped", "withdrawn"],
+            default: "queued",
+        },
+        requestedAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        respondedAt: {
+            type: Date,
+            default: null,
+        },
+        note: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+    },
+    { _id: false }
+);
+
+export const REVIEW_REASON_CATEGORIES = ["scope", "feasibility", "novelty", "methodology", "clarity", "other"];
+
+// One round of proposal review: what the team submitted and what the mentor decided
+const proposalReviewSchema = new mongoose.Schema(
+    {
+        round: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+        submittedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        submittedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // Proposal as it stood when this round was submitted
+        snapshot: {
+            title: String,
+            abstract: String,
+            problemStatement: String,
+            proposedMethodology: String,
+            techStack: [String],
+            customFields: mongoose.Schema.Types.Mixed,
+        },
+        changeNote: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        status: {
+            type: String,
+            enum: ["under-review", "approved", "rejected"],
+            default: "under-review",
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+        reasons: [
+            {
+                _id: false,
+                category: {
+                    type: String,
+                    enum: REVIEW_REASON_CATEGORIES,
+                    required: true,
+                },
+                field: {
+                    type: String,
+                    enum: ["title", "abstract", "problemStatement", "proposedMethodology", "techStack", "customFields", null],
+                    default: null,
+                },
+                comment: {
+                    type: String,
+                    trim: true,
+                    required: true,
+                },
+            },
+        ],
+        comment: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+    },
+    { timestamps: true }
+);
+
+export const PROJECT_MENTOR_ROLES = ["primary", "co-mentor", "reviewer"];
+
+// Mentoring staff on a project. The primary entry mirrors `assignedMentor`.
+const projectMentorSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        role: {
+            type: String,
+            enum: PROJECT_MENTOR_ROLES,
+            required: true,
+        },
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+// Percentage of milestones marked completed, 0 when the project has none
+export const getMilestoneProgress = (milestones = []) => {
+    if (!milestones.length) return 0;
+    const completed = milestones.filter(m => m.status === "completed").length;
+    return Math.round((completed / milestones.length) * 100);
+};
+
 const projectSchema = new mongoose.Schema(
     {
         title: { 
@@ -35,6 +247,17 @@ const projectSchema = new mongoose.Schema(
                     message: "Tech stack must have unique values.",
                 },
             },
+            // Values of the template's custom fields, keyed by field key
+            customFields: {
+                type: mongoose.Schema.Types.Mixed,
+                default: {},
+            },
+        },
+        // Template the proposal was written against; defines `description.customFields`
+        template: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "ProposalTemplate",
+            default: null,
         },
         summary: {
             type: String,
@@ -45,23 +268,46 @@ const projectSchema = new mongoose.Schema(
             ref: "User",
             required: true,
         },
+        // Copied from the creator; every project query is scoped by it
+        institution: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Institution",
+            default: null,
+            index: true,
+        },
+        term: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Term",
+            default: null,
+            index: true,
+        },
+        // Terms the project was carried over from at rollover
+        previousTerms: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Term",
+            },
+        ],
         assignedMentor: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
             default: null, 
         },
+        mentors: [projectMentorSchema],
         teamMembers: [
             {
                 type: mongoose.Schema.Types.ObjectId,
                 ref: "User",
             },
         ],
+        // Mentor currently being asked; mirrors the "pending" entry of mentorPreferences
         mentorRequests: [
             { 
                 type: mongoose.Schema.Types.ObjectId, 
                 ref: "User" 
             }
         ],
+        mentorPreferences: [mentorPreferenceSchema],
         documents: [  
             {
                 name: { 
@@ -94,16 +340,22 @@ const projectSchema = new mongoose.Schema(
                 }
             }
         ],
+        milestones: [milestoneSchema],
         status: {
             type: String,
             enum: ["pending", "approved", "rejected", "completed"],
             default: "pending", 
             index: true,
         },
+        approvedAt: {
+            type: Date,
+            default: null,
+        },
         review: {
             type: String,
             default: "",
         },
+        proposalReviews: [proposalReviewSchema],
     },
     {
         timestamps: true,
@@ -116,6 +368,34 @@ projectSchema.virtual("totalMembers").get(function () {
     return this?.teamMembers?.length ; 
 });
 
+projectSchema.index({ "mentors.user": 1 });
+projectSchema.index({ "mentorPreferences.status": 1, "mentorPreferences.expiresAt": 1 });
+projectSchema.index({ teamMembers: 1 });
+// Full-text project search; member names are matched separately since they live on users
+projectSchema.index(
+    {
+        title: "text",
+        "description.abstract": "text",
+        "description.problemStatement": "text",
+        "description.proposedMethodology": "text",
+        "description.techStack": "text",
+    },
+    {
+        name: "project_text_search",
+        weights: {
+            title: 10,
+            "description.techStack": 6,
+            "description.abstract": 4,
+            "description.problemStatement": 2,
+            "description.proposedMethodology": 1,
+        },
+    }
+);
+
+projectSchema.virtual("progress").get(function () {
+    return getMilestoneProgress(this?.milestones);
+});
+
 projectSchema.pre("save", function (next) {
     this.description.techStack = [...new Set(this.description.techStack)];
     next();
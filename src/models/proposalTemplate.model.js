@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+
+export const CUSTOM_FIELD_TYPES = ["text", "longtext", "number", "boolean", "date", "url", "select", "multiselect", "list"];
+
+// An extra proposal field. `min`/`max` bound the length of text, the value of numbers
+// and the number of entries of lists and multiselects.
+const customFieldSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: [true, "Field key is required"],
+            trim: true,
+            match: [/^[a-zA-Z][a-zA-Z0-9]*$/, "Field keys must be alphanumeric and start with a letter"],
+        },
+        label: {
+            type: String,
+            required: [true, "Field label is required"],
+            trim: true,
+            maxlength: [100, "Field label cannot exceed 100 characters"],
+        },
+        type: {
+            type: String,
+            enum: CUSTOM_FIELD_TYPES,
+            required: [true, "Field type is required"],
+        },
+        required: {
+            type: Boolean,
+            default: false,
+        },
+        options: [
+            {
+                type: String,
+                trim: true,
+            },
+        ],
+        min: {
+            type: Number,
+            default: null,
+        },
+        max: {
+            type: Number,
+            default: null,
+        },
+        helpText: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+    },
+    { _id: false }
+);
+
+const proposalTemplateSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Template name is required"],
+            trim: true,
+            maxlength: [100, "Template name cannot exceed 100 characters"],
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        institution: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Institution",
+            default: null,
+        },
+        // null applies to every department
+        department: {
+            type: String,
+            trim: true,
+            default: null,
+        },
+        fields: [customFieldSchema],
+        // Used for new projects of the department when the team does not pick a template
+        isDefault: {
+            type: Boolean,
+            default: false,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+proposalTemplateSchema.pre("validate", function (next) {
+    const keys = this.fields.map(field => field.key);
+    if (new Set(keys).size !== keys.length) {
+        this.invalidate("fields", "Field keys must be unique within a template");
+    }
+    this.fields.forEach((field, i) => {
+        if (["select", "multiselect"].includes(field.type) && field.options.length === 0) {
+            this.invalidate(`fields.${i}.options`, `Field '${field.key}' needs at least one option`);
+        }
+        if (field.min != null && field.max != null && field.min > field.max) {
+            this.invalidate(`fields.${i}.min`, `Field '${field.key}' has min greater than max`);
+        }
+    });
+    next();
+});
+
+/**
+ * The default template for a department, falling back to the institution-wide default
+ * @param {ObjectId|null} institution - The institution id
+ * @param {string|null} department - The department name
+ * @returns {Promise<Object|null>}
+ */
+proposalTemplateSchema.statics.findDefault = async function (institution, department) {
+    const templates = await this.find({
+        institution: institution || null,
+        isActive: true,
+        isDefault: true,
+        department: { $in: [department || null, null] },
+    });
+    return templates.find(template => template.department) || templates[0] || null;
+};
+
+proposalTemplateSchema.index({ institution: 1, department: 1, isActive: 1 });
+
+export const ProposalTemplate = mongoose.model("ProposalTemplate", proposalTemplateSchema);
@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+export const PROPOSAL_VERSION_FIELDS = ["title", "abstract", "problemStatement", "proposedMethodology", "techStack", "customFields"];
+
+const versionCommentSchema = new mongoose.Schema(
+    {
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // Version this one was compared against when the comment was written
+        comparedTo: {
+            type: Number,
+            default: null,
+        },
+        field: {
+            type: String,
+            enum: [...PROPOSAL_VERSION_FIELDS, null],
+            default: null,
+        },
+        content: {
+            type: String,
+            required: [true, "Comment content is required"],
+            trim: true,
+            maxlength: [2000, "Comment cannot exceed 2000 characters"],
+        },
+    },
+    { timestamps: true }
+);
+
+const proposalVersionSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Project",
+            required: [true, "Project is required"],
+        },
+        version: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        title: String,
+        abstract: String,
+        problemStatement: String,
+        proposedMethodology: String,
+        techStack: [String],
+        // Template custom field values, keyed by field key
+        customFields: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        changedFields: [
+            {
+                type: String,
+                enum: PROPOSAL_VERSION_FIELDS,
+            },
+        ],
+        comments: [versionCommentSchema],
+    },
+    { timestamps: true }
+);
+
+const fieldsOf = (project) => ({
+    title: project.title,
+    abstract: project.description?.abstract,
+    problemStatement: project.description?.problemStatement,
+    proposedMethodology: project.description?.proposedMethodology,
+    techStack: [...(project.description?.techStack || [])],
+    customFields: { ...(project.description?.customFields || {}) },
+});
+
+const sameValue = (a, b) => {
+    if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a || []) === JSON.stringify(b || []);
+    if (typeof a === "object" || typeof b === "object") return JSON.stringify(a || {}) === JSON.stringify(b || {});
+    return (a || "") === (b || "");
+};
+
+/**
+ * Stores the project's current proposal as a new version if it differs from the latest one.
+ * The first call for a project records the baseline version.
+ * @param {Object} project - The project document (already holding the new values)
+ * @param {string|ObjectId} authorId - Who made the change
+ * @param {Object} [options]
+ * @param {Date} [options.createdAt] - Backdate the version (used for baselines of older projects)
+ * @returns {Promise<Object|null>} - The new version, or null when nothing changed
+ */
+proposalVersionSchema.statics.record = async function (project, authorId, { createdAt } = {}) {
+    const latest = await this.findOne({ project: project._id }).sort({ version: -1 });
+    const fields = fieldsOf(project);
+
+    const changedFields = latest
+        ? PROPOSAL_VERSION_FIELDS.filter(field => !sameValue(latest[field], fields[field]))
+        : [];
+    if (latest && changedFields.length === 0) return null;
+
+    const version = new this({
+        project: project._id,
+        version: latest ? latest.version + 1 : 1,
+        author: authorId,
+        ...fields,
+        changedFields,
+    });
+    if (createdAt) version.createdAt = createdAt;
+    return version.save();
+};
+
+// Projects created before versioning have no history; their current proposal becomes version 1
+proposalVersionSchema.statics.ensureBaseline = async function (project) {
+    const exists = await this.exists({ project: project._id });
+    if (exists) return null;
+    return this.record(project, project.createdBy, { createdAt: project.createdAt });
+};
+
+proposalVersionSchema.index({ project: 1, version: 1 }, { unique: true });
+
+export const ProposalVersion = mongoose.model("ProposalVersion", proposalVersionSchema);
@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+export const EVALUATION_STAGES = ["proposal", "midterm", "final"];
+
+const criterionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Criterion name is required"],
+        trim: true,
+        maxlength: [100, "Criterion name cannot exceed 100 characters"],
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: "",
+    },
+    weight: {
+        type: Number,
+        required: [true, "Criterion weight is required"],
+        min: [0.01, "Criterion weight must be positive"],
+    },
+    minScore: {
+        type: Number,
+        default: 0,
+    },
+    maxScore: {
+        type: Number,
+        default: 10,
+    },
+    // Scored separately for every team member instead of once for the team
+    perStudent: {
+        type: Boolean,
+        default: false,
+    },
+});
+
+const rubricSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Rubric name is required"],
+            trim: true,
+            maxlength: [100, "Rubric name cannot exceed 100 characters"],
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        institution: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Institution",
+            default: null,
+        },
+        // null applies to every department / term
+        department: {
+            type: String,
+            trim: true,
+            default: null,
+        },
+        term: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Term",
+            default: null,
+        },
+        stages: {
+            type: [{ type: String, enum: EVALUATION_STAGES }],
+            default: EVALUATION_STAGES,
+        },
+        criteria: {
+            type: [criterionSchema],
+            validate: {
+                validator: (criteria) => criteria.length > 0,
+                message: "A rubric needs at least one criterion",
+            },
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+rubricSchema.pre("validate", function (next) {
+    const invalid = this.criteria.find(criterion => criterion.minScore >= criterion.maxScore);
+    if (invalid) {
+        this.invalidate("criteria", `Criterion "${invalid.name}" needs minScore below maxScore`);
+    }
+    next();
+});
+
+rubricSchema.virtual("totalWeight").get(function () {
+    return this.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+});
+
+rubricSchema.index({ institution: 1, department: 1, term: 1, isActive: 1 });
+
+export const Rubric = mongoose.model("Rubric", rubricSchema);
@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+export const TASK_COLUMNS = ["todo", "in-progress", "review", "done"];
+
+const checklistItemSchema = new mongoose.Schema(
+    {
+        text: {
+            type: String,
+            required: [true, "Checklist item text is required"],
+            trim: true,
+            maxlength: [200, "Checklist item cannot exceed 200 characters"],
+        },
+        done: {
+            type: Boolean,
+            default: false,
+        },
+        completedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+const commentSchema = new mongoose.Schema(
+    {
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        content: {
+            type: String,
+            required: [true, "Comment content is required"],
+            trim: true,
+            maxlength: [1000, "Comment cannot exceed 1000 characters"],
+        },
+    },
+    { timestamps: true }
+);
+
+const taskSchema = new mongoose.Schema(
+    {
+        project: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Project",
+            required: [true, "Project is required"],
+        },
+        title: {
+            type: String,
+            required: [true, "Task title is required"],
+            trim: true,
+            maxlength: [150, "Title cannot exceed 150 characters"],
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        column: {
+            type: String,
+            enum: TASK_COLUMNS,
+            default: "todo",
+        },
+        // Sort order inside the column, lowest first
+        position: {
+            type: Number,
+            default: 0,
+        },
+        assignees: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+        labels: {
+            type: [String],
+            lowercase: true,
+            trim: true,
+        },
+        dueDate: {
+            type: Date,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        checklist: [checklistItemSchema],
+        comments: [commentSchema],
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+// Virtual for checklist completion, e.g. { done: 2, total: 5 }
+taskSchema.virtual("checklistProgress").get(function () {
+    const total = this.checklist?.length || 0;
+    const done = this.checklist?.filter(item => item.done).length || 0;
+    return { done, total };
+});
+
+taskSchema.virtual("isOverdue").get(function () {
+    return Boolean(this.dueDate && this.column !== "done" && this.dueDate < new Date());
+});
+
+taskSchema.pre("save", function (next) {
+    this.labels = [...new Set(this.labels)];
+    next();
+});
+
+taskSchema.index({ project: 1, column: 1, position: 1 });
+taskSchema.index({ assignees: 1 });
+
+export const Task = mongoose.model("Task", taskSchema);
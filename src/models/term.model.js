@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+// An academic term or cohort. Projects run in a term; students belong to a cohort term.
+const termSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Term name is required"],
+            trim: true,
+            maxlength: [100, "Term name cannot exceed 100 characters"],
+        },
+        institution: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Institution",
+            default: null,
+        },
+        // null applies to every department
+        department: {
+            type: String,
+            trim: true,
+            default: null,
+        },
+        startDate: {
+            type: Date,
+            required: [true, "Start date is required"],
+        },
+        endDate: {
+            type: Date,
+            required: [true, "End date is required"],
+        },
+        status: {
+            type: String,
+            enum: ["active", "closed"],
+            default: "active",
+        },
+        closedAt: {
+            type: Date,
+            default: null,
+        },
+        closedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        // Term that open projects were carried over to at rollover
+        rolledOverTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Term",
+            default: null,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+termSchema.pre("validate", function (next) {
+    if (this.startDate && this.endDate && this.startDate >= this.endDate) {
+        this.invalidate("endDate", "End date must be after the start date");
+    }
+    next();
+});
+
+termSchema.virtual("isCurrent").get(function () {
+    const now = new Date();
+    return this.status === "active" && this.startDate <= now && now <= this.endDate;
+});
+
+/**
+ * The active term running today for a department, preferring a department-specific term
+ * over one that applies to all departments
+ * @param {string|null} department - The department
+ * @param {ObjectId|null} [institution] - The institution the term belongs to
+ * @returns {Promise<Object|null>}
+ */
+termSchema.statics.findCurrent = function (department = null, institution = null) {
+    const now = new Date();
+    return this.findOne({
+        institution,
+        status: "active",
+        startDate: { $lte: now },
+        endDate: { $gte: now },
+        department: { $in: [department, null] },
+    }).sort({ department: -1, startDate: -1 });
+};
+
+termSchema.index({ institution: 1, name: 1, department: 1 }, { unique: true });
+termSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+export const Term = mongoose.model("Term", termSchema);
@@ -54,10 +54,9 @@ const userSchema = new mongoose.Schema(
             },
             required: [true, "Account status is required"]
         },
+        // Unique within an institution, see the index below
         roll_no: {
             type: String,
-            unique: true,
-            partialFilterExpression: { role: "student" },
             required: function () {
                 return this.role === "student"; 
             },
@@ -93,9 +92,21 @@ const userSchema = new mongoose.Schema(
         university: {
             type: String,
         },
+        institution: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Institution",
+            default: null,
+            index: true,
+        },
+        // Display name, kept in sync with departmentId when the department is a known entity
         department: {
             type: String,
         },
+        departmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Department",
+            default: null,
+        },
         yearOfStudy: {
             type: Number,
         },
@@ -116,8 +127,23 @@ const userSchema = new mongoose.Schema(
             type: Boolean,
             default: true, // Only for mentors
         },
+        maxActiveProjects: {
+            type: Number,
+            min: [1, "Capacity must be at least 1 project"],
+            default: null, // Mentor capacity, falls back to DEFAULT_MENTOR_CAPACITY
+        },
+        term: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Term",
+            default: null, // Cohort, only for students
+        },
         resetPasswordToken: String,
         resetPasswordExpire: Date,
+        // Hash of the secret token in the user's calendar feed URL
+        calendarFeedToken: {
+            type: String,
+            select: false,
+        },
         lastActive: {
             type: Date,
             default: Date.now,
@@ -130,6 +156,12 @@ const userSchema = new mongoose.Schema(
     }
 );
 
+userSchema.index(
+    { institution: 1, roll_no: 1 },
+    { unique: true, partialFilterExpression: { role: "student" } }
+);
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
     if (!this.isModified("password")) {
@@ -153,6 +185,13 @@ userSchema.methods.getResetPasswordToken = function () {
     return resetToken;
 };
 
+// Generate a new calendar feed token; the old feed URL stops working
+userSchema.methods.getCalendarFeedToken = function () {
+    const feedToken = crypto.randomBytes(24).toString("hex");
+    this.calendarFeedToken = crypto.createHash("sha256").update(feedToken).digest("hex");
+    return feedToken;
+};
+
 // Update last active timestamp
 userSchema.methods.updateLastActive = async function () {
     this.lastActive = Date.now();
@@ -3,9 +3,12 @@ import {
     getDashboardStats,
     getAllUsers,
     updateUserStatus,
-    getMentorRequests
+    getMentorRequests,
+    getPolicySettings,
+    updatePolicySettings,
+    getMentorLoadOverview
 } from "../controllers/admin.controller.js";
-import { isAuthenticated } from "../middleware/auth.middleware.js";
+import { isAuthenticated, restrictTo } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
@@ -13,9 +16,14 @@ const router = express.Router();
 router.use(isAuthenticated);
 
 // Dashboard routes
-router.get("/dashboard", getDashboardStats);
-router.get("/users", getAllUsers);
-router.patch("/users/:id/status", updateUserStatus);
-router.get("/mentor-requests", getMentorRequests);
+router.get("/dashboard", restrictTo("admin"), getDashboardStats);
+router.get("/users", restrictTo("admin"), getAllUsers);
+router.patch("/users/:id/status", restrictTo("admin"), updateUserStatus);
+router.get("/mentor-requests", restrictTo("admin"), getMentorRequests);
+router.get("/mentor-load", restrictTo("admin"), getMentorLoadOverview);
+
+// Team and project policy
+router.get("/policy", restrictTo("admin"), getPolicySettings);
+router.patch("/policy", restrictTo("admin"), updatePolicySettings);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,26 @@
+import { Router } from "express";
+import { isAuthenticated, restrictTo } from "../middleware/auth.middleware.js";
+import {
+    createRubric,
+    deleteRubric,
+    getRubric,
+    listRubrics,
+    updateRubric
+} from "../controllers/rubric.controller.js";
+import { exportCohortGrades } from "../controllers/evaluation.controller.js";
+
+const router = Router();
+
+router.use(isAuthenticated);
+
+// Rubric definitions
+router.get('/rubrics', listRubrics);
+router.get('/rubrics/:rubricId', getRubric);
+router.post('/rubrics', restrictTo("admin"), createRubric);
+router.patch('/rubrics/:rubricId', restrictTo("admin"), updateRubric);
+router.delete('/rubrics/:rubricId', restrictTo("admin"), deleteRubric);
+
+// Cohort grade export
+router.get('/export', restrictTo("admin", "mentor"), exportCohortGrades);
+
+export default router;
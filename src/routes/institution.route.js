@@ -0,0 +1,32 @@
+import { Router } from "express";
+import { isAuthenticated, restrictTo } from "../middleware/auth.middleware.js";
+import {
+    addInstitutionAdmin,
+    createDepartment,
+    createInstitution,
+    deleteDepartment,
+    getInstitutionsOverview,
+    listDepartments,
+    listInstitutions,
+    updateDepartment,
+    updateInstitution
+} from "../controllers/institution.controller.js";
+
+const router = Router();
+
+// Public, used by the signup forms
+router.get('/', listInstitutions);
+router.get('/:institutionId/departments', listDepartments);
+
+// Institution management (platform admins)
+router.get('/manage', isAuthenticated, restrictTo("admin"), getInstitutionsOverview);
+router.post('/', isAuthenticated, restrictTo("admin"), createInstitution);
+router.patch('/:institutionId', isAuthenticated, restrictTo("admin"), updateInstitution);
+router.post('/:institutionId/admins', isAuthenticated, restrictTo("admin"), addInstitutionAdmin);
+
+// Department management (institution admins)
+router.post('/:institutionId/departments', isAuthenticated, restrictTo("admin"), createDepartment);
+router.patch('/:institutionId/departments/:departmentId', isAuthenticated, restrictTo("admin"), updateDepartment);
+router.delete('/:institutionId/departments/:departmentId', isAuthenticated, restrictTo("admin"), deleteDepartment);
+
+export default router;
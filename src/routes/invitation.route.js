@@ -0,0 +1,24 @@
+import { Router } from "express";
+import { isAuthenticated } from "../middleware/auth.middleware.js";
+import {
+    acceptInvitation,
+    declineInvitation,
+    getMyInvitations,
+    getProjectInvitations,
+    revokeInvitation
+} from "../controllers/invitation.controller.js";
+
+const router = Router();
+
+router.use(isAuthenticated);
+
+// Invitee inbox and responses
+router.get('/', getMyInvitations);
+router.post('/:invitationId/accept', acceptInvitation);
+router.post('/:invitationId/decline', declineInvitation);
+
+// Team leader management
+router.get('/project/:projectId', getProjectInvitations);
+router.delete('/:invitationId', revokeInvitation);
+
+export default router;
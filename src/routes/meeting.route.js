@@ -1,11 +1,3 @@
-// Routes to implement:
-// - POST /api/v1/meetings - Create meeting
-// - GET /api/v1/meetings - Get user's meetings
-// - GET /api/v1/meetings/:id - Get specific meeting
-// - PUT /api/v1/meetings/:id - Update meeting
-// - DELETE /api/v1/meetings/:id - Delete meeting
-// - PATCH /api/v1/meetings/:id/notes - Add meeting notes
-
 // Notification types:
 // - Meeting invitation
 // - Meeting update
@@ -13,7 +5,7 @@
 // - Meeting reminder (24h before)
 import {Router} from 'express';
 import { isAuthenticated } from "../middleware/auth.middleware.js";
-import { createMeeting, getMeetingById, getUserMeetings } from '../controllers/meeting.controller.js';
+import { addMeetingNotes, cancelMeeting, completeMeeting, createCalendarFeed, createMeeting, downloadMeetingCalendar, getCalendarFeed, getFreeSlots, getMeetingById, getUserMeetings, recordAttendance, rescheduleMeeting, revokeCalendarFeed, updateMeeting } from '../controllers/meeting.controller.js';
 
 
 const router= Router();
@@ -22,6 +14,23 @@ router.post('/create/:projectId',isAuthenticated,createMeeting)
 
 router.get('/',isAuthenticated, getUserMeetings);
 
+router.get('/free-slots/:projectId',isAuthenticated, getFreeSlots);
+
+// Calendar feed; the feed itself is authenticated by its secret token
+router.post('/calendar/feed',isAuthenticated, createCalendarFeed);
+router.delete('/calendar/feed',isAuthenticated, revokeCalendarFeed);
+router.get('/calendar/feed/:token',getCalendarFeed);
+
 router.get('/:meetingId',isAuthenticated, getMeetingById);
+router.get('/:meetingId/calendar',isAuthenticated, downloadMeetingCalendar);
+
+// Lifecycle, for the scheduler and the project mentors
+router.put('/:meetingId',isAuthenticated, updateMeeting);
+router.post('/:meetingId/reschedule',isAuthenticated, rescheduleMeeting);
+router.patch('/:meetingId/cancel',isAuthenticated, cancelMeeting);
+router.delete('/:meetingId',isAuthenticated, cancelMeeting);
+router.patch('/:meetingId/complete',isAuthenticated, completeMeeting);
+router.patch('/:meetingId/notes',isAuthenticated, addMeetingNotes);
+router.patch('/:meetingId/attendance',isAuthenticated, recordAttendance);
 
 export default router;
\ No newline at end of file
@@ -1,4 +1,12 @@
-import { addDocument, addMemberToProject, createProject, deleteDocument, getProject, getProjectById, getProjectReview, getProjectSummary, listProjects, mentorDecision, requestMentor } from "../controllers/project.controller.js";
+import { addDocument, addMemberToProject, createProject, deleteDocument, deleteProject, getProject, getProjectById, getProjectReview, getProjectSummary, getMentorPreferences, getRecommendedMentors, getMentorRequestQueue, getSimilarProjects, listProjects, mentorDecision, requestMentor, updateProject } from "../controllers/project.controller.js";
+import { completeMilestone, createMilestone, deleteMilestone, getMilestones, reorderMilestones, signOffMilestone, updateMilestone } from "../controllers/milestone.controller.js";
+import { leaveProject, removeMember, transferLeadership } from "../controllers/team.controller.js";
+import { getProposalReviews, resubmitProposal, reviewProposal } from "../controllers/proposal.controller.js";
+import { addVersionComment, deleteVersionComment, diffProposalVersions, getProposalVersion, getProposalVersions } from "../controllers/proposalVersion.controller.js";
+import { getProjectEvaluations, getProjectRubrics, saveEvaluation } from "../controllers/evaluation.controller.js";
+import { closePeerReview, getPeerReviewResults, getPeerReviews, openPeerReview, remindPeerReview, submitPeerReview } from "../controllers/peerReview.controller.js";
+import { getMissedReports, getReportsDigest } from "../controllers/progressReport.controller.js";
+import { addProjectMentor, getProjectMentors, removeProjectMentor, updateProjectMentorRole } from "../controllers/projectMentor.controller.js";
 import { Router } from "express";
 import { isAuthenticated } from "../middleware/auth.middleware.js";
 import { validateDescription } from "../middleware/validation.middleware.js";
@@ -17,11 +25,65 @@ router.post('/assign-mentor/:projectId',isAuthenticated,mentorDecision)
 router.get('/get-project',isAuthenticated,getProject)
 router.get('/get-project/:projectId',isAuthenticated,getProjectById)
 router.get('/list-projects',isAuthenticated,listProjects)
+router.get('/mentor-queue',isAuthenticated,getMentorRequestQueue)
+router.get('/reports/missed',isAuthenticated,getMissedReports)
+router.get('/reports/digest',isAuthenticated,getReportsDigest)
+router.get('/:projectId/mentor-preferences',isAuthenticated,getMentorPreferences)
+router.get('/:projectId/recommended-mentors',isAuthenticated,getRecommendedMentors)
+router.get('/:projectId/similar',isAuthenticated,getSimilarProjects)
 router.get('/:projectId/summary',isAuthenticated,getProjectSummary)
 router.get('/project-review/:projectId',isAuthenticated,getProjectReview)
 
+router.patch('/:projectId',isAuthenticated,uploadFile,updateProject)
+router.delete('/:projectId',isAuthenticated,deleteProject)
+
+// team membership
+router.delete('/:projectId/members/:memberId',isAuthenticated,removeMember)
+router.post('/:projectId/leave',isAuthenticated,leaveProject)
+router.patch('/:projectId/transfer-leadership',isAuthenticated,transferLeadership)
+
+// mentoring staff
+router.get('/:projectId/mentors',isAuthenticated,getProjectMentors)
+router.post('/:projectId/mentors',isAuthenticated,addProjectMentor)
+router.patch('/:projectId/mentors/:userId',isAuthenticated,updateProjectMentorRole)
+router.delete('/:projectId/mentors/:userId',isAuthenticated,removeProjectMentor)
+
+// proposal review rounds
+router.get('/:projectId/proposal-reviews',isAuthenticated,getProposalReviews)
+router.post('/:projectId/proposal-reviews/decision',isAuthenticated,reviewProposal)
+router.post('/:projectId/proposal-reviews/resubmit',isAuthenticated,resubmitProposal)
+
+// proposal version history
+router.get('/:projectId/versions',isAuthenticated,getProposalVersions)
+router.get('/:projectId/versions/diff',isAuthenticated,diffProposalVersions)
+router.get('/:projectId/versions/:version',isAuthenticated,getProposalVersion)
+router.post('/:projectId/versions/:version/comments',isAuthenticated,addVersionComment)
+router.delete('/:projectId/versions/:version/comments/:commentId',isAuthenticated,deleteVersionComment)
+
+// grading
+router.get('/:projectId/rubrics',isAuthenticated,getProjectRubrics)
+router.get('/:projectId/evaluations',isAuthenticated,getProjectEvaluations)
+router.put('/:projectId/evaluations/:stage',isAuthenticated,saveEvaluation)
+
+// peer evaluation
+router.get('/:projectId/peer-reviews',isAuthenticated,getPeerReviews)
+router.post('/:projectId/peer-reviews',isAuthenticated,openPeerReview)
+router.post('/:projectId/peer-reviews/:roundId/submit',isAuthenticated,submitPeerReview)
+router.get('/:projectId/peer-reviews/:roundId/results',isAuthenticated,getPeerReviewResults)
+router.patch('/:projectId/peer-reviews/:roundId/close',isAuthenticated,closePeerReview)
+router.post('/:projectId/peer-reviews/:roundId/remind',isAuthenticated,remindPeerReview)
+
 router.put('/:projectId/document/upload',isAuthenticated,uploadFile,addDocument)
 router.delete('/:projectId/document/:documentId',isAuthenticated,deleteDocument)
 
+// milestones
+router.get('/:projectId/milestones',isAuthenticated,getMilestones)
+router.post('/:projectId/milestones',isAuthenticated,createMilestone)
+router.put('/:projectId/milestones/reorder',isAuthenticated,reorderMilestones)
+router.patch('/:projectId/milestones/:milestoneId',isAuthenticated,updateMilestone)
+router.patch('/:projectId/milestones/:milestoneId/complete',isAuthenticated,completeMilestone)
+router.patch('/:projectId/milestones/:milestoneId/sign-off',isAuthenticated,signOffMilestone)
+router.delete('/:projectId/milestones/:milestoneId',isAuthenticated,deleteMilestone)
+
 
 export default router
\ No newline at end of file
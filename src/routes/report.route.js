@@ -0,0 +1,24 @@
+import { Router } from "express";
+import { isAuthenticated } from "../middleware/auth.middleware.js";
+import {
+    acknowledgeReport,
+    addReportComment,
+    getReportTimeline,
+    getReports,
+    submitReport,
+    updateReport
+} from "../controllers/progressReport.controller.js";
+
+// Mounted under /api/v1/project/:projectId/reports
+const router = Router({ mergeParams: true });
+
+router.use(isAuthenticated);
+
+router.get('/', getReports);
+router.post('/', submitReport);
+router.get('/timeline', getReportTimeline);
+router.patch('/:reportId', updateReport);
+router.post('/:reportId/acknowledge', acknowledgeReport);
+router.post('/:reportId/comments', addReportComment);
+
+export default router;
@@ -0,0 +1,36 @@
+import { Router } from "express";
+import { isAuthenticated } from "../middleware/auth.middleware.js";
+import {
+    addChecklistItem,
+    addTaskComment,
+    createTask,
+    deleteChecklistItem,
+    deleteTask,
+    deleteTaskComment,
+    getTaskBoard,
+    getTaskById,
+    moveTask,
+    updateChecklistItem,
+    updateTask
+} from "../controllers/task.controller.js";
+
+// Mounted under /api/v1/project/:projectId/tasks
+const router = Router({ mergeParams: true });
+
+router.use(isAuthenticated);
+
+router.get('/', getTaskBoard);
+router.post('/', createTask);
+router.get('/:taskId', getTaskById);
+router.patch('/:taskId', updateTask);
+router.patch('/:taskId/move', moveTask);
+router.delete('/:taskId', deleteTask);
+
+router.post('/:taskId/comments', addTaskComment);
+router.delete('/:taskId/comments/:commentId', deleteTaskComment);
+
+router.post('/:taskId/checklist', addChecklistItem);
+router.patch('/:taskId/checklist/:itemId', updateChecklistItem);
+router.delete('/:taskId/checklist/:itemId', deleteChecklistItem);
+
+export default router;
@@ -0,0 +1,23 @@
+import { Router } from "express";
+import { isAuthenticated, restrictTo } from "../middleware/auth.middleware.js";
+import {
+    createTemplate,
+    deleteTemplate,
+    getTemplate,
+    listTemplates,
+    updateTemplate
+} from "../controllers/proposalTemplate.controller.js";
+
+const router = Router();
+
+router.use(isAuthenticated);
+
+router.get('/', listTemplates);
+router.get('/:templateId', getTemplate);
+
+// Template management
+router.post('/', restrictTo("admin"), createTemplate);
+router.patch('/:templateId', restrictTo("admin"), updateTemplate);
+router.delete('/:templateId', restrictTo("admin"), deleteTemplate);
+
+export default router;
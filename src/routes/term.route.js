@@ -0,0 +1,29 @@
+import { Router } from "express";
+import { isAuthenticated, restrictTo } from "../middleware/auth.middleware.js";
+import {
+    assignStudentsToTerm,
+    createTerm,
+    deleteTerm,
+    getCurrentTerm,
+    getTerm,
+    listTerms,
+    rolloverTerm,
+    updateTerm
+} from "../controllers/term.controller.js";
+
+const router = Router();
+
+router.use(isAuthenticated);
+
+router.get('/', listTerms);
+router.get('/current', getCurrentTerm);
+router.get('/:termId', getTerm);
+
+// Term management
+router.post('/', restrictTo("admin"), createTerm);
+router.patch('/:termId', restrictTo("admin"), updateTerm);
+router.delete('/:termId', restrictTo("admin"), deleteTerm);
+router.post('/:termId/students', restrictTo("admin"), assignStudentsToTerm);
+router.post('/:termId/rollover', restrictTo("admin"), rolloverTerm);
+
+export default router;
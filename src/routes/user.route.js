@@ -15,7 +15,7 @@ import {
     getPendingMentors,
     verifyMentor
 } from "../controllers/user.controller.js";
-import { isAuthenticated } from "../middleware/auth.middleware.js";
+import { isAuthenticated, restrictTo } from "../middleware/auth.middleware.js";
 import  { uploadAvatar } from "../utils/multer.js";
 import { validateSignup, validateSignin, validatePasswordChange } from "../middleware/validation.middleware.js";
 
@@ -33,9 +33,9 @@ router.patch("/profile", isAuthenticated, uploadAvatar, updateUserProfile);
 
 // Mentor routes
 router.get('/mentor/search', isAuthenticated, SearchMentor);
-router.get('/mentor', getAllMentors);
-router.get('/mentor/pending', isAuthenticated, getPendingMentors);
-router.patch('/mentor/verify/:id', isAuthenticated, verifyMentor);
+router.get('/mentor', isAuthenticated, getAllMentors);
+router.get('/mentor/pending', isAuthenticated, restrictTo("admin"), getPendingMentors);
+router.patch('/mentor/verify/:id', isAuthenticated, restrictTo("admin"), verifyMentor);
 
 // Password routes
 router.patch("/change-password", isAuthenticated, validatePasswordChange, changeUserPassword);
@@ -1,7 +1,10 @@
 // socket.js - WebSocket server with room management, rate limiting, and error handling
 import { Server } from "socket.io";
 import rateLimit from "express-rate-limit";
+import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
+import { Chat } from "../models/chat.model.js";
+import mongoose from "mongoose";
 
 const onlineUsers = new Map();
 const userRooms = new Map(); // Store user-to-room mapping
@@ -15,6 +18,37 @@ const userCache = new Map(); // Cache user details to avoid excessive DB lookups
 // Create a global io variable to be exported and used in other modules
 let io;
 
+// Presence is only shared between users of the same institution
+const institutionRoom = (user) => `institution:${user.institution || "none"}`;
+
+// Same token as the REST API: the auth cookie, or `auth.token` for non-browser clients
+const getHandshakeToken = (socket) => {
+  if (socket.handshake.auth?.token) return socket.handshake.auth.token;
+  const cookies = socket.handshake.headers.cookie || "";
+  const match = cookies.split(";").map(cookie => cookie.trim()).find(cookie => cookie.startsWith("token="));
+  return match ? decodeURIComponent(match.slice("token=".length)) : null;
+};
+
+// Rejects connections without a valid session, mirroring isAuthenticated
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket);
+    if (!token) return next(new Error("Authentication required"));
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select("name email avatar role status institution passwordChangedAt");
+    if (!user || user.status === "inactive") return next(new Error("Authentication required"));
+    if (user.passwordChangedAt && decoded.iat && user.passwordChangedAt.getTime() / 1000 > decoded.iat) {
+      return next(new Error("Authentication required"));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error("Authentication required"));
+  }
+};
+
 export const initializeSocket = (server) => {
   io = new Server(server, {
     cors: {
@@ -27,6 +61,8 @@ export const initializeSocket = (server) => {
   });
   console.log('Socket.io initialized with websocket transport only');
 
+  io.use(authenticateSocket);
+
   // 1. Room Management Optimization
   // Use userId everywhere after authentication for consistency
   const addUserToRoom = (userId, chatId) => {
@@ -109,43 +145,65 @@ export const initializeSocket = (server) => {
   // WebSocket Connection
   io.on("connection", (socket) => {
     console.log("User connected:", socket.id, "Transport:", socket.conn.transport.name);
-    // Only use userId after authentication
-    onlineUsers.set(socket.id, socket.id);
-    socket.broadcast.emit("userOnline", socket.id);
-
-    // Authenticate user and map socket.id to userId (JWT or session token)
-    socket.on("authenticate", async ({ userId }) => {
-      if (userId) {
-        socketIdToUserId.set(socket.id, userId);
-        onlineUsers.set(userId, socket.id);
-        
-        // Pre-cache user details on authentication
-        await getUserDetails(userId);
+    // The user comes from the verified handshake, never from client-supplied ids
+    const user = socket.data.user;
+    const userId = user._id.toString();
+    const presenceRoom = institutionRoom(user);
+    socketIdToUserId.set(socket.id, userId);
+    onlineUsers.set(userId, socket.id);
+    // Personal room used for user-targeted notifications
+    socket.join(userId);
+    socket.join(presenceRoom);
+    socket.to(presenceRoom).emit("userOnline", userId);
+
+    // Kept for older clients; the handshake already authenticated the socket and the
+    // personal room is always the verified user's, whatever id the client sends
+    socket.on("authenticate", async (payload, callback) => {
+      const claimedId = typeof payload === "object" && payload !== null ? payload.userId : payload;
+      if (claimedId && claimedId.toString() !== userId) {
+        if (typeof callback === "function") callback({ success: false, message: "User mismatch" });
+        return;
       }
+      // Pre-cache user details on authentication
+      await getUserDetails(userId);
+      if (typeof callback === "function") callback({ success: true, userId });
     });
 
+    // Only chat participants are in a chat room
+    const inChat = (chatId) => typeof chatId === "string" && socket.rooms.has(chatId);
+
     // Join Chat Room
-    socket.on("joinChat", (chatId) => {
-      const userId = socketIdToUserId.get(socket.id) || socket.id;
-      socket.join(chatId);
-      addUserToRoom(userId, chatId);
-      console.log(`User ${userId} joined room ${chatId}`);
+    socket.on("joinChat", async (chatId) => {
+      try {
+        const chat = mongoose.isValidObjectId(chatId)
+          && await Chat.exists({ _id: chatId, participants: user._id });
+        if (!chat) {
+          return sendError(socket, "Chat not found.", 'CHAT_NOT_FOUND');
+        }
+        socket.join(chatId);
+        addUserToRoom(userId, chatId);
+        console.log(`User ${userId} joined room ${chatId}`);
+      } catch (error) {
+        console.error("Error joining chat:", error);
+        sendError(socket, "Could not join chat.");
+      }
     });
 
     // Leave Chat Room
     socket.on("leaveChat", (chatId) => {
-      const userId = socketIdToUserId.get(socket.id) || socket.id;
       socket.leave(chatId);
       removeUserFromRoom(userId, chatId);
       console.log(`User ${userId} left room ${chatId}`);
     });
 
     // Typing Indicators
-    socket.on("typing", ({ chatId, userName }) => {
-      socket.to(chatId).emit("typing", { chatId, userName });
+    socket.on("typing", ({ chatId } = {}) => {
+      if (!inChat(chatId)) return;
+      socket.to(chatId).emit("typing", { chatId, userName: user.name });
     });
-    socket.on("stopTyping", ({ chatId, userName }) => {
-      socket.to(chatId).emit("stopTyping", { chatId, userName });
+    socket.on("stopTyping", ({ chatId } = {}) => {
+      if (!inChat(chatId)) return;
+      socket.to(chatId).emit("stopTyping", { chatId, userName: user.name });
     });
 
     // 4. Emit Events Selectively
@@ -153,9 +211,10 @@ export const initializeSocket = (server) => {
       if (!chatId || !content) {
         return sendError(socket, "Chat ID and content are required.", 'MISSING_FIELDS');
       }
+      if (!inChat(chatId)) {
+        return sendError(socket, "Join the chat before sending messages.", 'NOT_IN_CHAT');
+      }
 
-      // Use userId for rate limiting if authenticated, else fallback to socket.id
-      const userId = socketIdToUserId.get(socket.id) || socket.id;
       if (isRateLimited(userId)) {
         return sendError(socket, "Rate limit exceeded. Please slow down.", 'RATE_LIMIT');
       }
@@ -175,8 +234,8 @@ export const initializeSocket = (server) => {
     });
 
     // Mark Messages as Read
-    socket.on("markMessagesRead", ({ chatId }) => {
-      const userId = socketIdToUserId.get(socket.id) || socket.id;
+    socket.on("markMessagesRead", ({ chatId } = {}) => {
+      if (!inChat(chatId)) return;
       io.to(chatId).emit("messagesRead", {
         chatId,
         userId,
@@ -199,15 +258,11 @@ export const initializeSocket = (server) => {
 
     // On Disconnect - leave all rooms
     socket.on("disconnect", () => {
-      const userId = socketIdToUserId.get(socket.id) || socket.id;
-      if (userId) {
-        onlineUsers.delete(userId);
-        socketIdToUserId.delete(socket.id);
-      }
-      onlineUsers.delete(socket.id);
+      onlineUsers.delete(userId);
+      socketIdToUserId.delete(socket.id);
       userRooms.get(userId)?.forEach((room) => socket.leave(room));
       userRooms.delete(userId);
-      socket.broadcast.emit("userOffline", userId);
+      io.to(presenceRoom).emit("userOffline", userId);
       console.log("User disconnected:", userId);
     });
 
@@ -229,3 +284,49 @@ export const getIO = () => {
   return io;
 };
 
+
+// Broadcast an event to everyone in a project's group chat room.
+// Failures are logged only, so callers never fail a request because of sockets.
+export const emitToProjectChat = async (projectId, event, payload) => {
+  try {
+    const chat = await Chat.findOne({ project: projectId }).select("_id").lean();
+    if (!chat) return;
+    getIO().to(chat._id.toString()).emit(event, { projectId, ...payload });
+  } catch (socketError) {
+    console.error(`Socket ${event} notification error:`, socketError);
+  }
+};
+
+// Broadcast to chat rooms by id, for when the Chat documents are already gone (e.g. a deleted project).
+// Failures are logged only, like emitToProjectChat.
+export const emitToChatRooms = (chatIds, event, payload) => {
+  try {
+    if (chatIds.length === 0) return;
+    getIO().to(chatIds.map(id => id.toString())).emit(event, payload);
+  } catch (socketError) {
+    console.error(`Socket ${event} notification error:`, socketError);
+  }
+};
+
+// Make every socket of a user leave the project's chat room, e.g. after they left the team.
+// Failures are logged only, like the emit helpers.
+export const removeUserFromProjectChat = async (projectId, userId) => {
+  try {
+    const chat = await Chat.findOne({ project: projectId }).select("_id").lean();
+    if (!chat) return;
+    const chatId = chat._id.toString();
+    getIO().in(userId.toString()).socketsLeave(chatId);
+    userRooms.get(userId.toString())?.delete(chatId);
+  } catch (socketError) {
+    console.error("Socket chat room removal error:", socketError);
+  }
+};
+
+// Send an event to a single user's personal room, joined on connection with the id from the verified handshake JWT
+export const emitToUser = (userId, event, payload) => {
+  try {
+    getIO().to(userId.toString()).emit(event, payload);
+  } catch (socketError) {
+    console.error(`Socket ${event} notification error:`, socketError);
+  }
+};
@@ -0,0 +1,109 @@
+// iCalendar (RFC 5545) export of meetings
+
+const PRODID = "-//MentorMatrix//Meetings//EN";
+const UID_DOMAIN = "mentormatrix";
+const MAX_LINE_OCTETS = 75;
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (text = "") => String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const escapeParam = (text = "") => `"${String(text).replace(/"/g, "'")}"`;
+
+// Long lines are folded onto continuation lines starting with a space, without splitting characters
+const foldLine = (line) => {
+    const parts = [];
+    let current = "";
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > MAX_LINE_OCTETS) {
+            parts.push(current);
+            current = " ";
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join("\r\n");
+};
+
+// Rescheduling keeps the event's UID, so calendars move the event instead of adding one.
+// Occurrences of a series are separate events: Outlook ignores RDATE and Google handles
+// RRULE overrides inconsistently, so each occurrence is keyed by its place in the series.
+const getEventUid = (meeting) => meeting.seriesId
+    ? `series-${meeting.seriesId}-${meeting.occurrenceIndex}@${UID_DOMAIN}`
+    : `${meeting.calendarUid || meeting._id}@${UID_DOMAIN}`;
+
+// Minutes since the epoch of the last change; grows with every update as SEQUENCE must
+const getSequence = (meeting) => Math.floor(new Date(meeting.updatedAt || Date.now()).getTime() / 60000);
+
+const isPopulatedUser = (user) => Boolean(user && user.email);
+
+const eventLines = (meeting) => {
+    const project = meeting.projectId?.title;
+    const description = [
+        meeting.description,
+        project && `Project: ${project}`,
+        meeting.meetingLink && `Join: ${meeting.meetingLink}`,
+        meeting.cancellation?.reason && meeting.status === "cancelled" && `Cancelled: ${meeting.cancellation.reason}`,
+    ].filter(Boolean).join("\n");
+    const organizer = isPopulatedUser(meeting.scheduledBy) ? meeting.scheduledBy : null;
+
+    return [
+        "BEGIN:VEVENT",
+        `UID:${getEventUid(meeting)}`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `SEQUENCE:${getSequence(meeting)}`,
+        `DTSTART:${formatDate(meeting.startTime)}`,
+        `DTEND:${formatDate(meeting.endTime)}`,
+        `SUMMARY:${escapeText(meeting.title)}`,
+        description && `DESCRIPTION:${escapeText(description)}`,
+        `LOCATION:${escapeText(meeting.location || meeting.meetingLink || "Online")}`,
+        meeting.meetingLink && `URL:${meeting.meetingLink}`,
+        `STATUS:${meeting.status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`,
+        organizer && `ORGANIZER;CN=${escapeParam(organizer.name)}:mailto:${organizer.email}`,
+        ...(meeting.participants || []).filter(isPopulatedUser).map(participant =>
+            `ATTENDEE;CN=${escapeParam(participant.name)};ROLE=REQ-PARTICIPANT:mailto:${participant.email}`),
+        "END:VEVENT",
+    ].filter(Boolean);
+};
+
+/**
+ * Builds an iCalendar document for a set of meetings, one event per meeting or occurrence.
+ * Meetings that were rescheduled are represented by their replacement under the same UID,
+ * and cancelled meetings are kept with STATUS:CANCELLED so subscribed calendars remove them.
+ * @param {Object[]} meetings - Meetings, ideally with populated participants, scheduler and project
+ * @param {Object} [options]
+ * @param {string} [options.method="PUBLISH"] - "REQUEST" for email invitations
+ * @param {string} [options.name] - Calendar name shown by clients
+ * @returns {string}
+ */
+export const buildCalendar = (meetings, { method = "PUBLISH", name } = {}) => {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODID}`,
+        "CALSCALE:GREGORIAN",
+        `METHOD:${method}`,
+        name && `X-WR-CALNAME:${escapeText(name)}`,
+        ...meetings
+            .filter(meeting => meeting.status !== "rescheduled")
+            .flatMap(eventLines),
+        "END:VCALENDAR",
+    ].filter(Boolean);
+
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+// Email attachment of a calendar built with buildCalendar
+export const calendarAttachment = (calendar, method = "REQUEST") => ({
+    filename: "invite.ics",
+    content: calendar,
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+});
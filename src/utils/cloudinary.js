@@ -18,13 +18,21 @@ export const uploadMedia =async(file)=>{
     }
 }
 
-export const  deleteMediaFromCloudinary =async(publicId)=>{
+export const  deleteMediaFromCloudinary =async(publicId, resourceType = "image")=>{
     try {
-        await cloudinary.uploader.destroy(publicId)
+        await cloudinary.uploader.destroy(publicId,{resource_type:resourceType})
     } catch (error) {
         console.log("Error in :: deleteMediaFromCloudinary()",error)
     }
 }
+
+// Cloudinary stores "auto" uploads as image (incl. pdf), video or raw
+export const getResourceType = (mimetype = "") => {
+    if (mimetype.startsWith("image/") || mimetype === "application/pdf") return "image"
+    if (mimetype.startsWith("video/")) return "video"
+    return "raw"
+}
+
 export const deleteVideoFromCloudinary = async (publicId) => {
     try {
         await cloudinary.uploader.destroy(publicId,{resource_type:"video"});
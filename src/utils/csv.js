@@ -0,0 +1,21 @@
+// Spreadsheet apps run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return "";
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Numbers are left alone so negative values stay numeric
+    if (typeof value !== "number" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows to CSV (RFC 4180)
+ * @param {string[]} headers - Column names, also used as row keys
+ * @param {Object[]} rows - One object per row
+ * @returns {string}
+ */
+export const toCsv = (headers, rows) =>
+    [headers, ...rows.map(row => headers.map(header => row[header]))]
+        .map(cells => cells.map(escapeCell).join(","))
+        .join("\r\n");
@@ -0,0 +1,125 @@
+import { Meeting } from "../models/meeting.model.js";
+import { AppError } from "../middleware/error.middleware.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Longest window searched for free slots
+const MAX_SEARCH_DAYS = 31;
+// Shortest meeting and candidate step, in minutes; keeps the search bounded
+const MIN_SLOT_MINUTES = 5;
+const MAX_FREE_SLOTS = 50;
+
+const overlaps = (a, b) => a.startTime < b.endTime && b.startTime < a.endTime;
+
+// Scheduled meetings of any of the users overlapping [from, to); uses the participants/startTime index
+const findBusyMeetings = (participantIds, from, to, excludeIds = []) => Meeting.find({
+    participants: { $in: participantIds },
+    status: "scheduled",
+    startTime: { $lt: to },
+    endTime: { $gt: from },
+    ...(excludeIds.length ? { _id: { $nin: excludeIds } } : {}),
+})
+    .select("title startTime endTime participants projectId")
+    .populate("participants", "name")
+    .populate("projectId", "title")
+    .sort("startTime");
+
+/**
+ * Existing meetings that would double-book any of the participants in the given slots
+ * @param {Object} params
+ * @param {string[]} params.participantIds - Everyone invited to the new meeting
+ * @param {{startTime: Date, endTime: Date}[]} params.slots - The new meeting, or every occurrence of a series
+ * @param {ObjectId[]} [params.excludeIds] - Meetings to ignore, e.g. the one being rescheduled
+ * @returns {Promise<Object[]>} - One entry per slot and clashing meeting, with the double-booked participants
+ */
+export const findMeetingConflicts = async ({ participantIds, slots, excludeIds = [] }) => {
+    if (slots.length === 0 || participantIds.length === 0) return [];
+    const from = new Date(Math.min(...slots.map(slot => slot.startTime.getTime())));
+    const to = new Date(Math.max(...slots.map(slot => slot.endTime.getTime())));
+    const invited = new Set(participantIds.map(id => id.toString()));
+
+    const busy = await findBusyMeetings(participantIds, from, to, excludeIds);
+    return slots.flatMap(slot => busy
+        .filter(meeting => overlaps(slot, meeting))
+        .map(meeting => ({
+            slot: { startTime: slot.startTime, endTime: slot.endTime },
+            meeting: {
+                _id: meeting._id,
+                title: meeting.title,
+                project: meeting.projectId?.title,
+                startTime: meeting.startTime,
+                endTime: meeting.endTime,
+            },
+            participants: meeting.participants
+                .filter(participant => invited.has(participant._id.toString()))
+                .map(participant => ({ _id: participant._id, name: participant.name })),
+        })));
+};
+
+/**
+ * Proposes slots in which every participant is free. Candidates start every `stepMinutes`
+ * inside the working hours (server time) of each day, weekends excluded unless asked for.
+ * Durations, steps and hours must be whole numbers.
+ * @param {Object} params
+ * @param {string[]} params.participantIds
+ * @param {Date} params.from - Start of the search window, not before now
+ * @param {Date} params.to - End of the search window
+ * @param {number} params.durationMinutes - Length of the meeting
+ * @param {number} [params.dayStartHour=9]
+ * @param {number} [params.dayEndHour=18]
+ * @param {number} [params.stepMinutes=30]
+ * @param {boolean} [params.includeWeekends=false]
+ * @param {number} [params.limit=10]
+ * @returns {Promise<{startTime: Date, endTime: Date}[]>}
+ */
+export const findFreeSlots = async ({
+    participantIds,
+    from,
+    to,
+    durationMinutes,
+    dayStartHour = 9,
+    dayEndHour = 18,
+    stepMinutes = 30,
+    includeWeekends = false,
+    limit = 10,
+}) => {
+    const isWholeNumber = (value, min) => Number.isInteger(value) && value >= min;
+    if (!isWholeNumber(durationMinutes, MIN_SLOT_MINUTES) || !isWholeNumber(stepMinutes, MIN_SLOT_MINUTES)) {
+        throw new AppError(`duration and step must be whole numbers of at least ${MIN_SLOT_MINUTES} minutes`, 400);
+    }
+    if (!isWholeNumber(dayStartHour, 0) || !isWholeNumber(dayEndHour, 0) || dayEndHour > 24 || dayStartHour >= dayEndHour) {
+        throw new AppError("dayStart and dayEnd must be whole hours between 0 and 24, with dayStart first", 400);
+    }
+    if (!isWholeNumber(limit, 1) || limit > MAX_FREE_SLOTS) {
+        throw new AppError(`limit must be a whole number between 1 and ${MAX_FREE_SLOTS}`, 400);
+    }
+    if (!(from < to)) {
+        throw new AppError("from must be before to", 400);
+    }
+    if (to - from > MAX_SEARCH_DAYS * DAY_MS) {
+        throw new AppError(`The search window cannot exceed ${MAX_SEARCH_DAYS} days`, 400);
+    }
+
+    const busy = (await findBusyMeetings(participantIds, from, to)).map(meeting => ({
+        startTime: meeting.startTime,
+        endTime: meeting.endTime,
+    }));
+    const duration = durationMinutes * MINUTE_MS;
+    const slots = [];
+
+    for (let day = new Date(from.getFullYear(), from.getMonth(), from.getDate()); day < to && slots.length < limit; day.setDate(day.getDate() + 1)) {
+        const weekday = day.getDay();
+        if (!includeWeekends && (weekday === 0 || weekday === 6)) continue;
+
+        const dayStart = new Date(day);
+        dayStart.setHours(dayStartHour, 0, 0, 0);
+        const dayEnd = new Date(day);
+        dayEnd.setHours(dayEndHour, 0, 0, 0);
+        for (let start = dayStart.getTime(); start + duration <= dayEnd.getTime() && slots.length < limit; start += stepMinutes * MINUTE_MS) {
+            const slot = { startTime: new Date(start), endTime: new Date(start + duration) };
+            if (slot.startTime < from || slot.endTime > to) continue;
+            if (!busy.some(meeting => overlaps(slot, meeting))) slots.push(slot);
+        }
+    }
+    return slots;
+};
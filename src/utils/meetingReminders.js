@@ -0,0 +1,128 @@
+import { Meeting } from "../models/meeting.model.js";
+import { sendEmail } from "./sendEmail.js";
+import { emitToUser } from "../socket/socket.js";
+
+const MINUTE_MS = 60 * 1000;
+// Minutes before the start of a meeting at which participants are reminded
+const REMINDER_OFFSETS = (process.env.MEETING_REMINDER_OFFSETS_MINUTES || "1440,15")
+    .split(",")
+    .map(Number)
+    .filter(offset => Number.isFinite(offset) && offset > 0)
+    .sort((a, b) => b - a);
+const CHECK_INTERVAL_MS = Number(process.env.MEETING_REMINDER_CHECK_INTERVAL_MS) || MINUTE_MS;
+
+const formatLeadTime = (minutes) => {
+    if (minutes >= 1440 && minutes % 1440 === 0) return `${minutes / 1440} day(s)`;
+    if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60} hour(s)`;
+    return `${minutes} minute(s)`;
+};
+
+/**
+ * Offsets whose reminder is due for a meeting and has not been claimed yet
+ * @param {Object} meeting - Meeting with its reminders
+ * @param {Date} now
+ * @returns {number[]}
+ */
+export const getDueReminderOffsets = (meeting, now = new Date()) => {
+    const sent = new Set((meeting.reminders || []).map(reminder => reminder.offsetMinutes));
+    return REMINDER_OFFSETS.filter(offset =>
+        !sent.has(offset) && meeting.startTime.getTime() - offset * MINUTE_MS <= now.getTime()
+    );
+};
+
+/**
+ * Emails and notifies every participant that the meeting starts soon
+ * @param {Object} meeting - Meeting with populated participants and project
+ * @param {Date} now
+ */
+const sendMeetingReminder = async (meeting, now) => {
+    const lead = formatLeadTime(Math.max(1, Math.round((meeting.startTime - now) / MINUTE_MS)));
+    const projectTitle = meeting.projectId?.title || "your project";
+
+    for (const participant of meeting.participants) {
+        emitToUser(participant._id, "meetingReminder", {
+            meetingId: meeting._id,
+            title: meeting.title,
+            startTime: meeting.startTime,
+            meetingLink: meeting.meetingLink,
+            message: `"${meeting.title}" starts in ${lead}`,
+        });
+        try {
+            await sendEmail({
+                email: participant.email,
+                subject: `Reminder: ${meeting.title} starts in ${lead}`,
+                message: `<p>Hello ${participant.name},</p>
+                    <p>This is a reminder that the meeting "${meeting.title}" for ${projectTitle} starts in ${lead}.</p>
+                    <ul>
+                        <li><strong>Start Time:</strong> ${meeting.startTime.toLocaleString()}</li>
+                        <li><strong>End Time:</strong> ${meeting.endTime.toLocaleString()}</li>
+                        <li><strong>Location:</strong> ${meeting.location || 'Online'}</li>
+                        <li><strong>Meeting Link:</strong> <a href="${meeting.meetingLink}">${meeting.meetingLink}</a></li>
+                    </ul>
+                    <p>Best regards,<br>MentorMatrix Team</p>`,
+                textMessage: `Hello ${participant.name},\n\nThis is a reminder that the meeting "${meeting.title}" for ${projectTitle} starts in ${lead}.\n\nStart Time: ${meeting.startTime.toLocaleString()}\nEnd Time: ${meeting.endTime.toLocaleString()}\nLocation: ${meeting.location || 'Online'}\nMeeting Link: ${meeting.meetingLink}\n\nBest regards,\nMentorMatrix Team`
+            });
+        } catch (error) {
+            console.error(`Error sending meeting reminder to ${participant.email}:`, error);
+        }
+    }
+};
+
+/**
+ * Sends the reminders that are due for upcoming meetings. Each reminder is claimed with an
+ * atomic update before it is sent, so it goes out at most once even with several server
+ * instances running this. When several offsets are due at once (e.g. a meeting scheduled
+ * an hour ahead) only one reminder is sent and all of them are recorded.
+ * @returns {Promise<number>} - Number of meetings reminded
+ */
+export const processMeetingReminders = async () => {
+    if (REMINDER_OFFSETS.length === 0) return 0;
+    const now = new Date();
+
+    const candidates = await Meeting.find({
+        status: "scheduled",
+        $or: REMINDER_OFFSETS.map(offset => ({
+            startTime: { $gt: now, $lte: new Date(now.getTime() + offset * MINUTE_MS) },
+            "reminders.offsetMinutes": { $ne: offset },
+        })),
+    }).select("startTime reminders");
+
+    let reminded = 0;
+    for (const candidate of candidates) {
+        const due = getDueReminderOffsets(candidate, now);
+        if (due.length === 0) continue;
+
+        const meeting = await Meeting.findOneAndUpdate(
+            { _id: candidate._id, status: "scheduled", "reminders.offsetMinutes": { $nin: due } },
+            {
+                $push: { reminders: { $each: due.map(offsetMinutes => ({ offsetMinutes, sentAt: now })) } },
+                $set: { reminderSent: true },
+            },
+            { new: true }
+        )
+            .populate("participants", "name email")
+            .populate("projectId", "title");
+        // Claimed by another instance, or cancelled in the meantime
+        if (!meeting) continue;
+
+        try {
+            await sendMeetingReminder(meeting, now);
+            reminded++;
+        } catch (error) {
+            console.error(`Error sending reminders for meeting ${meeting._id}:`, error);
+        }
+    }
+    return reminded;
+};
+
+// Periodically reminds participants of upcoming meetings
+export const startMeetingReminderScheduler = () => {
+    const run = () => processMeetingReminders()
+        .then(count => {
+            if (count > 0) console.log(`Sent reminders for ${count} upcoming meeting(s)`);
+        })
+        .catch(error => console.error("Meeting reminder scheduler failed:", error));
+
+    run();
+    return setInterval(run, CHECK_INTERVAL_MS);
+};
@@ -0,0 +1,88 @@
+import { AppError } from "../middleware/error.middleware.js";
+
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "biweekly", "monthly"];
+// Upper bound on the occurrences of one series
+export const MAX_OCCURRENCES = Number(process.env.MEETING_SERIES_MAX_OCCURRENCES) || 52;
+
+const STEP_DAYS = { daily: 1, weekly: 7, biweekly: 14 };
+
+// Start of the nth occurrence, by calendar date so the wall-clock time survives daylight
+// saving changes. Monthly series keep the day of month, clamped to short months.
+const occurrenceStart = (start, frequency, index) => {
+    const date = new Date(start);
+    if (frequency !== "monthly") {
+        date.setDate(date.getDate() + index * STEP_DAYS[frequency]);
+        return date;
+    }
+    date.setDate(1);
+    date.setMonth(date.getMonth() + index);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(start.getDate(), lastDay));
+    return date;
+};
+
+/**
+ * Validates the recurrence of a new meeting
+ * @param {Object} recurring - { isRecurring, frequency, endDate } from the request
+ * @param {Date} start - Start of the first occurrence
+ * @returns {{isRecurring: true, frequency: string, endDate: Date}|null} - null for a single meeting
+ */
+export const parseRecurrence = (recurring, start) => {
+    if (!recurring || !recurring.isRecurring) return null;
+
+    const frequency = recurring.frequency || "weekly";
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+        throw new AppError(`frequency must be one of: ${RECURRENCE_FREQUENCIES.join(", ")}`, 400, "INVALID_RECURRENCE");
+    }
+    const endDate = new Date(recurring.endDate);
+    if (!recurring.endDate || isNaN(endDate)) {
+        throw new AppError("A recurring meeting needs a valid endDate", 400, "INVALID_RECURRENCE");
+    }
+    if (endDate < start) {
+        throw new AppError("endDate must be after the first meeting", 400, "INVALID_RECURRENCE");
+    }
+    return { isRecurring: true, frequency, endDate };
+};
+
+/**
+ * Time slots of every occurrence of a series, from the first meeting up to the end date
+ * @param {Date} start - Start of the first occurrence
+ * @param {Date} end - End of the first occurrence
+ * @param {Object} recurrence - From parseRecurrence
+ * @returns {{startTime: Date, endTime: Date}[]}
+ */
+export const expandOccurrences = (start, end, recurrence) => {
+    const duration = end - start;
+    const occurrences = [];
+    for (let index = 0; ; index++) {
+        const startTime = occurrenceStart(start, recurrence.frequency, index);
+        if (startTime > recurrence.endDate) break;
+        if (occurrences.length === MAX_OCCURRENCES) {
+            throw new AppError(`A series cannot have more than ${MAX_OCCURRENCES} meetings; pick an earlier endDate`, 400, "INVALID_RECURRENCE");
+        }
+        occurrences.push({ startTime, endTime: new Date(startTime.getTime() + duration) });
+    }
+    return occurrences;
+};
+
+/**
+ * Filter of the meetings an edit or cancellation applies to: the meeting alone,
+ * or with scope "following" every scheduled occurrence of its series from it on
+ * @param {Object} meeting - The meeting the request was made on
+ * @param {string} [scope="this"] - "this" or "following"
+ * @returns {Object}
+ */
+export const getSeriesScopeFilter = (meeting, scope = "this") => {
+    if (!["this", "following"].includes(scope)) {
+        throw new AppError("scope must be 'this' or 'following'", 400);
+    }
+    if (scope === "this") return { _id: meeting._id };
+    if (!meeting.seriesId) {
+        throw new AppError("This meeting is not part of a recurring series", 400, "NOT_A_SERIES");
+    }
+    return {
+        seriesId: meeting.seriesId,
+        status: "scheduled",
+        startTime: { $gte: meeting.startTime },
+    };
+};
@@ -0,0 +1,84 @@
+import { AppError } from "../middleware/error.middleware.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { ACTIVE_PROJECT_STATUSES } from "./projectPolicy.js";
+
+const DEFAULT_MENTOR_CAPACITY = Number(process.env.DEFAULT_MENTOR_CAPACITY) || 5;
+
+export const getMentorCapacity = (mentor) => mentor.maxActiveProjects ?? DEFAULT_MENTOR_CAPACITY;
+
+export const countMentorProjects = (mentorId) =>
+    Project.countDocuments({
+        assignedMentor: mentorId,
+        status: { $in: ACTIVE_PROJECT_STATUSES },
+    });
+
+/**
+ * Gets current/max active projects for many mentors with a single aggregation
+ * @param {Object[]} mentors - Mentor user documents
+ * @returns {Promise<Map<string, {current: number, max: number, isFull: boolean}>>} - Keyed by mentor id
+ */
+export const getMentorLoads = async (mentors) => {
+    const loads = await Project.aggregate([
+        {
+            $match: {
+                assignedMentor: { $in: mentors.map(mentor => mentor._id) },
+                status: { $in: ACTIVE_PROJECT_STATUSES }
+            }
+        },
+        { $group: { _id: "$assignedMentor", current: { $sum: 1 } } }
+    ]);
+    const currentByMentor = new Map(loads.map(load => [load._id.toString(), load.current]));
+
+    return new Map(mentors.map(mentor => {
+        const current = currentByMentor.get(mentor._id.toString()) || 0;
+        const max = getMentorCapacity(mentor);
+        return [mentor._id.toString(), { current, max, isFull: current >= max }];
+    }));
+};
+
+/**
+ * Gets the current and maximum number of active projects of a mentor
+ * @param {Object} mentor - The mentor user document
+ * @returns {Promise<{current: number, max: number, isFull: boolean}>}
+ */
+export const getMentorLoad = async (mentor) => {
+    const current = await countMentorProjects(mentor._id);
+    const max = getMentorCapacity(mentor);
+    return { current, max, isFull: current >= max };
+};
+
+/**
+ * Throws when the mentor cannot take on another project
+ * @param {Object} mentor - The mentor user document
+ */
+export const assertMentorHasCapacity = async (mentor) => {
+    const load = await getMentorLoad(mentor);
+    if (load.isFull) {
+        throw new AppError(
+            `${mentor.name} is mentoring ${load.current}/${load.max} projects and cannot take more`,
+            400,
+            "MENTOR_AT_CAPACITY"
+        );
+    }
+    return load;
+};
+
+/**
+ * Re-derives `availability` from the mentor's load. Call whenever the load or capacity changes.
+ * @param {string|ObjectId} mentorId - The mentor id
+ * @returns {Promise<{current: number, max: number, isFull: boolean}|null>}
+ */
+export const refreshMentorAvailability = async (mentorId) => {
+    if (!mentorId) return null;
+    const mentor = await User.findById(mentorId).select("name role status availability maxActiveProjects");
+    // Pending or rejected mentors stay unavailable until verified
+    if (!mentor || mentor.role !== "mentor" || mentor.status !== "active") return null;
+
+    const load = await getMentorLoad(mentor);
+    if (mentor.availability === load.isFull) {
+        mentor.availability = !load.isFull;
+        await mentor.save();
+    }
+    return load;
+};
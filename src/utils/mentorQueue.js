@@ -0,0 +1,176 @@
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { sendEmail } from "./sendEmail.js";
+import { getPolicy } from "./projectPolicy.js";
+import { getMentorLoad } from "./mentorLoad.js";
+
+const ESCALATION_INTERVAL_MS = Number(process.env.MENTOR_ESCALATION_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Statuses that still count as part of a live queue
+export const OPEN_PREFERENCE_STATUSES = ["queued", "pending"];
+
+const notifyTeam = async (project, subject, message) => {
+    try {
+        const members = await User.find({ _id: { $in: project.teamMembers } }).select("email");
+        const emails = members.map(member => member.email).filter(Boolean);
+        if (emails.length) {
+            await sendEmail({ email: emails, subject, message });
+        }
+    } catch (emailError) {
+        console.error("Error sending mentor queue email:", emailError);
+    }
+};
+
+/**
+ * Sends the request to the next queued mentor in rank order, skipping mentors
+ * who are unavailable or at capacity. Saves the project.
+ * @param {Object} project - The project document
+ * @returns {Promise<Object|null>} - The mentor now being asked, or null when the queue is exhausted
+ */
+export const advanceMentorQueue = async (project) => {
+    const policy = await getPolicy(project.institution);
+    const queued = project.mentorPreferences
+        .filter(preference => preference.status === "queued")
+        .sort((a, b) => a.rank - b.rank);
+
+    let nextMentor = null;
+    for (const preference of queued) {
+        const mentor = await User.findById(preference.mentor).select("name email role status availability maxActiveProjects");
+        const load = mentor ? await getMentorLoad(mentor) : null;
+        if (!mentor || mentor.role !== "mentor" || mentor.status !== "active" || load.isFull) {
+            preference.status = "skipped";
+            preference.note = "Mentor unavailable or at capacity";
+            continue;
+        }
+
+        preference.status = "pending";
+        preference.requestedAt = new Date();
+        preference.expiresAt = new Date(Date.now() + policy.mentorRequestTimeoutDays * 24 * 60 * 60 * 1000);
+        nextMentor = mentor;
+        break;
+    }
+
+    project.mentorRequests = nextMentor ? [nextMentor._id] : [];
+    await project.save();
+
+    if (nextMentor) {
+        try {
+            await sendEmail({
+                email: nextMentor.email,
+                subject: "Mentor Request",
+                message: `You have a new mentor request for project '${project.title}'.`,
+            });
+        } catch (emailError) {
+            console.error("Error sending mentor request email:", emailError);
+        }
+    }
+
+    return nextMentor;
+};
+
+/**
+ * Replaces the open part of the queue with a new ranked list and asks the first available mentor.
+ * Earlier answered entries are kept as history.
+ * @param {Object} project - The project document
+ * @param {Object[]} mentors - Mentor user documents in preference order
+ * @returns {Promise<Object|null>} - The mentor now being asked
+ */
+export const setMentorPreferences = async (project, mentors) => {
+    project.mentorPreferences.forEach(preference => {
+        if (OPEN_PREFERENCE_STATUSES.includes(preference.status)) {
+            preference.status = "withdrawn";
+            preference.respondedAt = new Date();
+        }
+    });
+    mentors.forEach((mentor, index) => {
+        project.mentorPreferences.push({ mentor: mentor._id, rank: index + 1 });
+    });
+    return advanceMentorQueue(project);
+};
+
+/**
+ * Closes the pending request of a mentor and moves the queue on
+ * @param {Object} project - The project document
+ * @param {string} status - "declined" or "expired"
+ * @returns {Promise<Object|null>} - The next mentor being asked, if any
+ */
+export const closePendingRequest = async (project, status) => {
+    const pending = project.mentorPreferences.find(preference => preference.status === "pending");
+    if (pending) {
+        pending.status = status;
+        pending.respondedAt = new Date();
+    }
+    return advanceMentorQueue(project);
+};
+
+/**
+ * Atomically marks a project's timed-out pending request as expired, so only one server
+ * instance escalates it. The version is bumped so a mentor answering from a copy loaded
+ * before the claim cannot overwrite it.
+ * @param {string|ObjectId} projectId - The project id
+ * @param {Date} now - Requests that expired before this are claimed
+ * @returns {Promise<Object|null>} - The updated project, or null when nothing was left to claim
+ */
+const claimExpiredRequest = (projectId, now) => Project.findOneAndUpdate(
+    {
+        _id: projectId,
+        assignedMentor: null,
+        mentorPreferences: { $elemMatch: { status: "pending", expiresAt: { $lt: now } } },
+    },
+    {
+        $set: {
+            "mentorPreferences.$[expired].status": "expired",
+            "mentorPreferences.$[expired].respondedAt": now,
+            mentorRequests: [],
+        },
+        $inc: { __v: 1 },
+    },
+    {
+        arrayFilters: [{ "expired.status": "pending", "expired.expiresAt": { $lt: now } }],
+        new: true,
+    }
+);
+
+/**
+ * Moves every request whose mentor did not answer in time to the next preference
+ * @returns {Promise<number>} - Number of requests escalated by this run
+ */
+export const escalateExpiredMentorRequests = async () => {
+    const now = new Date();
+    const candidates = await Project.find({
+        assignedMentor: null,
+        mentorPreferences: {
+            $elemMatch: { status: "pending", expiresAt: { $lt: now } }
+        }
+    }).select("_id");
+
+    let escalated = 0;
+    for (const { _id } of candidates) {
+        try {
+            const project = await claimExpiredRequest(_id, now);
+            // Answered meanwhile, or claimed by another instance
+            if (!project) continue;
+            escalated++;
+
+            const nextMentor = await advanceMentorQueue(project);
+            await notifyTeam(project, "Mentor Request Timed Out", nextMentor
+                ? `Your mentor request for project '${project.title}' was not answered in time and has been sent to ${nextMentor.name}.`
+                : `None of the preferred mentors for project '${project.title}' answered in time. Please submit a new list of mentors.`);
+        } catch (error) {
+            console.error(`Error escalating mentor request for project ${_id}:`, error);
+        }
+    }
+    return escalated;
+};
+
+// Periodically escalates timed-out mentor requests
+export const startMentorRequestEscalation = () => {
+    const run = () => escalateExpiredMentorRequests()
+        .then(count => {
+            if (count > 0) console.log(`Escalated ${count} timed-out mentor request(s)`);
+        })
+        .catch(error => console.error("Mentor request escalation failed:", error));
+
+    run();
+    return setInterval(run, ESCALATION_INTERVAL_MS);
+};
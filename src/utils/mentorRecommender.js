@@ -0,0 +1,208 @@
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { getMentorLoads } from "./mentorLoad.js";
+import { buildTfIdfVectors, cosineSimilarity, sharedTerms, tokenize } from "./textSimilarity.js";
+import Gemini from "./Gemini.js";
+
+// Relative weight of each signal in the final score (sums to 1)
+const WEIGHTS = {
+    expertise: 0.5,
+    department: 0.15,
+    load: 0.2,
+    responsiveness: 0.15,
+};
+
+// Share of the final score taken from the LLM when it is used
+const AI_WEIGHT = 0.3;
+
+const projectText = (project) => [
+    project.title,
+    project.description?.abstract,
+    project.description?.problemStatement,
+    (project.description?.techStack || []).join(" "),
+    // Tech stack counts twice: it is the most direct signal of required expertise
+    (project.description?.techStack || []).join(" "),
+].filter(Boolean).join(" ");
+
+const mentorText = (mentor) => [
+    (mentor.expertise || []).filter(Boolean).join(" "),
+    mentor.bio,
+    mentor.department,
+].filter(Boolean).join(" ");
+
+/**
+ * Share of answered (accepted/declined) requests and average response time per mentor,
+ * taken from mentor preference history across all projects
+ */
+const getResponsiveness = async (mentorIds) => {
+    const stats = await Project.aggregate([
+        { $unwind: "$mentorPreferences" },
+        {
+            $match: {
+                "mentorPreferences.mentor": { $in: mentorIds },
+                "mentorPreferences.status": { $in: ["accepted", "declined", "expired"] }
+            }
+        },
+        {
+            $addFields: {
+                answered: { $in: ["$mentorPreferences.status", ["accepted", "declined"]] }
+            }
+        },
+        {
+            $group: {
+                _id: "$mentorPreferences.mentor",
+                answered: { $sum: { $cond: ["$answered", 1, 0] } },
+                total: { $sum: 1 },
+                avgResponseMs: {
+                    $avg: {
+                        $cond: [
+                            "$answered",
+                            { $subtract: ["$mentorPreferences.respondedAt", "$mentorPreferences.requestedAt"] },
+                            null
+                        ]
+                    }
+                }
+            }
+        }
+    ]);
+    return new Map(stats.map(stat => [stat._id.toString(), stat]));
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Asks the LLM to score the shortlisted mentors; returns null when unavailable
+const getAIScores = async (project, candidates) => {
+    const prompt = `
+You are matching a student project with faculty mentors.
+Score each mentor from 0 to 100 for how well their expertise fits the project.
+Respond ONLY with a JSON array like [{"mentorId": "...", "score": 80, "reason": "..."}].
+
+Project:
+- Title: ${project.title}
+- Abstract: ${project.description?.abstract || ""}
+- Tech Stack: ${(project.description?.techStack || []).join(", ")}
+
+Mentors:
+${candidates.map(c => `- ${c.mentor._id}: ${c.mentor.name}; expertise: ${(c.mentor.expertise || []).join(", ")}; department: ${c.mentor.department || "N/A"}`).join("\n")}
+`;
+    try {
+        const response = await Gemini({ content: prompt });
+        const json = response.slice(response.indexOf("["), response.lastIndexOf("]") + 1);
+        const parsed = JSON.parse(json);
+        return new Map(parsed
+            .filter(entry => entry && entry.mentorId && Number.isFinite(Number(entry.score)))
+            .map(entry => [String(entry.mentorId), {
+                score: Math.min(Math.max(Number(entry.score), 0), 100) / 100,
+                reason: entry.reason || ""
+            }]));
+    } catch (error) {
+        console.warn("AI mentor scoring unavailable:", error.message);
+        return null;
+    }
+};
+
+/**
+ * Ranks active mentors for a project using keyword/TF-IDF similarity between the project and
+ * mentor expertise, department match, current load and responsiveness. Works fully offline;
+ * the Gemini LLM is only consulted when `useAI` is set and GOOGLE_API_KEY is configured.
+ * @param {Object} project - The project document
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Number of mentors to return
+ * @param {boolean} [options.useAI=false] - Blend in LLM scores for the shortlist
+ * @returns {Promise<{recommendations: Object[], aiUsed: boolean}>}
+ */
+export const recommendMentors = async (project, { limit = 10, useAI = false } = {}) => {
+    const mentors = await User.find({ role: "mentor", status: "active", institution: project.institution || null })
+        .select("name email department expertise bio avatar availability maxActiveProjects");
+    if (mentors.length === 0) return { recommendations: [], aiUsed: false };
+
+    const leader = await User.findById(project.createdBy).select("department");
+    const leaderDepartment = leader?.department?.trim().toLowerCase();
+
+    const [loads, responsiveness] = await Promise.all([
+        getMentorLoads(mentors),
+        getResponsiveness(mentors.map(mentor => mentor._id)),
+    ]);
+
+    // The project is the first document so it shares the vocabulary with every mentor
+    const [projectVector, ...mentorVectors] = buildTfIdfVectors([projectText(project), ...mentors.map(mentorText)]);
+    const techStack = new Set((project.description?.techStack || []).flatMap(tokenize));
+
+    let candidates = mentors.map((mentor, index) => {
+        const reasons = [];
+        const id = mentor._id.toString();
+
+        // Expertise: text similarity, boosted by direct tech stack matches
+        const similarity = cosineSimilarity(projectVector, mentorVectors[index]);
+        const expertiseTokens = new Set((mentor.expertise || []).filter(Boolean).flatMap(tokenize));
+        const stackMatches = [...techStack].filter(token => expertiseTokens.has(token));
+        const stackOverlap = techStack.size ? stackMatches.length / techStack.size : 0;
+        const expertise = Math.min(1, 0.6 * similarity + 0.4 * stackOverlap + (stackMatches.length ? 0.1 : 0));
+        if (stackMatches.length) {
+            reasons.push(`Expertise matches tech stack: ${stackMatches.join(", ")}`);
+        }
+        const terms = sharedTerms(projectVector, mentorVectors[index]).filter(term => !stackMatches.includes(term));
+        if (terms.length) {
+            reasons.push(`Related topics: ${terms.join(", ")}`);
+        }
+
+        // Department
+        const department = leaderDepartment && mentor.department?.trim().toLowerCase() === leaderDepartment ? 1 : 0;
+        if (department) reasons.push(`Same department (${mentor.department})`);
+
+        // Load: free capacity share
+        const load = loads.get(id);
+        const loadScore = load.max > 0 ? Math.max(0, 1 - load.current / load.max) : 0;
+        reasons.push(load.isFull
+            ? `At capacity (${load.current}/${load.max} projects)`
+            : `Has capacity (${load.current}/${load.max} projects)`);
+
+        // Responsiveness: neutral when there is no history yet
+        const history = responsiveness.get(id);
+        const responsivenessScore = history ? history.answered / history.total : 0.5;
+        if (history) {
+            const avgHours = history.avgResponseMs ? Math.round(history.avgResponseMs / (60 * 60 * 1000)) : null;
+            reasons.push(`Answered ${history.answered}/${history.total} past requests` + (avgHours !== null ? `, typically within ${avgHours}h` : ""));
+        }
+
+        const score = WEIGHTS.expertise * expertise
+            + WEIGHTS.department * department
+            + WEIGHTS.load * loadScore
+            + WEIGHTS.responsiveness * responsivenessScore;
+
+        return {
+            mentor,
+            score: round(score),
+            breakdown: {
+                expertise: round(expertise),
+                department,
+                load: round(loadScore),
+                responsiveness: round(responsivenessScore),
+            },
+            load,
+            reasons,
+        };
+    });
+
+    // Mentors at capacity cannot take the project, so they go last
+    const rank = (list) => list.sort((a, b) => (a.load.isFull - b.load.isFull) || (b.score - a.score));
+    candidates = rank(candidates).slice(0, limit);
+
+    let aiUsed = false;
+    if (useAI && process.env.GOOGLE_API_KEY) {
+        const aiScores = await getAIScores(project, candidates);
+        if (aiScores) {
+            aiUsed = true;
+            candidates.forEach(candidate => {
+                const ai = aiScores.get(candidate.mentor._id.toString());
+                if (!ai) return;
+                candidate.breakdown.ai = round(ai.score);
+                candidate.score = round((1 - AI_WEIGHT) * candidate.score + AI_WEIGHT * ai.score);
+                if (ai.reason) candidate.reasons.push(`AI: ${ai.reason}`);
+            });
+            rank(candidates);
+        }
+    }
+
+    return { recommendations: candidates, aiUsed };
+};
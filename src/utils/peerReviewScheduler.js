@@ -0,0 +1,86 @@
+import { PeerReviewRound } from "../models/peerReview.model.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { sendEmail } from "./sendEmail.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_LEAD_HOURS = Number(process.env.PEER_REVIEW_REMINDER_HOURS) || 24;
+const CHECK_INTERVAL_MS = Number(process.env.PEER_REVIEW_CHECK_INTERVAL_MS) || HOUR_MS;
+
+/**
+ * Participants of a round who have not submitted yet
+ * @param {Object} round - Round document loaded with submissions
+ * @returns {ObjectId[]}
+ */
+export const getPendingReviewers = (round) => {
+    const submitted = new Set(round.submissions.map(submission => submission.reviewer.toString()));
+    return round.participants.filter(participant => !submitted.has(participant.toString()));
+};
+
+/**
+ * Emails every participant who has not submitted yet and records the reminder
+ * @param {Object} round - Round document loaded with submissions
+ * @returns {Promise<number>} - Number of students reminded
+ */
+export const sendPeerReviewReminders = async (round) => {
+    const pending = getPendingReviewers(round);
+    if (pending.length) {
+        const [project, students] = await Promise.all([
+            Project.findById(round.project).select("title"),
+            User.find({ _id: { $in: pending } }).select("email"),
+        ]);
+        const emails = students.map(student => student.email).filter(Boolean);
+        if (emails.length) {
+            await sendEmail({
+                email: emails,
+                subject: "Peer Evaluation Reminder",
+                message: `Please submit your peer evaluation for project '${project?.title}' before ${round.deadline.toUTCString()}.`,
+            });
+        }
+    }
+    round.reminderSentAt = new Date();
+    await round.save();
+    return pending.length;
+};
+
+/**
+ * Closes rounds past their deadline and reminds students of rounds closing soon
+ * @returns {Promise<{closed: number, reminded: number}>}
+ */
+export const processPeerReviewDeadlines = async () => {
+    const now = new Date();
+
+    const { modifiedCount: closed } = await PeerReviewRound.updateMany(
+        { status: "open", deadline: { $lt: now } },
+        { $set: { status: "closed", closedAt: now } }
+    );
+
+    const dueSoon = await PeerReviewRound.find({
+        status: "open",
+        reminderSentAt: null,
+        deadline: { $lt: new Date(now.getTime() + REMINDER_LEAD_HOURS * HOUR_MS) },
+    }).select("+submissions");
+
+    let reminded = 0;
+    for (const round of dueSoon) {
+        try {
+            reminded += await sendPeerReviewReminders(round);
+        } catch (error) {
+            console.error(`Error sending peer review reminders for round ${round._id}:`, error);
+        }
+    }
+    return { closed, reminded };
+};
+
+// Periodically enforces peer review deadlines and sends reminders
+export const startPeerReviewScheduler = () => {
+    const run = () => processPeerReviewDeadlines()
+        .then(({ closed, reminded }) => {
+            if (closed > 0) console.log(`Closed ${closed} peer review round(s) past their deadline`);
+            if (reminded > 0) console.log(`Sent peer review reminders to ${reminded} student(s)`);
+        })
+        .catch(error => console.error("Peer review scheduler failed:", error));
+
+    run();
+    return setInterval(run, CHECK_INTERVAL_MS);
+};
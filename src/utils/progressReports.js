@@ -0,0 +1,190 @@
+import { AppError } from "../middleware/error.middleware.js";
+import { Project } from "../models/project.model.js";
+import { ProgressReport } from "../models/progressReport.model.js";
+import { User } from "../models/user.model.js";
+import { getPolicy } from "./projectPolicy.js";
+import { sendEmail } from "./sendEmail.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = Number(process.env.PROGRESS_REPORT_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+// Reporting periods kept per project; older ones are no longer tracked
+const MAX_PERIODS = 104;
+
+/**
+ * Reporting starts when the project got its mentor. Projects approved before approvedAt
+ * existed fall back to when the primary mentor was added, then to creation.
+ * @param {Object} project - The project document
+ * @returns {Date}
+ */
+export const getReportingStart = (project) => {
+    const primary = (project.mentors || []).find(mentor => mentor.role === "primary");
+    return project.approvedAt || primary?.addedAt || project.createdAt;
+};
+
+// Stretches of the timeline whose periods share one length: the gap before each filed report
+// (periods of that report's length, the last one cut short if the interval changed meanwhile),
+// the report itself, and after the last report the current interval without an end
+const getSegments = (project, intervalDays, reports, until) => {
+    const segments = [];
+    let cursor = getReportingStart(project).getTime();
+
+    const filed = [...reports].sort((a, b) => a.periodStart - b.periodStart);
+    for (const report of filed) {
+        const start = report.periodStart.getTime();
+        const end = report.periodEnd.getTime();
+        if (start < cursor || start > until || end <= start) continue;
+        if (cursor < start) segments.push({ start: cursor, end: start, length: end - start });
+        segments.push({ start, end, length: end - start });
+        cursor = end;
+    }
+    segments.push({ start: cursor, end: Infinity, length: intervalDays * DAY_MS });
+    return segments;
+};
+
+const countPeriods = (segment) => Math.ceil((segment.end - segment.start) / segment.length);
+
+const periodAt = (segment, index) => {
+    const start = segment.start + index * segment.length;
+    return { start: new Date(start), end: new Date(Math.min(start + segment.length, segment.end)) };
+};
+
+// Segment and position within it of the period containing a time, which must not be before reporting started
+const locatePeriod = (segments, time) => {
+    const segmentIndex = segments.findIndex(segment => time < segment.end);
+    const segment = segments[segmentIndex];
+    return { segmentIndex, index: Math.floor((time - segment.start) / segment.length) };
+};
+
+/**
+ * The last MAX_PERIODS periods up to the one containing `until`. Submitted reports keep the
+ * period they were filed under, so a new policy interval only shapes the periods after the
+ * last report; unreported periods before a report use that report's length. Older periods
+ * are no longer tracked: they cannot be reported late and do not count as missed.
+ * @param {Object} project - The project document
+ * @param {number} intervalDays - Current period length from the policy
+ * @param {{periodStart: Date, periodEnd: Date}[]} [reports] - The project's reports
+ * @param {Date} [until] - Defaults to now
+ * @returns {{start: Date, end: Date}[]}
+ */
+export const getReportPeriods = (project, intervalDays, reports = [], until = new Date()) => {
+    const time = until.getTime();
+    const segments = getSegments(project, intervalDays, reports, time);
+    if (time < segments[0].start) return [];
+
+    // Walk back from the current period, so only the kept periods are built
+    let { segmentIndex, index } = locatePeriod(segments, time);
+    const periods = [];
+    while (segmentIndex >= 0 && periods.length < MAX_PERIODS) {
+        periods.push(periodAt(segments[segmentIndex], index));
+        index--;
+        if (index < 0 && --segmentIndex >= 0) index = countPeriods(segments[segmentIndex]) - 1;
+    }
+    return periods.reverse();
+};
+
+/**
+ * The reporting period a date falls into
+ * @param {Object} project - The project document
+ * @param {number} intervalDays - Current period length from the policy
+ * @param {Date} [date] - Defaults to now
+ * @param {{periodStart: Date, periodEnd: Date}[]} [reports] - The project's reports
+ * @returns {{start: Date, end: Date}}
+ */
+export const getReportPeriod = (project, intervalDays, date = new Date(), reports = []) => {
+    const now = new Date();
+    // Later reports fix the shape of earlier gaps, so every report up to now is taken into account
+    const segments = getSegments(project, intervalDays, reports, Math.max(date.getTime(), now.getTime()));
+    // Dates before reporting started fall into the first period
+    const { segmentIndex, index } = locatePeriod(segments, Math.max(date.getTime(), segments[0].start));
+    const period = periodAt(segments[segmentIndex], index);
+
+    const [oldest] = getReportPeriods(project, intervalDays, reports, now);
+    if (oldest && period.start < oldest.start) {
+        throw new AppError(`Only the last ${MAX_PERIODS} reporting periods can be reported`, 400, "REPORT_PERIOD_TOO_OLD");
+    }
+    return period;
+};
+
+// Reporting period length per institution, from each institution's policy
+const getReportIntervals = async (projects) => {
+    const institutions = [...new Set(projects.map(project => project.institution?.toString() || null))];
+    const policies = await Promise.all(institutions.map(institution => getPolicy(institution)));
+    return new Map(institutions.map((institution, i) => [institution, policies[i].progressReportIntervalDays]));
+};
+
+/**
+ * Ended periods without a report, per project. Only approved projects are expected to report.
+ * @param {Object[]} projects - Project documents
+ * @returns {Promise<{project: Object, missed: {start: Date, end: Date}[]}[]>}
+ */
+export const findMissedReports = async (projects) => {
+    const active = projects.filter(project => project.status === "approved");
+    const intervals = await getReportIntervals(active);
+    const reports = await ProgressReport.find({ project: { $in: active.map(project => project._id) } })
+        .select("project periodStart periodEnd")
+        .lean();
+    const reportsByProject = new Map();
+    reports.forEach(report => {
+        const key = report.project.toString();
+        if (!reportsByProject.has(key)) reportsByProject.set(key, []);
+        reportsByProject.get(key).push(report);
+    });
+
+    const now = new Date();
+    return active
+        .map(project => {
+            const filed = reportsByProject.get(project._id.toString()) || [];
+            const reported = new Set(filed.map(report => report.periodStart.getTime()));
+            return {
+                project,
+                missed: getReportPeriods(project, intervals.get(project.institution?.toString() || null), filed)
+                    .filter(period => period.end <= now && !reported.has(period.start.getTime())),
+            };
+        })
+        .filter(entry => entry.missed.length > 0);
+};
+
+/**
+ * Emails teams and their primary mentor about periods that ended since the last check without a report
+ * @returns {Promise<number>} - Number of projects notified
+ */
+export const notifyMissedReports = async () => {
+    const projects = await Project.find({ status: "approved" })
+        .select("title status approvedAt mentors createdAt teamMembers assignedMentor institution");
+
+    const since = new Date(Date.now() - CHECK_INTERVAL_MS);
+    const missed = (await findMissedReports(projects))
+        .map(entry => ({ ...entry, justMissed: entry.missed.find(period => period.end > since) }))
+        .filter(entry => entry.justMissed);
+
+    for (const { project, justMissed } of missed) {
+        try {
+            const users = await User.find({ _id: { $in: [...project.teamMembers, project.assignedMentor].filter(Boolean) } })
+                .select("email");
+            const emails = users.map(user => user.email).filter(Boolean);
+            if (emails.length) {
+                await sendEmail({
+                    email: emails,
+                    subject: "Progress Report Missed",
+                    message: `No progress report was submitted for project '${project.title}' for the period ` +
+                        `${justMissed.start.toDateString()} - ${justMissed.end.toDateString()}. The team can still submit it late.`,
+                });
+            }
+        } catch (error) {
+            console.error(`Error sending missed report notice for project ${project._id}:`, error);
+        }
+    }
+    return missed.length;
+};
+
+// Periodically looks for reporting periods that just ended without a report
+export const startProgressReportMonitor = () => {
+    const run = () => notifyMissedReports()
+        .then(count => {
+            if (count > 0) console.log(`Notified ${count} project(s) about missed progress reports`);
+        })
+        .catch(error => console.error("Progress report monitor failed:", error));
+
+    run();
+    return setInterval(run, CHECK_INTERVAL_MS);
+};
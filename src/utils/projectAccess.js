@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import { AppError } from "../middleware/error.middleware.js";
+import { Project } from "../models/project.model.js";
+
+/**
+ * Role of a user among the project's mentoring staff
+ * @param {Object} project - The project document
+ * @param {string|ObjectId} userId - The user id
+ * @returns {"primary"|"co-mentor"|"reviewer"|null}
+ */
+export const getMentorRole = (project, userId) => {
+    // Projects assigned before co-mentors existed only have assignedMentor
+    if (project.assignedMentor && project.assignedMentor.equals(userId)) return "primary";
+    const entry = (project.mentors || []).find(mentor => mentor.user.equals(userId));
+    return entry ? entry.role : null;
+};
+
+/**
+ * Ids of everyone on the project's mentoring staff (primary, co-mentors and reviewers)
+ * @param {Object} project - The project document
+ * @returns {string[]}
+ */
+export const getProjectMentorIds = (project) => {
+    const ids = new Set((project.mentors || []).map(mentor => mentor.user.toString()));
+    if (project.assignedMentor) ids.add(project.assignedMentor.toString());
+    return [...ids];
+};
+
+/**
+ * Loads a project and works out how the given user relates to it.
+ * `isMentor` covers the primary mentor and co-mentors; reviewers only get `isReviewer`.
+ * @param {string} projectId - The project id from the request
+ * @param {string|ObjectId} userId - The authenticated user id
+ * @returns {Promise<{project: Object, isTeamMember: boolean, isMentor: boolean, isPrimaryMentor: boolean, isReviewer: boolean, isLeader: boolean, mentorRole: string|null}>}
+ */
+export const getProjectWithAccess = async (projectId, userId) => {
+    if (!mongoose.isValidObjectId(projectId)) {
+        throw new AppError("Invalid project ID", 400);
+    }
+    const project = await Project.findById(projectId);
+    if (!project) {
+        throw new AppError("Project not found", 404);
+    }
+    const isTeamMember = project.teamMembers.some(id => id.equals(userId));
+    const mentorRole = getMentorRole(project, userId);
+    const isLeader = project.createdBy.equals(userId);
+    return {
+        project,
+        isTeamMember,
+        isMentor: mentorRole === "primary" || mentorRole === "co-mentor",
+        isPrimaryMentor: mentorRole === "primary",
+        isReviewer: mentorRole === "reviewer",
+        isLeader,
+        mentorRole,
+    };
+};
@@ -0,0 +1,105 @@
+import { AppError } from "../middleware/error.middleware.js";
+import { Policy } from "../models/policy.model.js";
+import { Project } from "../models/project.model.js";
+import { sameInstitution } from "./tenancy.js";
+
+// Projects in these states count towards a student's active project limit
+export const ACTIVE_PROJECT_STATUSES = ["pending", "approved"];
+
+export const getPolicy = (institution = null) => Policy.getPolicy(institution);
+
+/**
+ * Active projects of a student, limited to one term when the project in question has one,
+ * so projects still open in an earlier term do not count
+ * @param {string|ObjectId} userId - The student id
+ * @param {string|ObjectId|null} [term] - Term of the project being created or joined
+ * @returns {Promise<number>}
+ */
+export const countActiveProjects = (userId, term = null) =>
+    Project.countDocuments({
+        teamMembers: userId,
+        status: { $in: ACTIVE_PROJECT_STATUSES },
+        ...(term ? { term } : {}),
+    });
+
+/**
+ * Throws when the student already has the maximum number of active projects in the term
+ * @param {string|ObjectId} userId - The student id
+ * @param {Object} policy - The policy document
+ * @param {string|ObjectId|null} [term] - Term of the project being created or joined
+ */
+export const assertCanJoinAnotherProject = async (userId, policy, term = null) => {
+    if (policy.maxActiveProjectsPerStudent == null) return;
+    const activeProjects = await countActiveProjects(userId, term);
+    if (activeProjects >= policy.maxActiveProjectsPerStudent) {
+        throw new AppError(
+            `Students can have at most ${policy.maxActiveProjectsPerStudent} active project(s)${term ? " per term" : ""}`,
+            400,
+            "STUDENT_PROJECT_LIMIT"
+        );
+    }
+};
+
+/**
+ * Throws when adding `incoming` people would take the team above the maximum size
+ * @param {number} currentSize - Members plus people already holding a pending invitation
+ * @param {number} incoming - Number of people being added or invited
+ * @param {Object} policy - The policy document
+ */
+export const assertTeamCapacity = (currentSize, incoming, policy) => {
+    if (policy.maxTeamSize == null) return;
+    if (currentSize + incoming > policy.maxTeamSize) {
+        throw new AppError(
+            `Teams can have at most ${policy.maxTeamSize} members (currently ${currentSize} including pending invitations)`,
+            400,
+            "TEAM_SIZE_EXCEEDED"
+        );
+    }
+};
+
+/**
+ * Throws when the team is still below the minimum size
+ * @param {Object} project - The project document
+ * @param {Object} policy - The policy document
+ */
+export const assertTeamMinimum = (project, policy) => {
+    if (project.teamMembers.length < policy.minTeamSize) {
+        throw new AppError(
+            `Teams need at least ${policy.minTeamSize} members before requesting a mentor`,
+            400,
+            "TEAM_TOO_SMALL"
+        );
+    }
+};
+
+/**
+ * Checks whether a student may be invited to a team led by `leader`
+ * @param {string|ObjectId|null} [term] - Term of the project the student is invited to
+ * @returns {Promise<{reason: string, errorCode: string}|null>} - null when the student is eligible
+ */
+export const checkInviteeEligibility = async (student, leader, policy, term = null) => {
+    if (!sameInstitution(student, leader)) {
+        return {
+            reason: "Student belongs to another institution",
+            errorCode: "INSTITUTION_MISMATCH",
+        };
+    }
+    if (!policy.allowCrossDepartmentTeams
+        && student.department && leader.department
+        && student.department.toLowerCase() !== leader.department.toLowerCase()) {
+        return {
+            reason: "Cross-department teams are not allowed",
+            errorCode: "CROSS_DEPARTMENT_NOT_ALLOWED",
+        };
+    }
+    if (policy.maxActiveProjectsPerStudent != null) {
+        const activeProjects = await countActiveProjects(student._id, term);
+        if (activeProjects >= policy.maxActiveProjectsPerStudent) {
+            return {
+                reason: `Student already has ${activeProjects} active project(s)`,
+                errorCode: "STUDENT_PROJECT_LIMIT",
+            };
+        }
+    }
+    return null;
+};
@@ -0,0 +1,221 @@
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+
+// Upper bound on matches ranked for one search
+const MAX_MATCHES = 500;
+// Added to the relevance of projects with a member whose name matches
+const MEMBER_MATCH_SCORE = 1;
+// Characters kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+const FACET_LIMIT = 20;
+
+// Fields that can be highlighted, read from a populated project
+const HIGHLIGHT_FIELDS = {
+    title: (project) => project.title,
+    abstract: (project) => project.description?.abstract,
+    problemStatement: (project) => project.description?.problemStatement,
+    proposedMethodology: (project) => project.description?.proposedMethodology,
+    techStack: (project) => (project.description?.techStack || []).join(", "),
+    members: (project) => (project.teamMembers || []).map(member => member.name).filter(Boolean).join(", "),
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (text) => text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Words of a search string to match and highlight. Follows the $text syntax:
+ * quoted phrases are split into words and negated words (-word) are skipped.
+ * @param {string} search - The raw search string
+ * @returns {string[]}
+ */
+export const getSearchTerms = (search = "") => [...new Set(
+    (search.match(/-?"[^"]*"|\S+/g) || [])
+        .filter(token => !token.startsWith("-"))
+        .flatMap(token => token.replace(/"/g, " ").split(/\s+/))
+        .map(token => token.toLowerCase())
+        .filter(token => token.length > 1)
+)];
+
+// Word prefixes, so "detect" also highlights "detection" like the stemmed text index matches it
+const termsRegex = (terms) => new RegExp(`\\b(${terms.map(escapeRegex).join("|")})\\w*`, "gi");
+
+/**
+ * Part of the text around the first match with every match wrapped in <mark>; the rest is HTML-escaped
+ * @returns {string|null} - null when nothing matches
+ */
+const buildSnippet = (text, regex) => {
+    if (!text) return null;
+    regex.lastIndex = 0;
+    const first = regex.exec(text);
+    if (!first) return null;
+
+    const start = Math.max(0, first.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+    const slice = text.slice(start, end);
+
+    let snippet = "";
+    let last = 0;
+    regex.lastIndex = 0;
+    for (const match of slice.matchAll(regex)) {
+        snippet += escapeHtml(slice.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    snippet += escapeHtml(slice.slice(last));
+    return (start > 0 ? "…" : "") + snippet + (end < text.length ? "…" : "");
+};
+
+/**
+ * Highlighted snippets of every field of a populated project that matches the search terms
+ * @param {Object} project - Project with populated team members
+ * @param {string[]} terms - From getSearchTerms
+ * @returns {Object} - Field name to snippet
+ */
+export const highlightProject = (project, terms) => {
+    if (!terms.length) return {};
+    const regex = termsRegex(terms);
+    const highlights = {};
+    Object.entries(HIGHLIGHT_FIELDS).forEach(([field, read]) => {
+        const snippet = buildSnippet(read(project), regex);
+        if (snippet) highlights[field] = snippet;
+    });
+    return highlights;
+};
+
+/**
+ * Relevance of the projects matching a search: the text index score over title, abstract,
+ * problem statement, methodology and tech stack, plus a bonus when a member's name matches
+ * @param {string} search - The raw search string
+ * @param {Object} filter - Base project filter (tenant, status...)
+ * @returns {Promise<Map<string, number>>} - Project id to score
+ */
+export const findSearchMatches = async (search, filter) => {
+    const terms = getSearchTerms(search);
+    const [textMatches, members] = await Promise.all([
+        Project.find({ ...filter, $text: { $search: search } })
+            .select({ _id: 1, score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" } })
+            .limit(MAX_MATCHES)
+            .lean(),
+        terms.length
+            ? User.find({
+                role: "student",
+                name: { $regex: `\\b(${terms.map(escapeRegex).join("|")})`, $options: "i" },
+                ...(filter.institution !== undefined ? { institution: filter.institution } : {}),
+            }).select("_id").limit(MAX_MATCHES).lean()
+            : [],
+    ]);
+
+    const scores = new Map(textMatches.map(match => [match._id.toString(), match.score]));
+    if (members.length) {
+        const memberMatches = await Project.find({ ...filter, teamMembers: { $in: members.map(member => member._id) } })
+            .select("_id")
+            .limit(MAX_MATCHES)
+            .lean();
+        memberMatches.forEach(match => {
+            const id = match._id.toString();
+            scores.set(id, (scores.get(id) || 0) + MEMBER_MATCH_SCORE);
+        });
+    }
+    return scores;
+};
+
+const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+];
+
+// Resolves facet ids to a display name from another collection
+const labelFrom = (collection, nameField) => [
+    { $lookup: { from: collection, localField: "_id", foreignField: "_id", as: "ref" } },
+    { $project: { count: 1, label: { $ifNull: [{ $arrayElemAt: [`$ref.${nameField}`, 0] }, null] } } },
+];
+
+// Adds each project's department, taken from its leader
+const withLeaderDepartment = [
+    { $lookup: { from: "users", localField: "createdBy", foreignField: "_id", as: "leader" } },
+    { $addFields: { department: { $ifNull: [{ $arrayElemAt: ["$leader.department", 0] }, null] } } },
+    { $project: { leader: 0 } },
+];
+
+// Department counts without joining every project: leaders are looked up once each
+const countByLeaderDepartment = [
+    { $group: { _id: "$createdBy", count: { $sum: 1 } } },
+    { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "leader" } },
+    { $group: { _id: { $ifNull: [{ $arrayElemAt: ["$leader.department", 0] }, null] }, count: { $sum: "$count" } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+];
+
+/**
+ * Runs a filtered project listing with facet counts. A project's department is its leader's.
+ * @param {Object} params
+ * @param {Object} params.filter - Project filter
+ * @param {string} [params.department] - Only projects led from this department
+ * @param {Map<string, number>} [params.scores] - Search relevance; results are ranked by it when given
+ * @param {number} params.page
+ * @param {number} params.limit
+ * @returns {Promise<{ids: ObjectId[], total: number, facets: Object}>} - Ids of the requested page, in order
+ */
+export const runFacetedQuery = async ({ filter, department, scores, page, limit }) => {
+    const ranked = Boolean(scores);
+    // Plain listings are paged with find; only department filters need the leaders of every project
+    const pagedByFind = !ranked && !department;
+
+    const facets = {
+        total: [{ $count: "count" }],
+        status: countBy("$status"),
+        techStack: [{ $unwind: "$description.techStack" }, ...countBy("$description.techStack")],
+        mentor: [{ $match: { assignedMentor: { $ne: null } } }, ...countBy("$assignedMentor"), ...labelFrom("users", "name")],
+        department: department ? countBy("$department") : countByLeaderDepartment,
+        term: [...countBy("$term"), ...labelFrom("terms", "name")],
+    };
+    if (!pagedByFind) {
+        facets.page = ranked
+            // At most MAX_MATCHES candidates; ranked by relevance below
+            ? [{ $project: { createdAt: 1 } }]
+            : [{ $sort: { createdAt: -1 } }, { $skip: (page - 1) * limit }, { $limit: limit }, { $project: { _id: 1 } }];
+    }
+
+    const [[result], plainPage] = await Promise.all([
+        Project.aggregate([
+            { $match: filter },
+            ...(department ? [...withLeaderDepartment, { $match: { department } }] : []),
+            { $facet: facets },
+        ]),
+        pagedByFind
+            ? Project.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).select("_id").lean()
+            : null,
+    ]);
+
+    let ids = (plainPage || result.page).map(entry => entry._id);
+    if (ranked) {
+        ids = result.page
+            .sort((a, b) => (scores.get(b._id.toString()) - scores.get(a._id.toString())) || (b.createdAt - a.createdAt))
+            .slice((page - 1) * limit, page * limit)
+            .map(entry => entry._id);
+    }
+
+    const toFacet = (entries) => entries.map(({ _id, count, label }) => ({
+        value: _id,
+        ...(label !== undefined ? { label } : {}),
+        count,
+    }));
+
+    return {
+        ids,
+        total: result.total[0]?.count || 0,
+        facets: {
+            status: toFacet(result.status),
+            techStack: toFacet(result.techStack),
+            mentor: toFacet(result.mentor),
+            department: toFacet(result.department),
+            term: toFacet(result.term),
+        },
+    };
+};
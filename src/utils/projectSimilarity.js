@@ -0,0 +1,158 @@
+import { Project } from "../models/project.model.js";
+import { buildTfIdfVectors, cosineSimilarity, sharedTerms, tokenize } from "./textSimilarity.js";
+import Gemini from "./Gemini.js";
+
+// Relative weight of each compared field (sums to 1)
+const WEIGHTS = {
+    title: 0.3,
+    abstract: 0.35,
+    problemStatement: 0.35,
+};
+
+// Projects below this score are not reported at all
+const MIN_SCORE = 0.2;
+// Projects at or above this score are flagged as likely duplicates
+export const DUPLICATE_THRESHOLD = 0.7;
+
+// Projects shortlisted through the text index before scoring
+const CANDIDATE_LIMIT = 100;
+// Words of the checked project sent to the text index
+const MAX_SEARCH_TERMS = 100;
+
+// Share of the final score taken from the LLM when it is used
+const AI_WEIGHT = 0.3;
+
+const FIELDS = {
+    title: (project) => project.title,
+    abstract: (project) => project.description?.abstract,
+    problemStatement: (project) => project.description?.problemStatement,
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeTitle = (title = "") => title.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// Asks the LLM to judge how close the shortlisted projects are; returns null when unavailable
+const getAIScores = async (project, candidates) => {
+    const prompt = `
+You are checking a student project proposal for duplicates of earlier projects.
+Score each earlier project from 0 to 100 for how much it overlaps with the new proposal in goal and approach.
+Respond ONLY with a JSON array like [{"projectId": "...", "score": 80, "reason": "..."}].
+
+New proposal:
+- Title: ${project.title}
+- Abstract: ${project.description?.abstract || ""}
+- Problem Statement: ${project.description?.problemStatement || ""}
+
+Earlier projects:
+${candidates.map(c => `- ${c.project._id}: ${c.project.title}; abstract: ${c.project.description?.abstract || "N/A"}`).join("\n")}
+`;
+    try {
+        const response = await Gemini({ content: prompt });
+        const json = response.slice(response.indexOf("["), response.lastIndexOf("]") + 1);
+        const parsed = JSON.parse(json);
+        return new Map(parsed
+            .filter(entry => entry && entry.projectId && Number.isFinite(Number(entry.score)))
+            .map(entry => [String(entry.projectId), {
+                score: Math.min(Math.max(Number(entry.score), 0), 100) / 100,
+                reason: entry.reason || ""
+            }]));
+    } catch (error) {
+        console.warn("AI similarity scoring unavailable:", error.message);
+        return null;
+    }
+};
+
+/**
+ * Finds existing projects of the same institution, from any term, whose title, abstract and
+ * problem statement resemble the given project. The text index shortlists the projects sharing
+ * the most words with it, which are then scored with per-field TF-IDF cosine similarity, so it
+ * works offline; the Gemini LLM is only consulted when `useAI` is set and GOOGLE_API_KEY is configured.
+ * @param {Object} project - The project (saved or not) to check
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Number of projects to return
+ * @param {boolean} [options.useAI=false] - Blend in LLM scores for the shortlist
+ * @returns {Promise<{similar: Object[], aiUsed: boolean}>}
+ */
+export const findSimilarProjects = async (project, { limit = 5, useAI = false } = {}) => {
+    const words = [...new Set(Object.values(FIELDS).flatMap(read => tokenize(read(project) || "")))];
+    if (words.length === 0) return { similar: [], aiUsed: false };
+
+    const others = await Project.find({
+        institution: project.institution || null,
+        ...(project._id ? { _id: { $ne: project._id } } : {}),
+        $text: { $search: words.slice(0, MAX_SEARCH_TERMS).join(" ") },
+    })
+        .select({ title: 1, "description.abstract": 1, "description.problemStatement": 1, status: 1, term: 1, createdAt: 1, score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" } })
+        .limit(CANDIDATE_LIMIT)
+        .populate("term", "name")
+        .lean();
+    if (others.length === 0) return { similar: [], aiUsed: false };
+
+    // Each field is compared on its own vocabulary; the checked project comes first
+    const vectors = Object.fromEntries(Object.entries(FIELDS).map(([field, read]) => {
+        const [own, ...rest] = buildTfIdfVectors([project, ...others].map(entry => read(entry) || ""));
+        return [field, { own, rest }];
+    }));
+    const ownTitle = normalizeTitle(project.title);
+
+    let candidates = others.map((other, index) => {
+        const breakdown = {};
+        const terms = new Set();
+        Object.keys(FIELDS).forEach(field => {
+            const { own, rest } = vectors[field];
+            breakdown[field] = round(cosineSimilarity(own, rest[index]));
+            sharedTerms(own, rest[index]).forEach(term => terms.add(term));
+        });
+        // An identical title is a duplicate signal on its own
+        if (ownTitle && normalizeTitle(other.title) === ownTitle) breakdown.title = 1;
+
+        const score = Object.entries(WEIGHTS).reduce((sum, [field, weight]) => sum + weight * breakdown[field], 0);
+        return {
+            project: other,
+            score: round(score),
+            breakdown,
+            sharedTerms: [...terms].slice(0, 8),
+            reasons: [],
+        };
+    })
+        .filter(candidate => candidate.score >= MIN_SCORE || candidate.breakdown.title === 1)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    let aiUsed = false;
+    if (useAI && candidates.length && process.env.GOOGLE_API_KEY) {
+        const aiScores = await getAIScores(project, candidates);
+        if (aiScores) {
+            aiUsed = true;
+            candidates.forEach(candidate => {
+                const ai = aiScores.get(candidate.project._id.toString());
+                if (!ai) return;
+                candidate.breakdown.ai = round(ai.score);
+                candidate.score = round((1 - AI_WEIGHT) * candidate.score + AI_WEIGHT * ai.score);
+                if (ai.reason) candidate.reasons.push(`AI: ${ai.reason}`);
+            });
+            candidates.sort((a, b) => b.score - a.score);
+        }
+    }
+
+    candidates = candidates.map(candidate => ({
+        ...candidate,
+        isLikelyDuplicate: candidate.score >= DUPLICATE_THRESHOLD,
+    }));
+    return { similar: candidates, aiUsed };
+};
+
+// Response shape of a similar project; team details are left out on purpose
+export const formatSimilarProject = ({ project, ...match }) => ({
+    project: {
+        _id: project._id,
+        title: project.title,
+        abstract: project.description?.abstract,
+        status: project.status,
+        term: project.term?.name || null,
+        createdAt: project.createdAt,
+    },
+    ...match,
+});
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+import { AppError } from "../middleware/error.middleware.js";
+import { ProposalTemplate } from "../models/proposalTemplate.model.js";
+import { sameInstitution } from "./tenancy.js";
+
+const isEmpty = (value) =>
+    value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+const checkRange = (field, amount, unit) => {
+    if (field.min != null && amount < field.min) return `must have at least ${field.min} ${unit}`;
+    if (field.max != null && amount > field.max) return `must have at most ${field.max} ${unit}`;
+    return null;
+};
+
+// Normalizes one value to the field's type; returns { value } or { error }
+const coerceValue = (field, raw) => {
+    switch (field.type) {
+        case "text":
+        case "longtext": {
+            if (typeof raw !== "string") return { error: "must be text" };
+            const value = raw.trim();
+            return { value, error: checkRange(field, value.length, "characters") };
+        }
+        case "number": {
+            const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+            if (typeof value !== "number" || !Number.isFinite(value)) return { error: "must be a number" };
+            if (field.min != null && value < field.min) return { error: `must be at least ${field.min}` };
+            if (field.max != null && value > field.max) return { error: `must be at most ${field.max}` };
+            return { value };
+        }
+        case "boolean": {
+            if (typeof raw === "boolean") return { value: raw };
+            if (raw === "true" || raw === "false") return { value: raw === "true" };
+            return { error: "must be true or false" };
+        }
+        case "date": {
+            const value = new Date(raw);
+            if (typeof raw === "boolean" || isNaN(value)) return { error: "must be a valid date" };
+            return { value };
+        }
+        case "url": {
+            try {
+                const url = new URL(String(raw).trim());
+                if (!["http:", "https:"].includes(url.protocol)) return { error: "must be an http(s) URL" };
+                return { value: url.toString() };
+            } catch (error) {
+                return { error: "must be a valid URL" };
+            }
+        }
+        case "select": {
+            if (!field.options.includes(raw)) return { error: `must be one of: ${field.options.join(", ")}` };
+            return { value: raw };
+        }
+        case "multiselect":
+        case "list": {
+            if (!Array.isArray(raw) || raw.some(entry => typeof entry !== "string")) {
+                return { error: "must be a list of text values" };
+            }
+            const value = [...new Set(raw.map(entry => entry.trim()).filter(Boolean))];
+            if (field.type === "multiselect") {
+                const invalid = value.filter(entry => !field.options.includes(entry));
+                if (invalid.length) return { error: `has invalid options: ${invalid.join(", ")}. Use: ${field.options.join(", ")}` };
+            }
+            return { value, error: checkRange(field, value.length, "entries") };
+        }
+        default:
+            return { error: "has an unknown type" };
+    }
+};
+
+/**
+ * Validates custom proposal fields against a template and merges them into the existing values.
+ * Unknown keys are rejected; required fields must be filled after the merge.
+ * @param {Object|null} template - The project's proposal template
+ * @param {Object} [values] - Submitted custom field values; null or "" clears a field
+ * @param {Object} [existing] - Values already stored on the project
+ * @returns {Object} - The merged, typed values
+ */
+export const validateCustomFields = (template, values = {}, existing = {}) => {
+    if (values === null || typeof values !== "object" || Array.isArray(values)) {
+        throw new AppError("customFields must be an object", 400, "INVALID_CUSTOM_FIELDS");
+    }
+    const fields = template?.fields || [];
+    const errors = [];
+
+    Object.keys(values).forEach(key => {
+        if (!fields.some(field => field.key === key)) {
+            errors.push(`Unknown field '${key}'`);
+        }
+    });
+
+    const result = {};
+    fields.forEach(field => {
+        const submitted = Object.prototype.hasOwnProperty.call(values, field.key);
+        const raw = submitted ? values[field.key] : existing?.[field.key];
+        if (isEmpty(raw)) {
+            if (field.required) errors.push(`${field.label} is required`);
+            return;
+        }
+        // Stored values were validated when they were saved
+        if (!submitted) {
+            result[field.key] = raw;
+            return;
+        }
+        const { value, error } = coerceValue(field, raw);
+        if (error) errors.push(`${field.label} ${error}`);
+        else result[field.key] = value;
+    });
+
+    if (errors.length) {
+        throw new AppError(errors.join("; "), 400, "INVALID_CUSTOM_FIELDS");
+    }
+    return result;
+};
+
+/**
+ * Template for a new project: the one the team picked, or the default of the creator's department
+ * @param {Object} user - The creating user
+ * @param {string} [templateId] - Template chosen by the team
+ * @returns {Promise<Object|null>}
+ */
+export const resolveProjectTemplate = async (user, templateId) => {
+    if (!templateId) {
+        return ProposalTemplate.findDefault(user.institution, user.department || null);
+    }
+    const template = mongoose.isValidObjectId(templateId) ? await ProposalTemplate.findById(templateId) : null;
+    if (!template || !template.isActive || !sameInstitution(template, user)) {
+        throw new AppError("Proposal template not found", 400, "INVALID_TEMPLATE");
+    }
+    if (template.department && template.department !== user.department) {
+        throw new AppError("This proposal template does not apply to your department", 400, "INVALID_TEMPLATE");
+    }
+    return template;
+};
+
+// The template a project was created with, even if it has since been deactivated
+export const getProjectTemplate = (project) =>
+    project.template ? ProposalTemplate.findById(project.template) : null;
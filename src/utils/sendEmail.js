@@ -1,6 +1,6 @@
 import nodemailer from "nodemailer";
 
-export const sendEmail = async ({ email, subject, message, textMessage }) => {
+export const sendEmail = async ({ email, subject, message, textMessage, attachments }) => {
     try {
         // Configure SMTP Transporter
         const transporter = nodemailer.createTransport({
@@ -20,6 +20,7 @@ export const sendEmail = async ({ email, subject, message, textMessage }) => {
             subject,
             html: message || "", // provide fallback if message is undefined
             text: textMessage || (message ? message.replace(/<[^>]*>/g, "") : ""), // handle case when message is undefined
+            ...(attachments ? { attachments } : {}),
         };
 
         // Send Email
@@ -27,4 +27,29 @@ Please provide a clear and concise summary of this project.`;
     console.warn('Summary generation unavailable (quota/rate limit):', error.message);
     return null;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Gets a one-paragraph digest of recent progress reports across several projects
+ * @param {Array<{title: string, reports: Object[], missed: number}>} projects - Projects with their recent reports
+ * @returns {Promise<string|null>} - A promise that resolves to the digest text or null if unavailable
+ */
+export const getReportDigest = async (projects) => {
+  try {
+    const prompt = `You are assisting a faculty mentor. Write ONE concise paragraph (max 150 words) summarising the progress of the projects below.
+Highlight projects that are blocked or have missed reports.
+
+${projects.map(project => `Project: ${project.title}
+Missed reports: ${project.missed}
+${project.reports.map(report => `- Work done: ${report.workDone}
+  Blockers: ${report.blockers || "None"}
+  Next steps: ${report.nextSteps || "Not specified"}
+  Hours: ${report.hours}`).join("\n") || "- No reports in this period"}`).join("\n\n")}`;
+
+    const response = await Gemini({ content: prompt });
+    return response || null;
+  } catch (error) {
+    console.warn('Report digest unavailable (quota/rate limit):', error.message);
+    return null;
+  }
+};
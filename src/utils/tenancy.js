@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import { AppError } from "../middleware/error.middleware.js";
+import { Institution } from "../models/institution.model.js";
+import { Department } from "../models/department.model.js";
+
+/**
+ * Admins without an institution run the platform and can see every tenant
+ * @param {Object} user - The authenticated user
+ * @returns {boolean}
+ */
+export const isPlatformAdmin = (user) => user?.role === "admin" && !user.institution;
+
+const sameId = (a, b) => (a ? a.toString() : null) === (b ? b.toString() : null);
+
+/**
+ * Whether two documents (users, projects, terms...) belong to the same institution.
+ * Records created before institutions existed (null) only match each other.
+ */
+export const sameInstitution = (a, b) => sameId(a?.institution, b?.institution);
+
+/**
+ * Query filter restricting a collection to the user's institution
+ * @param {Object} user - The authenticated user
+ * @param {string} [field="institution"] - Institution field on the queried model
+ * @returns {Object} - Empty for platform admins
+ */
+export const tenantFilter = (user, field = "institution") =>
+    isPlatformAdmin(user) ? {} : { [field]: user.institution || null };
+
+/**
+ * Throws a 404 when the document belongs to another institution, so other tenants'
+ * records are indistinguishable from missing ones
+ * @param {Object} user - The authenticated user
+ * @param {Object} doc - Any document with an `institution` field
+ * @param {string} [label="Resource"] - Name used in the error message
+ */
+export const assertSameTenant = (user, doc, label = "Resource") => {
+    if (!doc || (!isPlatformAdmin(user) && !sameInstitution(user, doc))) {
+        throw new AppError(`${label} not found`, 404);
+    }
+};
+
+/**
+ * Institution an account belongs to: the one given explicitly, or the one owning the email domain
+ * @param {Object} params
+ * @param {string} [params.institutionId] - Chosen institution
+ * @param {string} [params.email] - Account email
+ * @returns {Promise<Object|null>}
+ */
+export const resolveInstitution = async ({ institutionId, email }) => {
+    if (institutionId) {
+        const institution = mongoose.isValidObjectId(institutionId) && await Institution.findById(institutionId);
+        if (!institution || institution.status !== "active") {
+            throw new AppError("Institution not found", 400, "INVALID_INSTITUTION");
+        }
+        return institution;
+    }
+    const domain = email?.split("@")[1]?.toLowerCase();
+    if (!domain) return null;
+    return Institution.findOne({ domains: domain, status: "active" });
+};
+
+/**
+ * Department of an institution by id, or by name when only free text is given
+ * @param {Object|null} institution - The institution document
+ * @param {Object} params
+ * @param {string} [params.departmentId] - Department id
+ * @param {string} [params.department] - Department name
+ * @returns {Promise<{departmentId: ObjectId|null, department: string|undefined}>}
+ */
+export const resolveDepartment = async (institution, { departmentId, department }) => {
+    if (departmentId) {
+        const found = institution && mongoose.isValidObjectId(departmentId)
+            && await Department.findOne({ _id: departmentId, institution: institution._id });
+        if (!found) {
+            throw new AppError("Department not found in this institution", 400, "INVALID_DEPARTMENT");
+        }
+        return { departmentId: found._id, department: found.name };
+    }
+    if (department && institution) {
+        const escaped = department.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const found = await Department.findOne({
+            institution: institution._id,
+            name: { $regex: `^${escaped}$`, $options: "i" },
+        });
+        if (found) return { departmentId: found._id, department: found.name };
+    }
+    return { departmentId: null, department };
+};
+
+/**
+ * Whether the user administers the institution the document belongs to
+ * @param {Object} user - The authenticated user
+ * @param {Object} doc - Any document with an `institution` field
+ * @returns {boolean}
+ */
+export const isTenantAdmin = (user, doc) =>
+    user?.role === "admin" && (isPlatformAdmin(user) || sameInstitution(user, doc));
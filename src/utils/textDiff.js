@@ -0,0 +1,72 @@
+// Word-level diffing for proposal versions
+
+// Above this many word pairs the LCS table gets too large; fall back to a whole-field replacement
+const MAX_LCS_CELLS = 4_000_000;
+
+const splitWords = (text = "") => text.split(/(\s+)/).filter(Boolean);
+
+const pushChange = (changes, type, text) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+        last.text += text;
+    } else {
+        changes.push({ type, text });
+    }
+};
+
+/**
+ * Word-level diff of two texts based on the longest common subsequence
+ * @param {string} from - Old text
+ * @param {string} to - New text
+ * @returns {{type: "unchanged"|"added"|"removed", text: string}[]}
+ */
+export const diffWords = (from = "", to = "") => {
+    const a = splitWords(from);
+    const b = splitWords(to);
+
+    if (a.length * b.length > MAX_LCS_CELLS) {
+        const changes = [];
+        if (from) changes.push({ type: "removed", text: from });
+        if (to) changes.push({ type: "added", text: to });
+        return changes;
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            pushChange(changes, "unchanged", a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            pushChange(changes, "removed", a[i++]);
+        } else {
+            pushChange(changes, "added", b[j++]);
+        }
+    }
+    while (i < a.length) pushChange(changes, "removed", a[i++]);
+    while (j < b.length) pushChange(changes, "added", b[j++]);
+    return changes;
+};
+
+/**
+ * Added and removed entries between two lists
+ * @param {string[]} from - Old list
+ * @param {string[]} to - New list
+ * @returns {{added: string[], removed: string[]}}
+ */
+export const diffLists = (from = [], to = []) => ({
+    added: to.filter(item => !from.includes(item)),
+    removed: from.filter(item => !to.includes(item)),
+});
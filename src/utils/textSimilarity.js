@@ -0,0 +1,79 @@
+// Offline text similarity helpers (tokenising, TF-IDF vectors and cosine similarity)
+
+const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "been", "but", "by", "can", "for", "from",
+    "has", "have", "in", "into", "is", "it", "its", "of", "on", "or", "our", "over", "so",
+    "such", "that", "the", "their", "them", "there", "these", "this", "those", "to", "using",
+    "use", "used", "via", "was", "we", "were", "which", "while", "will", "with", "within",
+    "system", "project", "based", "proposed", "approach", "also", "able", "make", "new",
+]);
+
+/**
+ * Splits text into lowercase word tokens without stop words
+ * @param {string} text - Any text
+ * @returns {string[]}
+ */
+export const tokenize = (text = "") =>
+    text
+        .toLowerCase()
+        .replace(/[^a-z0-9+#.\s-]/g, " ")
+        .split(/[\s-]+/)
+        .map(token => token.replace(/^\.+|\.+$/g, ""))
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+const termFrequencies = (tokens) => {
+    const counts = new Map();
+    tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    return counts;
+};
+
+/**
+ * Builds TF-IDF vectors for a set of documents sharing one vocabulary
+ * @param {string[]} documents - Raw texts
+ * @returns {Map<string, number>[]} - One sparse vector per document
+ */
+export const buildTfIdfVectors = (documents) => {
+    const tokenized = documents.map(tokenize);
+    const documentFrequency = new Map();
+    tokenized.forEach(tokens => {
+        new Set(tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+    });
+
+    const total = documents.length;
+    return tokenized.map(tokens => {
+        const vector = new Map();
+        termFrequencies(tokens).forEach((count, token) => {
+            // Smoothed idf so terms present in every document still carry a little weight
+            const idf = Math.log((1 + total) / (1 + documentFrequency.get(token))) + 1;
+            vector.set(token, (count / tokens.length) * idf);
+        });
+        return vector;
+    });
+};
+
+/**
+ * Cosine similarity of two sparse vectors, between 0 and 1
+ */
+export const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    a.forEach((value, token) => {
+        normA += value * value;
+        if (b.has(token)) dot += value * b.get(token);
+    });
+    b.forEach(value => {
+        normB += value * value;
+    });
+    if (!normA || !normB) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Terms two sparse vectors have in common, heaviest first
+ */
+export const sharedTerms = (a, b, limit = 5) =>
+    [...a.keys()]
+        .filter(token => b.has(token))
+        .sort((x, y) => (a.get(y) * b.get(y)) - (a.get(x) * b.get(x)))
+        .slice(0, limit);